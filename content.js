@@ -5,8 +5,21 @@
 class FantasyDeckBuilder {
   constructor() {
     this.cards = []; // [{ heroKey, handle, name, stars, ... }]
-    this.historicalData = {}; // heroKey -> scores[]
+    this.historicalData = {}; // heroKey -> weekly scores (most recent first; null = missed week, see historyOptions)
+    this.historyEntries = {}; // heroKey -> stored [{ week, score, stars? } | null] entries behind historicalData
+    this.playedWeeks = {}; // heroKey -> [true where the week has a recorded score] (the prior's week count)
+    this.heroStars = {}; // heroKey -> current stars for every hero in cardDataCache (tier normalization, prior)
+    // How entries become weekly scores (lastConfig.missingWeeks / lastConfig.starNormalization)
+    this.historyOptions = {
+      missingWeeks: FantasyScoring.DEFAULT_MISSING_WEEKS,
+      starNormalization: FantasyScoring.DEFAULT_STAR_NORMALIZATION
+    };
     this.portfolioCards = []; // [{ cardId, heroKey }] - NO element property, NO stars (stars come from historical data)
+    this.cardMeta = {}; // cardId -> cached metadata { heroKey, rarity, attributes, fetchedAt, seenAt } (portfolio.js)
+    this.lastFetchReport = null; // metadata run of the last portfolio load (cards left out, retries)
+    this.pinnedSnapshot = null; // history snapshot index entry the build is pinned to (history.js), or null
+    this.portfolioSource = null; // { source: 'endpoint' | 'page', endpointError } of the last portfolio load
+    this.portfolioEndpointError = null; // why the last endpoint load failed (null = not set or succeeded)
     this.CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 1 week in milliseconds
     this.buttonInjected = false; // Track if button was successfully injected
     this.injectionObserver = null; // MutationObserver for button injection
@@ -16,23 +29,39 @@ class FantasyDeckBuilder {
     this.scoreCache = new Map(); // (heroKey + algorithm + configHash) -> score
     this.sortedCardsCache = null; // Cached sorted cards array
     this.lastConfigHash = null; // Hash of last config used for sorting
+    this.lastDecks = []; // Summaries from the last build (best first) for click-to-apply
+    this.lastDeckMode = 'single'; // 'single' (alternatives) or 'multi' (one deck per tournament entry)
+    this.lastSolve = null; // { method, optimal } for the last build
+    this.lastBuildNotes = []; // Deck result warnings from the last build (portfolio source, cards the solver left out)
+    this.tournaments = FantasyTournaments.defaultTournaments(); // refreshed from storage before each build
   }
   
   // Debug flag - set to true for verbose logging
   static DEBUG = false;
-  // Temporary: skip card metadata cache – always fetch from API, never save (set false to re-enable cache)
-  static SKIP_CARD_CACHE = false;
-
-  // Tournaments: star cap + rarity limits (1=Legendary, 2=Epic, 3=Rare, 4=Common)
-  static TOURNAMENTS = {
-    bronze: { targetStars: 19, maxRares: 0, maxEpics: 0, maxLegendaries: 0, label: 'Bronze (19⭐ common-only)' },
-    silver: { targetStars: 23, maxRares: 3, maxEpics: 0, maxLegendaries: 0, label: 'Silver (23⭐ up to 3 rares)' },
-    gold: { targetStars: 25, maxRares: Infinity, maxEpics: 2, maxLegendaries: 0, label: 'Gold (25⭐ up to 2 epics)' },
-    platinum: { targetStars: 27, maxRares: Infinity, maxEpics: 3, maxLegendaries: 1, label: 'Platinum (27⭐ up to 3 epics, 1 legendary)' },
-    diamond: { targetStars: 50, maxRares: Infinity, maxEpics: Infinity, maxLegendaries: Infinity, label: 'Diamond (unlimited)' }
-  };
-  static RARITY_MULTIPLIER = { 1: 2.5, 2: 2, 3: 1.5, 4: 1 };
+
+  // Card metadata API (r2.fantasy.top/<contract>/<cardId>) fetch queue
+  static CARD_CONTRACT = '0x806aB8Efb6b0Db382A76972AD97Fa830EEd1274E';
+  static METADATA_CONCURRENCY = 5; // requests in flight
+  static METADATA_RETRIES = 4; // retries per card on 429 / 5xx / network errors
+  static METADATA_BACKOFF_MS = 500; // first retry delay, doubled per retry (a longer Retry-After wins)
+  static METADATA_PERSIST_EVERY = 20; // fetched cards between partial saves of the metadata cache
+
+  // Rarities: 1=Legendary, 2=Epic, 3=Rare, 4=Common (tournament rules and score multipliers live in tournaments.js)
   static RARITY_LABEL = { 1: 'Leg', 2: 'Epic', 3: 'Rare', 4: '' };
+  static RARITY_NAME = { 1: 'Legendary', 2: 'Epic', 3: 'Rare', 4: 'Common' };
+  static DEFAULT_DECK_COUNT = 5; // Best deck + alternatives kept for click-to-apply
+  static TOP_PER_BUCKET = 5; // Cards kept per star value before the DP (wider = better optimality)
+  static SIMULATION_TRIALS = 5000; // Monte Carlo trials per simulated deck
+  static DEFAULT_SOLVER = 'exact'; // 'exact' (branch-and-bound over every card) or 'fast' (pruned DP)
+  static EXACT_NODE_LIMIT = 1000000; // B&B nodes before giving up on proving optimality
+  static BOUND_TABLE_CELL_LIMIT = 2000000; // exact-search bound table entries (8 bytes each) before it is relaxed
+  static MULTI_DECK_NODE_LIMIT = 300000; // the same for a multi-tournament allocation (its nodes cost more)
+  static SOLVE_METHOD_LABEL = {
+    exact: 'proven optimal',
+    'exact-limit': 'best found, search limit hit (not proven optimal)',
+    dp: 'pruned search (not proven optimal)',
+    greedy: 'greedy fallback (not optimal)'
+  };
 
   /** Parse API Rarity: number 1-4 or string "Rare"/"Common" etc. Default 4 (Common). */
   static parseRarityFromApi(value) {
@@ -68,7 +97,10 @@ class FantasyDeckBuilder {
     const check = async () => {
       if (!window.location.href.includes('/deckbuilder')) return;
       if (!(await this.isWhitelisted())) return;
-      if (document.getElementById('fantasy-custom-wand')) return;
+      if (document.getElementById('fantasy-custom-wand')) {
+        await this.updateWandBadge(); // same wand, possibly another tournament's page
+        return;
+      }
       this.injectCustomWandButton();
     };
     const debouncedCheck = () => {
@@ -114,6 +146,18 @@ class FantasyDeckBuilder {
       console.log('✅ Address already whitelisted');
       return true;
     }
+
+    // Portfolio endpoint first: the whole wallet without scrolling the page
+    const ownedIds = await this._loadOwnedCardIds();
+    if (ownedIds) {
+      await this.loadPortfolioCache();
+      const cardMap = new Map(Object.entries(this.cardMeta));
+      await this._fetchCardMetadata(ownedIds, cardMap);
+      if (ownedIds.some(cardId => cardMap.get(cardId)?.heroKey === 'LUKECANNON727')) {
+        console.log('✅ Found lukecannon727 card via the portfolio endpoint');
+        return this._whitelistAddress(address);
+      }
+    }
     
     // Scroll down the page to load all cards - keep scrolling until we find it or truly reach the bottom
     let lastHeight = 0;
@@ -166,30 +210,33 @@ class FantasyDeckBuilder {
     }
     
     if (foundElement) {
-      console.log('✅ Found lukecannon727 card! Whitelisting address...');
-      
-      // Add to whitelist
-      const result = await chrome.storage.local.get(['whitelistedAddresses']);
-      const whitelist = result.whitelistedAddresses || [];
-      if (!whitelist.includes(address)) {
-        whitelist.push(address);
-        await chrome.storage.local.set({ whitelistedAddresses: whitelist });
-        console.log(`✅ Whitelisted address: ${address}`);
-        
-        // Show notification
-        this.showNotification('✅ Luke Mode activated! You can now use the deck builder.', 'success');
-        
-        // If on deck builder page, inject button now
-        if (window.location.href.includes('/deckbuilder')) {
-          this.injectCustomWandButton();
-        }
-      }
-      return true;
+      console.log('✅ Found lukecannon727 card!');
+      return this._whitelistAddress(address);
     }
     
     console.log('⚠️ lukecannon727 card not found in DOM');
     return false;
   }
+
+  async _whitelistAddress(address) {
+    console.log('✅ Whitelisting address...');
+    const result = await chrome.storage.local.get(['whitelistedAddresses']);
+    const whitelist = result.whitelistedAddresses || [];
+    if (!whitelist.includes(address)) {
+      whitelist.push(address);
+      await chrome.storage.local.set({ whitelistedAddresses: whitelist });
+      console.log(`✅ Whitelisted address: ${address}`);
+      
+      // Show notification
+      this.showNotification('✅ Luke Mode activated! You can now use the deck builder.', 'success');
+      
+      // If on deck builder page, inject button now
+      if (window.location.href.includes('/deckbuilder')) {
+        this.injectCustomWandButton();
+      }
+    }
+    return true;
+  }
   
 
   // Inject custom magic wand button next to Fantasy.top's magic wand or in deck builder area
@@ -233,6 +280,7 @@ class FantasyDeckBuilder {
       
       magicWandBtn.parentNode.insertBefore(customWand, magicWandBtn.nextSibling);
       this.buttonInjected = true;
+      await this.updateWandBadge();
       
       if (this.injectionObserver) {
         this.injectionObserver.disconnect();
@@ -278,106 +326,175 @@ class FantasyDeckBuilder {
     }
   }
 
+  // Tournament the open deck builder is for: URL id (/play/tournament/:id/deckbuilder) first, then the
+  // page's headings/banner (tier name, star cap, rarity wording). Null when the page doesn't say.
+  detectPageTournament() {
+    const match = window.location.pathname.match(/\/play\/tournament\/([^/]+)\/deckbuilder/);
+    const text = Array.from(document.querySelectorAll('h1, h2, h3, [class*="banner" i], [class*="tournament" i]'))
+      .map(el => el.textContent || '')
+      .join('\n')
+      .slice(0, 4000);
+    return FantasyTournaments.detectTournament(this.tournaments, { pageId: match ? decodeURIComponent(match[1]) : null, text });
+  }
+
+  // Badge on the injected wand: which tournament rules a click will use (detected, or the popup setting)
+  async updateWandBadge(detected = undefined) {
+    const wand = document.getElementById('fantasy-custom-wand');
+    if (!wand) return;
+    if (detected === undefined) {
+      this.tournaments = await FantasyTournaments.loadTournaments();
+      detected = this.detectPageTournament();
+    }
+    const { lastConfig } = await chrome.storage.local.get(['lastConfig']);
+    const id = this._tournamentId(detected?.id || lastConfig?.tournament);
+    const def = this.tournaments[id];
+
+    let badge = wand.querySelector('.fantasy-wand-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'fantasy-wand-badge';
+      wand.appendChild(badge);
+    }
+    badge.textContent = def.name;
+    badge.classList.toggle('manual', !detected);
+    wand.setAttribute('data-tooltip', detected
+      ? `Luke Mode · ${def.label} (detected from ${detected.source === 'url' ? 'URL' : 'page'}: ${detected.reason})`
+      : `Luke Mode · ${def.label} (popup setting, tournament not detected)`);
+  }
+
+  // Build deck when custom wand button is clicked, using the detected tournament's rules when the page names one
+  async buildDeckFromButton() {
+    const button = document.getElementById('fantasy-custom-wand');
+    if (!button) return;
+
+    button.classList.add('loading');
+    try {
+      const config = await this._loadBuildConfig();
+      this.tournaments = await FantasyTournaments.loadTournaments();
+      const detected = this.detectPageTournament();
+      if (detected) {
+        console.log(`🎯 Detected ${this.tournaments[detected.id].label} from ${detected.source} (${detected.reason})`);
+        config.tournament = detected.id;
+      }
+      await this.updateWandBadge(detected);
+      return await this.buildDeck(config);
+    } finally {
+      button.classList.remove('loading');
+    }
+  }
+
+  // Config passed from the popup, or lastConfig when the wand is clicked (with the default Makesy override)
+  async _loadBuildConfig(config) {
+    if (config) return config;
+    const configResult = await chrome.storage.local.get(['lastConfig']);
+    const finalConfig = configResult.lastConfig || {
+      algorithm: FantasyScoring.DEFAULT_ALGORITHM,
+      scoreOverrides: {}
+    };
+    if (!finalConfig.scoreOverrides) finalConfig.scoreOverrides = {};
+    if (finalConfig.scoreOverrides['0XMAKESY'] === undefined) finalConfig.scoreOverrides['0XMAKESY'] = 300;
+    return finalConfig;
+  }
+
+  // Load history, tournament rules, scrape the portfolio and reset score caches before solving
+  // historyOptions: { missingWeeks, starNormalization } (the build config or backtest options)
+  async _loadBuildData(historyOptions = {}) {
+    this.tournaments = await FantasyTournaments.loadTournaments();
+    this.setHistoryOptions(historyOptions);
+    const cacheResult = await FantasyHistory.loadHistoryCache(['cacheTimestamp', 'cardDataCache']);
+
+    // Load historical data (check cache first, then fetch if needed)
+    await this.loadHistoricalData(cacheResult);
+    
+    // Scrape portfolio cards from the page
+    await this.scrapePortfolioCards();
+    
+    // Filter cards to only those in portfolio
+    this.filterCardsByPortfolio();
+    
+    // Clear score cache when cards change (portfolio filtering may have changed available cards)
+    this.scoreCache.clear();
+    this.sortedCardsCache = null;
+    this.lastConfigHash = null;
+
+    console.log(`✅ ${this.cards.length} cards available for selection (from portfolio)`);
+  }
+
   // Build deck (can be called from button or popup)
   async buildDeck(config = null) {
     console.log('🪄 Building deck...');
 
     try {
-      // Load config and data
-      let finalConfig = config;
-      if (!finalConfig) {
-        const configResult = await chrome.storage.local.get(['lastConfig']);
-        finalConfig = configResult.lastConfig || {
-          algorithm: 'exponentialSmoothing',
-          scoreOverrides: {}
-        };
-        if (!finalConfig.scoreOverrides) finalConfig.scoreOverrides = {};
-        if (finalConfig.scoreOverrides['0XMAKESY'] === undefined) finalConfig.scoreOverrides['0XMAKESY'] = 300;
-      }
+      const finalConfig = await this._loadBuildConfig(config);
       
-      const cacheResult = await chrome.storage.local.get(['cacheTimestamp', 'historicalDataCache', 'cardDataCache']);
-      
-      const tournament = (finalConfig.tournament || 'bronze').toLowerCase();
-      const tournConfig = FantasyDeckBuilder.TOURNAMENTS[tournament] || FantasyDeckBuilder.TOURNAMENTS.bronze;
-      finalConfig.tournament = tournament;
-      finalConfig.targetStars = tournConfig.targetStars;
-      finalConfig.cardCount = 5;
-      finalConfig.maxRares = tournConfig.maxRares;
-      finalConfig.maxEpics = tournConfig.maxEpics;
-      finalConfig.maxLegendaries = tournConfig.maxLegendaries;
+      await this._loadBuildData(finalConfig);
 
+      finalConfig.tournament = this._tournamentId(finalConfig.tournament);
       if (FantasyDeckBuilder.DEBUG) {
         console.log('⚙️ Configuration loaded:', finalConfig);
-        console.log(`🎯 Tournament: ${tournConfig.label}`);
+        console.log(`🎯 Tournament: ${this.tournaments[finalConfig.tournament].label}`);
       }
 
-      // Load historical data (check cache first, then fetch if needed)
-      await this.loadHistoricalData(cacheResult);
-      
-      // Scrape portfolio cards from the page
-      await this.scrapePortfolioCards();
-      
-      // Filter cards to only those in portfolio
-      this.filterCardsByPortfolio();
-      
-      // Clear score cache when cards change (portfolio filtering may have changed available cards)
-      this.scoreCache.clear();
-      this.sortedCardsCache = null;
-      this.lastConfigHash = null;
-
-      console.log(`✅ ${this.cards.length} cards available for selection (from portfolio)`);
-
-      // Find best deck
+      // Find best deck (plus the next-best distinct alternatives)
       console.log('🧮 Calculating optimal deck combination...');
-      const bestDeck = this.findBestDeck(finalConfig);
+      const solved = this.findBestDeck(finalConfig);
+
+      if (solved?.infeasible) {
+        this.showNotification(`Locks make this tournament infeasible: ${solved.infeasible}`, 'error', { persistent: true });
+        return { success: false, infeasible: true, error: `Infeasible: ${solved.infeasible}` };
+      }
       
-      if (!bestDeck || bestDeck.length === 0) {
+      if (!solved || solved.decks.length === 0) {
         console.error('❌ Could not find valid combination');
         this.showNotification('Could not find valid combination', 'error');
         return { success: false, error: 'Could not find valid combination' };
       }
 
+      const decks = solved.decks.map(cards => ({ ...this._summarizeDeck(cards), tournament: finalConfig.tournament }));
+      const best = decks[0];
       console.log('✅ Optimal deck found:');
-      bestDeck.forEach((card, i) => {
+      best.cards.forEach((card, i) => {
         const r = FantasyDeckBuilder.RARITY_LABEL[card.rarity ?? 4] || 'Common';
         console.log(`  ${i + 1}. ${card.name} (${card.stars}⭐ ${r}) - Expected: ${card.expectedScore.toFixed(0)}`);
       });
-      const totalStars = bestDeck.reduce((sum, card) => sum + card.stars, 0);
-      const totalExpected = bestDeck.reduce((sum, card) => sum + card.expectedScore, 0);
-      const rarities = bestDeck.map(c => FantasyDeckBuilder.RARITY_LABEL[c.rarity ?? 4] || 'Common').join(', ');
-      console.log(`📊 Total: ${totalStars}⭐ | Expected Score: ${totalExpected.toFixed(0)} | Rarities: [${rarities}]`);
+      console.log(`📊 Total: ${best.totalStars}⭐ | Expected Score: ${best.totalExpected.toFixed(0)} | Rarities: [${best.rarityMix}]`);
+      if (decks.length > 1) {
+        console.log(`🔀 ${decks.length - 1} alternative deck(s) kept for click-to-apply`);
+      }
+      this.lastDecks = decks;
+      this.lastDeckMode = 'single';
+      this.lastSolve = { method: solved.method, optimal: solved.optimal };
+      this.lastBuildNotes = [this._portfolioSourceNote(), ...(solved.notes || [])].filter(Boolean);
 
       // Only clear and select cards if on deckbuilder page
-      if (window.location.href.includes('/deckbuilder')) {
-        // Clear and select cards
+      const onDeckBuilder = window.location.href.includes('/deckbuilder');
+      if (onDeckBuilder) {
         console.log('🗑️ Clearing current deck...');
         await this.clearDeck();
         
         console.log('👆 Selecting new cards...');
-        await this.selectCards(bestDeck);
-        
-        const deckLines = bestDeck.map(c => this._deckCardLine(c)).join('\n');
-        this.showNotification(`✅ Deck built! ${bestDeck.length} cards (${totalStars}⭐). Total expected: ${totalExpected.toFixed(0)}\n\n${deckLines}`, 'success', { persistent: true });
-      } else {
-        const deckLines = bestDeck.map(c => this._deckCardLine(c)).join('\n');
-        this.showNotification(`✅ Optimal deck: ${bestDeck.length} cards (${totalStars}⭐). Total expected: ${totalExpected.toFixed(0)}\n\n${deckLines}`, 'success', { persistent: true });
+        await this.selectCards(best.cards);
       }
+      this.showDeckResults(decks, 0, onDeckBuilder);
       
       console.log('🎉 Deck building complete!');
       
       // Save calculated scores for UI reference
       await this.saveCalculatedScores(finalConfig);
       
+      const serialized = decks.map(d => this._serializeDeck(d));
       return {
         success: true,
-        cards: bestDeck.map(c => ({
-          name: c.handle || c.name,
-          stars: c.stars,
-          expectedScore: c.expectedScore,
-          rarity: c.rarity
-        })),
-        totalStars,
-        totalExpected
+        cards: serialized[0].cards,
+        totalStars: best.totalStars,
+        totalExpected: best.totalExpected,
+        decks: serialized,
+        appliedIndex: onDeckBuilder ? 0 : null,
+        method: solved.method,
+        optimal: solved.optimal,
+        excluded: FantasyPortfolio.summarizeFetchFailures(this.lastFetchReport),
+        notes: this.lastBuildNotes,
+        pinnedSnapshot: this.pinnedSnapshot?.timestamp ?? null
       };
     } catch (error) {
       console.error('❌ Error building deck:', error);
@@ -386,28 +503,299 @@ class FantasyDeckBuilder {
     }
   }
 
-  // Build deck when custom wand button is clicked
-  async buildDeckFromButton() {
-    const button = document.getElementById('fantasy-custom-wand');
-    if (!button) return;
-    
-    button.classList.add('loading');
-    const result = await this.buildDeck();
-    button.classList.remove('loading');
-    return result;
+  // Build one deck per tournament entry at once, never reusing a cardId across decks (popup "Build all")
+  async buildMultiDeck(config = null) {
+    console.log('🪄 Building multi-tournament decks...');
+
+    try {
+      const finalConfig = await this._loadBuildConfig(config);
+      await this._loadBuildData(finalConfig);
+
+      const entries = (finalConfig.multiDeck || [])
+        .map(e => ({ tournament: String(e.tournament || '').toLowerCase(), count: parseInt(e.count) || 0 }))
+        .filter(e => e.count > 0 && this.tournaments[e.tournament]);
+      if (entries.length === 0) {
+        return { success: false, error: 'Add at least one tournament entry' };
+      }
+
+      console.log('🧮 Allocating portfolio across tournaments...');
+      const solved = this.findMultiDeck(entries, finalConfig);
+      const decks = solved.decks.map(slot => ({
+        ...this._summarizeDeck(slot.cards || []),
+        label: slot.label,
+        tournament: slot.tournament,
+        infeasible: !slot.cards
+      }));
+      if (decks.every(d => d.infeasible)) {
+        this.showNotification('Could not find valid combination', 'error');
+        return { success: false, error: 'Could not find valid combination' };
+      }
+
+      const totalExpected = decks.reduce((sum, d) => sum + d.totalExpected, 0);
+      console.log(`📊 ${decks.length} decks, total expected: ${totalExpected.toFixed(0)}`);
+      this.lastDecks = decks;
+      this.lastDeckMode = 'multi';
+      this.lastSolve = { method: solved.method, optimal: solved.method === 'exact' };
+      this.lastBuildNotes = [this._portfolioSourceNote(), ...(solved.notes || [])].filter(Boolean);
+
+      const onDeckBuilder = window.location.href.includes('/deckbuilder');
+      this.showDeckResults(decks, null, onDeckBuilder, { multi: true });
+
+      await this.saveCalculatedScores(finalConfig);
+
+      return {
+        success: true,
+        multi: true,
+        decks: decks.map(d => this._serializeDeck(d)),
+        totalExpected,
+        method: solved.method,
+        excluded: FantasyPortfolio.summarizeFetchFailures(this.lastFetchReport),
+        notes: this.lastBuildNotes,
+        pinnedSnapshot: this.pinnedSnapshot?.timestamp ?? null
+      };
+    } catch (error) {
+      console.error('❌ Error building decks:', error);
+      this.showNotification(`Error: ${error.message}`, 'error');
+      return { success: false, error: error.message };
+    }
   }
 
-  // Format one card for deck-built message: name (expectedScore) [rarity]. expectedScore is already rarity-adjusted.
+  // Swap the page's deck for one of the decks from the last build (0 = best)
+  async applyDeck(index) {
+    const deck = this.lastDecks?.[index];
+    if (!deck || deck.infeasible) {
+      return { success: false, error: 'Deck no longer available. Build again.' };
+    }
+    if (!window.location.href.includes('/deckbuilder')) {
+      return { success: false, error: 'Open the deck builder to apply a deck' };
+    }
+    console.log(`🔀 Applying deck ${deck.label || `#${index + 1}`}...`);
+    await this.clearDeck();
+    await this.selectCards(deck.cards);
+    this.showDeckResults(this.lastDecks, index, true, { multi: this.lastDeckMode === 'multi' });
+    return { success: true, index, ...this._serializeDeck(deck) };
+  }
+
+  // Totals and rarity mix for one deck (cards keep their DOM-free solver shape)
+  _summarizeDeck(cards) {
+    const totalStars = cards.reduce((sum, card) => sum + card.stars, 0);
+    const totalExpected = cards.reduce((sum, card) => sum + (card.expectedScore ?? 0), 0);
+    const counts = {};
+    cards.forEach(c => {
+      const name = FantasyDeckBuilder.RARITY_NAME[c.rarity ?? 4] || 'Common';
+      counts[name] = (counts[name] || 0) + 1;
+    });
+    const rarityMix = Object.entries(counts).map(([name, n]) => `${n} ${name}`).join(', ');
+    const distribution = FantasyScoring.combineDistributions(cards.map(c => ({
+      mean: c.expectedScore ?? 0,
+      stdDev: c.distribution?.stdDev ?? 0
+    })));
+    return { cards, totalStars, totalExpected, rarityMix, distribution };
+  }
+
+  // Plain-object deck for popup messages
+  _serializeDeck(deck) {
+    return {
+      cards: deck.cards.map(c => ({
+        name: c.handle || c.name,
+        heroKey: c.heroKey,
+        cardId: c.cardId,
+        stars: c.stars,
+        expectedScore: c.expectedScore,
+        rarity: c.rarity,
+        multiplier: c.multiplier,
+        modifiers: c.modifiers
+      })),
+      totalStars: deck.totalStars,
+      totalExpected: deck.totalExpected,
+      rarityMix: deck.rarityMix,
+      distribution: deck.distribution,
+      tournament: deck.tournament,
+      label: deck.label,
+      infeasible: deck.infeasible
+    };
+  }
+
+  // Persistent result panel: applied deck in full, then every deck with an Apply button.
+  // options.multi: decks are one per tournament entry (all listed in full, none applied yet)
+  showDeckResults(decks, appliedIndex, onDeckBuilder, options = {}) {
+    const { multi = false } = options;
+    // Cards the portfolio load or the solver had to leave out are not in any deck: say so up front, as well
+    // as a history pinned to an older snapshot
+    const excluded = FantasyPortfolio.summarizeFetchFailures(this.lastFetchReport);
+    const warnings = [excluded, ...this.lastBuildNotes].filter(Boolean).map(note => `\n⚠️ ${note}`).join('');
+    const pinned = this.pinnedSnapshot ? `\n📌 History pinned to the snapshot of ${new Date(this.pinnedSnapshot.timestamp).toLocaleString()}` : '';
+    const notesLine = `${warnings}${pinned}`;
+    const solveLabel = FantasyDeckBuilder.SOLVE_METHOD_LABEL[this.lastSolve?.method];
+    const solveLine = solveLabel ? `\nSolver: ${solveLabel}` : '';
+    let message;
+    if (multi) {
+      const totalExpected = decks.reduce((sum, d) => sum + d.totalExpected, 0);
+      const blocks = decks.map(d => d.infeasible
+        ? `${d.label}: no valid deck with the remaining cards`
+        : `${d.label} — ${d.totalStars}⭐, expected ${d.totalExpected.toFixed(0)}\n${d.cards.map(c => this._deckCardLine(c)).join('\n')}`);
+      const applied = appliedIndex != null ? ` ${decks[appliedIndex].label} applied.` : '';
+      message = `✅ ${decks.length} decks, no card used twice. Total expected: ${totalExpected.toFixed(0)}.${applied}${solveLine}${notesLine}\n\n${blocks.join('\n\n')}`;
+    } else {
+      const deck = decks[appliedIndex];
+      const deckLines = deck.cards.map(c => this._deckCardLine(c)).join('\n');
+      const title = onDeckBuilder
+        ? (appliedIndex === 0 ? '✅ Deck built!' : `✅ Deck #${appliedIndex + 1} applied!`)
+        : '✅ Optimal deck:';
+      message = `${title} ${deck.cards.length} cards (${deck.totalStars}⭐). Total expected: ${deck.totalExpected.toFixed(0)}\n${this._distributionLine(deck.distribution)}${solveLine}${notesLine}\n\n${deckLines}`;
+    }
+
+    const extra = document.createElement('div');
+    if (decks.length > 1 || (multi && onDeckBuilder)) {
+      const list = document.createElement('div');
+      list.className = 'fantasy-deck-alternatives';
+      decks.forEach((d, i) => {
+        const row = document.createElement('div');
+        row.className = `fantasy-deck-alt${i === appliedIndex ? ' active' : ''}`;
+        const label = document.createElement('span');
+        const name = d.label || `#${i + 1}`;
+        label.textContent = d.infeasible ? `${name} — infeasible` : `${name} ${d.totalStars}⭐ · ${d.totalExpected.toFixed(0)} · ${d.rarityMix}`;
+        label.title = d.cards.map(c => this._deckCardLine(c)).join('\n');
+        row.appendChild(label);
+        if (onDeckBuilder && i !== appliedIndex && !d.infeasible) {
+          const apply = document.createElement('button');
+          apply.textContent = 'Apply';
+          apply.addEventListener('click', () => this.applyDeck(i));
+          row.appendChild(apply);
+        }
+        list.appendChild(row);
+      });
+      extra.appendChild(list);
+    }
+    const simulated = multi ? decks.map((d, i) => i).filter(i => !decks[i].infeasible) : [appliedIndex ?? 0];
+    extra.appendChild(this._simulateControls(simulated));
+    this.showNotification(message, 'success', { persistent: true, extra });
+  }
+
+  // "Simulate" block under a deck result: one cash-line input per tournament involved, a method choice,
+  // and the Monte Carlo summary for each simulated deck. Cash lines are remembered per tournament.
+  _simulateControls(indices) {
+    const block = document.createElement('div');
+    block.className = 'fantasy-deck-simulate';
+    const tournaments = [...new Set(indices.map(i => this.lastDecks[i]?.tournament || FantasyTournaments.DEFAULT_TOURNAMENT))];
+
+    const inputs = {};
+    tournaments.forEach(tournament => {
+      const row = document.createElement('label');
+      row.textContent = `${this.tournaments[tournament]?.name || tournament} cash line`;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.placeholder = 'optional';
+      row.appendChild(input);
+      block.appendChild(row);
+      inputs[tournament] = input;
+    });
+    chrome.storage.local.get(['lastConfig']).then(({ lastConfig }) => {
+      for (const [tournament, input] of Object.entries(inputs)) {
+        const saved = lastConfig?.cashLines?.[tournament];
+        if (saved != null && input.value === '') input.value = saved;
+      }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'fantasy-deck-simulate-actions';
+    const method = document.createElement('select');
+    [['bootstrap', 'Resample weeks'], ['normal', 'Fitted normal']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      method.appendChild(option);
+    });
+    const button = document.createElement('button');
+    button.textContent = 'Simulate';
+    actions.appendChild(method);
+    actions.appendChild(button);
+    block.appendChild(actions);
+
+    const output = document.createElement('div');
+    output.className = 'fantasy-deck-simulate-output';
+    block.appendChild(output);
+
+    button.addEventListener('click', async () => {
+      const thresholds = {};
+      for (const [tournament, input] of Object.entries(inputs)) {
+        if (input.value !== '') thresholds[tournament] = Number(input.value);
+      }
+      const result = await this.simulateDecks(indices, { thresholds, method: method.value });
+      output.textContent = result.success
+        ? result.simulations.map(sim => FantasyScoring.simulationSummary(sim, indices.length > 1)).join('\n\n')
+        : result.error;
+    });
+    return block;
+  }
+
+  // Monte Carlo for decks from the last build (see FantasyScoring.simulateDeck). Each card resamples its
+  // hero's weekly history × the card's multiplier; overridden heroes stay at their override.
+  // options: { thresholds: { tournament: cashLine }, method, trials }. Saves thresholds to lastConfig.cashLines.
+  async simulateDecks(indices, options = {}) {
+    const thresholds = options.thresholds || {};
+    const simulations = [];
+    for (const index of indices) {
+      const deck = this.lastDecks?.[index];
+      if (!deck || deck.infeasible) continue;
+      const parts = deck.cards.map(card => card.overridden
+        ? { fixedScore: card.expectedScore ?? 0 }
+        : {
+          scores: this.historicalData[(card.heroKey || card.handle || card.name).toUpperCase()] || [],
+          multiplier: card.multiplier ?? 1
+        });
+      const tournament = deck.tournament || FantasyTournaments.DEFAULT_TOURNAMENT;
+      const sim = FantasyScoring.simulateDeck(parts, {
+        trials: options.trials || FantasyDeckBuilder.SIMULATION_TRIALS,
+        method: options.method,
+        threshold: thresholds[tournament]
+      });
+      simulations.push({ index, label: deck.label || `Deck #${index + 1}`, tournament, expected: deck.totalExpected, ...sim });
+    }
+    if (simulations.length === 0) {
+      return { success: false, error: 'Deck no longer available. Build again.' };
+    }
+
+    if (Object.keys(thresholds).length > 0) {
+      const { lastConfig } = await chrome.storage.local.get(['lastConfig']);
+      const config = lastConfig || {};
+      config.cashLines = { ...(config.cashLines || {}), ...thresholds };
+      await chrome.storage.local.set({ lastConfig: config });
+    }
+    console.log(`🎲 Simulated ${simulations.length} deck(s)`);
+    return { success: true, simulations };
+  }
+
+  // Estimated deck total range (normal approximation over the cards' recent weekly spread)
+  _distributionLine(d) {
+    if (!d) return '';
+    if (!(d.stdDev > 0)) return `Range: ${d.p50.toFixed(0)} (no week-to-week spread)`;
+    return `Range: P10 ${d.p10.toFixed(0)} · P25 ${d.p25.toFixed(0)} · P50 ${d.p50.toFixed(0)} · P75 ${d.p75.toFixed(0)} · P90 ${d.p90.toFixed(0)} (σ ${d.stdDev.toFixed(0)})`;
+  }
+
+  // Multiplier breakdown for one card, e.g. "Rare ×1.5 · Edition: Genesis ×1.1" (×1 entries left out)
+  _modifierText(c) {
+    return (c.modifiers || [])
+      .filter(m => m.multiplier !== 1)
+      .map(m => `${m.label} ×${Number(m.multiplier.toFixed(2))}`)
+      .join(' · ');
+  }
+
+  // Format one card for deck-built message: name (expectedScore [multipliers]). expectedScore already includes them.
   _deckCardLine(c) {
     const score = (c.expectedScore ?? 0).toFixed(0);
+    const modifiers = this._modifierText(c);
+    if (modifiers) return `${c.handle || c.name} (${score}: ${modifiers})`;
     const label = FantasyDeckBuilder.RARITY_LABEL[c.rarity ?? 4] || '';
     const suffix = label ? ` ${label}` : '';
     return `${c.handle || c.name} (${score}${suffix})`;
   }
 
   // Show notification on page. Deck-built notifications stay until closed or next build.
+  // options.extra: optional element appended below the message (e.g. deck alternatives)
   showNotification(message, type = 'info', options = {}) {
-    const { persistent = false } = options;
+    const { persistent = false, extra = null } = options;
     if (persistent) {
       document.querySelectorAll('.fantasy-deck-notification').forEach(el => el.remove());
     }
@@ -434,6 +822,7 @@ class FantasyDeckBuilder {
       animation: slideIn 0.3s ease;
     `;
     notification.textContent = message;
+    if (extra) notification.appendChild(extra);
     if (persistent) {
       const close = document.createElement('button');
       close.setAttribute('aria-label', 'Close');
@@ -469,22 +858,29 @@ class FantasyDeckBuilder {
   async loadHistoricalData(cacheResult = null) {
     // If cacheResult provided, use it; otherwise fetch (allows batching with other storage calls)
     if (!cacheResult) {
-      cacheResult = await chrome.storage.local.get(['cacheTimestamp', 'historicalDataCache', 'cardDataCache']);
+      cacheResult = await FantasyHistory.loadHistoryCache(['cacheTimestamp', 'cardDataCache']);
     }
     
-    // Load from cache if available
-    if (cacheResult.historicalDataCache) {
-      this.historicalData = cacheResult.historicalDataCache;
-      if (FantasyDeckBuilder.DEBUG) {
-        console.log(`📦 Loaded ${Object.keys(this.historicalData).length} heroes from cache`);
-      }
-    }
+    // Load from cache if available (cards first: star normalization reads their current stars)
     if (cacheResult.cardDataCache) {
       this.cards = cacheResult.cardDataCache;
       if (FantasyDeckBuilder.DEBUG) {
         console.log(`📦 Loaded ${this.cards.length} cards from cache`);
       }
     }
+    if (cacheResult.historicalDataCache) {
+      this.setHistory(cacheResult.historicalDataCache);
+      if (FantasyDeckBuilder.DEBUG) {
+        console.log(`📦 Loaded ${Object.keys(this.historicalData).length} heroes from cache`);
+      }
+    }
+
+    // Pinned to a snapshot: the live cache's age doesn't matter for this build
+    this.pinnedSnapshot = cacheResult.pinnedSnapshot || null;
+    if (this.pinnedSnapshot && this.cards.length > 0) {
+      console.log(`📌 Using the pinned history snapshot from ${new Date(this.pinnedSnapshot.timestamp).toLocaleString()}`);
+      return;
+    }
     
     // Check if cache needs refresh
     if (!cacheResult.cacheTimestamp) {
@@ -501,7 +897,7 @@ class FantasyDeckBuilder {
       await this.scrapeAllHistoricalData();
     } else if (this.cards.length === 0) {
       // Cache exists but no cards loaded - fetch fresh data
-      console.log('🌐 No cards in cache, fetching from Google Sheets...');
+      console.log('🌐 No cards in cache, fetching historical data...');
       await this.scrapeAllHistoricalData();
     } else if (FantasyDeckBuilder.DEBUG) {
       console.log(`✅ Using cached historical data (${cacheAgeHours}h old)`);
@@ -509,334 +905,271 @@ class FantasyDeckBuilder {
   }
 
 
-  // Portfolio cache: single format { portfolioCardMeta, portfolioCardIds }.
-  // portfolioCardMeta = { [cardId]: { heroKey, rarity } }, portfolioCardIds = string[].
+  // Portfolio cache: { portfolioCardMeta, portfolioCardIds }. portfolioCardMeta = { [cardId]: { heroKey, rarity,
+  // attributes, fetchedAt, seenAt } } (also holds recently seen cards that are not owned now, see
+  // FantasyPortfolio.pruneMeta), portfolioCardIds = string[] owned at the last load (returned).
   async loadPortfolioCache() {
-    const result = await chrome.storage.local.get(['portfolioCardMeta', 'portfolioCardIds']);
-    if (result.portfolioCardMeta && result.portfolioCardIds?.length > 0) {
-      this.portfolioCards = result.portfolioCardIds.map(cardId => {
-        const meta = result.portfolioCardMeta[cardId] || {};
+    const result = await chrome.storage.local.get([FantasyPortfolio.META_STORAGE_KEY, FantasyPortfolio.IDS_STORAGE_KEY]);
+    this.cardMeta = result[FantasyPortfolio.META_STORAGE_KEY] || {};
+    const ids = result[FantasyPortfolio.IDS_STORAGE_KEY] || [];
+    if (ids?.length > 0) {
+      this.portfolioCards = ids.map(cardId => {
+        const meta = this.cardMeta[cardId] || {};
         return {
           cardId,
           heroKey: meta.heroKey,
-          rarity: meta.rarity ?? 4
+          rarity: meta.rarity ?? 4,
+          attributes: meta.attributes
         };
       }).filter(c => c.heroKey);
       if (FantasyDeckBuilder.DEBUG) {
         console.log(`📦 Loaded ${this.portfolioCards.length} portfolio cards from cache`);
       }
     }
+    return ids;
   }
 
-  async savePortfolioCache() {
-    const meta = {};
-    const ids = [];
-    this.portfolioCards.forEach(card => {
-      if (card.cardId && card.heroKey) {
-        meta[card.cardId] = { heroKey: card.heroKey, rarity: card.rarity ?? 4 };
-        ids.push(card.cardId);
-      }
+  // Save the owned IDs (including cards left out for missing metadata) and the metadata cache (cardMap: cardId
+  // -> entry, cached or just fetched). Owned cards are marked seen now; complete = the owned list came from the
+  // endpoint (unowned cards are pruned at once).
+  async savePortfolioCache(ids, cardMap, complete) {
+    const now = Date.now();
+    const meta = Object.fromEntries([...cardMap].filter(([, entry]) => entry?.heroKey));
+    ids.forEach(cardId => {
+      meta[cardId] = { ...meta[cardId], seenAt: now };
+    });
+    const pruned = FantasyPortfolio.pruneMeta(meta, ids, { complete, now });
+    this.cardMeta = pruned.meta;
+    await chrome.storage.local.set({
+      [FantasyPortfolio.META_STORAGE_KEY]: pruned.meta,
+      [FantasyPortfolio.IDS_STORAGE_KEY]: ids
     });
-    await chrome.storage.local.set({ portfolioCardMeta: meta, portfolioCardIds: ids });
-    console.log(`💾 Saved ${ids.length} portfolio cardIds`);
+    console.log(`💾 Saved ${ids.length} portfolio cardIds (${Object.keys(pruned.meta).length} cards in the metadata cache, ${pruned.removed} pruned)`);
   }
 
-  // Helper function to parse CSV line (handles quoted fields)
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
+  // Fetch historical data from the configured source (shared importer in history.js). User URLs go through
+  // the service worker, which holds the host permission granted in the popup; page fetches would hit CORS.
+  // trigger is recorded in the refresh history ('build' when the cache is missing or expired at build time)
+  async scrapeAllHistoricalData(trigger = 'build') {
+    const source = await FantasyHistory.loadSource();
+    if (source.provider === 'sheet' || source.provider === 'json') {
+      const response = await chrome.runtime.sendMessage({ action: 'refreshData', trigger });
+      if (!response?.success) throw new Error(response?.error || 'Failed to refresh historical data');
+    } else {
+      await FantasyHistory.fetchHistoricalData({ trigger });
     }
-    result.push(current.trim());
-    return result;
+    // Read back through loadHistoryCache: a pinned snapshot still wins over the fresh import
+    const cached = await FantasyHistory.loadHistoryCache(['cardDataCache']);
+    this.pinnedSnapshot = cached.pinnedSnapshot || null;
+    this.cards = cached.cardDataCache || [];
+    this.setHistory(cached.historicalDataCache || {});
+    return Object.keys(this.historicalData).length;
   }
 
-  // Scrape all historical data from Google Sheets
-  async scrapeAllHistoricalData() {
-    console.log('🌐 Fetching historical data from Google Sheets...');
-    
-    try {
-      // Fetch the public Google Sheet as CSV
-      const sheetId = '10GdAFNpvbCQD5stPiyPDatiWhRW6MAizYwRazLyuSy0';
-      const gid = '0';
-      const csvUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=${gid}`;
-      
-      console.log('📡 Fetching:', csvUrl);
-      const response = await fetch(csvUrl);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const csvText = await response.text();
-      console.log(`✅ Received ${(csvText.length / 1024).toFixed(1)}KB of data`);
-      
-      // Parse CSV
-      const lines = csvText.split('\n');
-      console.log(`📄 Parsing ${lines.length} lines...`);
-      
-      console.log('📋 First 3 lines (raw):');
-      lines.slice(0, 3).forEach((line, i) => {
-        const preview = line.length > 150 ? line.substring(0, 150) + '...' : line;
-        console.log(`  Line ${i}: ${preview}`);
-      });
-      
-      // Headers are on line 2 (index 1)
-      const headers = this.parseCSVLine(lines[1]);
-      console.log(`📋 Found ${headers.length} header columns`);
-      console.log('📋 Headers (first 20):', headers.slice(0, 20).join(' | '));
-      console.log('📋 Headers (70-85):', headers.slice(70, 85).join(' | '));
-      
-//define columns
-      const nameCol = 4;  // Column E (0-indexed, so column 5 = index 4)
-      const handleCol = 5; // Column F
-      const starsCol = 15; // Column P (0-indexed, so column 16 = index 15)
-      
-      // Find tournament columns (53 columns starting from column 75)
-      const tournamentCols = Array.from({ length: 53 }, (_, i) => 75 + i);
-      
-      const historicalData = {};
-      const cardData = [];
-      let processedRows = 0;
-      let skippedRows = 0;
-      
-      console.log('📊 Starting to parse data rows from line 2 onwards...');
-      
-      // Parse each row (starting from row 3, which is line index 2)
-      for (let i = 2; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line.length === 0) {
-          skippedRows++;
-          continue;
-        }
-        
-        const row = this.parseCSVLine(line);
-        
-        if (row.length < 20) {
-          skippedRows++;
-          if (skippedRows <= 3) {
-            console.log(`  ⏭️ Line ${i}: Skipped (only ${row.length} columns)`);
-          }
-          continue;
-        }
-        
-        // Combine name and handle
-        const namePart = row[nameCol]?.trim() || '';
-        const handlePart = row[handleCol]?.trim() || '';
-        const name = `${namePart}`.trim();
-        const handle = `${handlePart}`.trim();
-        const heroKey = (handle || name).toUpperCase();
-        const starsRaw = row[starsCol]?.trim();
-        const stars = parseInt(starsRaw);
-        
-        if (!heroKey || heroKey.length < 2 || isNaN(stars)) {
-          skippedRows++;
-          if (skippedRows <= 3) {
-            console.log(`  ⏭️ Line ${i}: Skipped (heroKey="${heroKey}", stars="${starsRaw}")`);
-          }
-          continue;
-        }
-        
-        // Extract tournament scores (most recent first)
-        const scores = [];
-        for (const i of tournamentCols) {
-          const scoreRaw = row[i]?.trim();
-          const score = parseInt(scoreRaw);
-          if (!isNaN(score) && score >= 0) { // Include 0 scores (heroes with tournament history but scored 0)
-            scores.push(score);
-          }
-        }
-        
-        if (scores.length > 0) {
-          historicalData[heroKey] = scores; // All available historical data (up to 53 weeks)
-          cardData.push({ heroKey, handle, name, stars });
-          processedRows++;
-          
-          if (processedRows <= 5 || processedRows % 50 === 0) {
-            console.log(`  ✓ ${processedRows}. ${heroKey}: ${scores.length} tournaments (${stars}⭐) - Scores: [${scores.slice(0, 4).join(', ')}${scores.length > 4 ? '...' : ''}]`);
-          }
-        } else {
-          skippedRows++;
-          if (skippedRows <= 3) {
-            console.log(`  ⏭️ Line ${i}: "${heroKey}" skipped (no tournament scores found)`);
-          }
-        }
-      }
-      
-      console.log('');
-      console.log('✅ === PARSING COMPLETE ===');
-      console.log(`   ✓ ${processedRows} heroes successfully processed`);
-      console.log(`   ⏭️ ${skippedRows} rows skipped`);
-      console.log(`   📊 Success rate: ${((processedRows / (processedRows + skippedRows)) * 100).toFixed(1)}%`);
-      console.log('');
-      
-      // Save to cache
-      this.historicalData = historicalData;
-      this.cards = cardData;
-      
-      await chrome.storage.local.set({
-        historicalDataCache: historicalData,
-        cardDataCache: cardData,
-        cacheTimestamp: Date.now()
-      });
+  // Stored week entries -> historicalData (weekly scores) under the current history options
+  setHistory(entries) {
+    this.historyEntries = entries || {};
+    this.heroStars = Object.fromEntries(this.cards.map(card => [card.heroKey, card.stars]));
+    this.playedWeeks = FantasyScoring.playedWeeks(this.historyEntries);
+    this.historicalData = FantasyScoring.weeklyData(this.historyEntries, this.historyOptions.missingWeeks, {
+      normalize: this.historyOptions.starNormalization,
+      stars: this.heroStars
+    });
+  }
 
-      console.log(`💾 Historical data cached for ${Object.keys(historicalData).length} heroes`);
-      return Object.keys(historicalData).length;
-      
+  setHistoryOptions(options = {}) {
+    const next = {
+      missingWeeks: options.missingWeeks || FantasyScoring.DEFAULT_MISSING_WEEKS,
+      starNormalization: options.starNormalization || FantasyScoring.DEFAULT_STAR_NORMALIZATION
+    };
+    if (next.missingWeeks === this.historyOptions.missingWeeks && next.starNormalization === this.historyOptions.starNormalization) return;
+    this.historyOptions = next;
+    this.setHistory(this.historyEntries);
+    this.scoreCache.clear();
+  }
+
+
+  // Wallet for the portfolio endpoint: from a /player/0x… URL (remembered), else the last one seen
+  async _portfolioWallet() {
+    const match = window.location.href.match(/\/player\/(0x[a-fA-F0-9]+)/);
+    if (match) {
+      const wallet = match[1].toLowerCase();
+      await chrome.storage.local.set({ [FantasyPortfolio.WALLET_STORAGE_KEY]: wallet });
+      return wallet;
+    }
+    return (await chrome.storage.local.get([FantasyPortfolio.WALLET_STORAGE_KEY]))[FantasyPortfolio.WALLET_STORAGE_KEY] || null;
+  }
+
+  // Every owned card ID from the configured endpoint (via the service worker), or null when no endpoint is
+  // set or it fails (callers fall back to the DOM; the failure is kept in portfolioEndpointError)
+  async _loadOwnedCardIds() {
+    this.portfolioEndpointError = null;
+    const result = await chrome.storage.local.get([FantasyPortfolio.ENDPOINT_STORAGE_KEY]);
+    if (!result[FantasyPortfolio.ENDPOINT_STORAGE_KEY]) return null;
+    const wallet = await this._portfolioWallet();
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'fetchPortfolio', wallet });
+      if (!response?.success) throw new Error(response?.error || 'no response');
+      console.log(`📡 Portfolio endpoint: ${response.cardIds.length} cards for ${wallet}`);
+      return response.cardIds;
     } catch (error) {
-      console.error('❌ Error fetching from Google Sheets:', error);
-      throw new Error('Failed to fetch data from Google Sheets');
+      console.warn(`⚠️ Portfolio endpoint failed (${error.message}), reading cards from the page instead`);
+      this.portfolioEndpointError = error.message;
+      return null;
     }
   }
 
+  // Deck result note when the portfolio came from the page, which may not render every owned card ('' for
+  // the endpoint). Points at the popup setting that loads the whole wallet.
+  _portfolioSourceNote() {
+    if (this.portfolioSource?.source !== 'page') return '';
+    if (this.portfolioSource.endpointError) {
+      return `Portfolio endpoint failed (${this.portfolioSource.endpointError}), so only the cards shown on the page were used`;
+    }
+    return 'Only the cards shown on the page were used; set a Portfolio endpoint in the popup settings to load the whole wallet';
+  }
 
-  // Scrape portfolio cards from the page
-  async scrapePortfolioCards() {
-    console.log('🔍 Scraping portfolio cards from page...');
+  // Card IDs rendered on the page (img alt like "200590_0x806aB8Efb6b0Db382A76972AD97Fa830EEd1274E")
+  _domCardIds() {
+    const ids = Array.from(document.querySelectorAll('img[alt]'))
+      .map(img => (img.getAttribute('alt') || '').match(/^(\d+)_0x[a-fA-F0-9]+$/)?.[1])
+      .filter(Boolean);
+    return [...new Set(ids)];
+  }
 
-    if (!FantasyDeckBuilder.SKIP_CARD_CACHE) {
-      await this.loadPortfolioCache();
-    } else {
-      this.portfolioCards = [];
-      console.log('⚠️ Card cache disabled – fetching all metadata from API');
-    }
+  // Card metadata API response -> cache entry; null when it names no hero
+  _parseCardMetadata(metadata) {
+    const heroName = metadata?.name || null;
+    if (!heroName) return null;
+    const attrs = metadata.attributes || [];
+    const rarityAttr = attrs.find(a => a.trait_type === 'Rarity');
+    return {
+      heroKey: heroName.toUpperCase(),
+      rarity: FantasyDeckBuilder.parseRarityFromApi(rarityAttr?.value) ?? 4,
+      // Other traits (edition, specials, ...) feed the tournament's cardModifiers
+      attributes: Object.fromEntries(attrs
+        .filter(a => a.trait_type && a.trait_type !== 'Rarity')
+        .map(a => [a.trait_type, a.value])),
+      fetchedAt: Date.now()
+    };
+  }
 
-    // Find all card images on the page
-    const cardImages = Array.from(document.querySelectorAll('img[alt]')).filter(img => {
-      const alt = img.getAttribute('alt') || '';
-      // Look for pattern like "200590_0x806aB8Efb6b0Db382A76972AD97Fa830EEd1274E"
-      return /^\d+_0x[a-fA-F0-9]+$/.test(alt);
+  // Merge freshly fetched entries into the stored metadata cache mid-run, so an interrupted or failed load
+  // resumes where it stopped instead of refetching everything
+  async _persistCardMeta(entries) {
+    const stored = await chrome.storage.local.get([FantasyPortfolio.META_STORAGE_KEY]);
+    const now = Date.now();
+    const meta = stored[FantasyPortfolio.META_STORAGE_KEY] || {};
+    entries.forEach(([cardId, entry]) => {
+      meta[cardId] = { ...entry, seenAt: now };
     });
-    
-    console.log(`📸 Found ${cardImages.length} card images with valid alt attributes`);
-    
-    if (cardImages.length === 0) {
-      console.warn('⚠️ No portfolio cards found on page');
-      return [];
-    }
-    
-    // Create map for quick lookup (from cache when not skipped; otherwise empty so we fetch all)
-    const cachedCardMap = new Map(); // cardId -> card
-    if (!FantasyDeckBuilder.SKIP_CARD_CACHE) {
-      this.portfolioCards.forEach(card => {
-        if (card.cardId) cachedCardMap.set(card.cardId, card);
-      });
-    }
+    await chrome.storage.local.set({ [FantasyPortfolio.META_STORAGE_KEY]: meta });
+  }
 
-    // Extract card IDs (deduplicate) – when cache skipped, all cardIds need fetch
-    const cardIdsToFetch = new Set();
-    const cardIdToImg = new Map();
-    
-    for (const img of cardImages) {
-      const alt = img.getAttribute('alt');
-      const match = alt.match(/^(\d+)_/);
-      if (!match) continue;
-      
-      const cardId = match[1];
-      const cached = cachedCardMap.get(cardId);
-      const heroKeyMissing = !cached || cached.heroKey == null || cached.heroKey === '' || !String(cached.heroKey).trim();
-      const rarityInvalid = !cached || cached.rarity == null || cached.rarity < 1 || cached.rarity > 4;
-      const needFetch = heroKeyMissing || rarityInvalid;
-      if (needFetch && !cardIdsToFetch.has(cardId)) {
-        cardIdsToFetch.add(cardId);
-        cardIdToImg.set(cardId, img);
+  // Metadata for the cards the cache can't answer (missing, incomplete or past the TTL, see
+  // FantasyPortfolio.isMetaFresh): fills cardMap (cardId -> { heroKey, rarity, attributes, fetchedAt }) from the
+  // card metadata API through a fetch queue with backoff on 429 / 5xx. A stale entry stays in place if its
+  // refetch fails. Returns the run report { total, fetched, failed: [{ cardId, reason, stale }], retries,
+  // rateLimited }.
+  async _fetchCardMetadata(cardIds, cardMap, options = {}) {
+    const {
+      concurrency = FantasyDeckBuilder.METADATA_CONCURRENCY,
+      retries = FantasyDeckBuilder.METADATA_RETRIES,
+      baseDelayMs = FantasyDeckBuilder.METADATA_BACKOFF_MS
+    } = options;
+    const now = Date.now();
+    const pending = cardIds.filter(cardId => !FantasyPortfolio.isMetaFresh(cardMap.get(cardId), now));
+    const report = { total: pending.length, fetched: 0, failed: [], retries: 0, rateLimited: 0 };
+    const gate = { until: 0 }; // shared pause after a 429
+    let unsaved = [];
+    let saving = Promise.resolve(); // partial saves run one after another (read-modify-write)
+
+    await FantasyPortfolio.runQueue(pending, async (cardId, index) => {
+      const apiUrl = `https://r2.fantasy.top/${FantasyDeckBuilder.CARD_CONTRACT}/${cardId}`;
+      if (FantasyDeckBuilder.DEBUG) {
+        console.log(`  📡 Fetching ${index + 1}/${pending.length}: ${apiUrl}`);
       }
-    }
-    
-    // Batch fetch uncached cards in parallel (limit concurrency to avoid rate limiting)
-    const CONCURRENT_FETCHES = 5;
-    const cardIdsArray = Array.from(cardIdsToFetch);
-    let fetchedCount = 0;
-    
-    for (let i = 0; i < cardIdsArray.length; i += CONCURRENT_FETCHES) {
-      const batch = cardIdsArray.slice(i, i + CONCURRENT_FETCHES);
-      const fetchPromises = batch.map(async (cardId) => {
-        try {
-          // Use contract address for card metadata API
-          const contractAddress = '0x806aB8Efb6b0Db382A76972AD97Fa830EEd1274E';
-          const apiUrl = `https://r2.fantasy.top/${contractAddress}/${cardId}`;
-          if (FantasyDeckBuilder.DEBUG) {
-            console.log(`  📡 Fetching ${i + batch.indexOf(cardId) + 1}/${cardIdsArray.length}: ${apiUrl}`);
-          }
-          
-          const response = await fetch(apiUrl);
-          if (!response.ok) {
-            if (FantasyDeckBuilder.DEBUG) {
-              console.warn(`  ⚠️ Failed to fetch ${cardId}: ${response.status}`);
-            }
-            return null;
+      let reason;
+      try {
+        const response = await FantasyPortfolio.fetchWithBackoff(apiUrl, {
+          retries,
+          baseDelayMs,
+          gate,
+          onRetry: (attempt, why) => {
+            report.retries++;
+            if (why === 'HTTP 429') report.rateLimited++;
+            if (FantasyDeckBuilder.DEBUG) console.warn(`  🔁 Retry ${attempt} for ${cardId} (${why})`);
           }
-          
-          const metadata = await response.json();
-          const heroName = metadata.name || null;
-          const heroKey = (heroName || '').toUpperCase();
-          const attrs = metadata.attributes || [];
-          const rarityAttr = attrs.find(a => a.trait_type === 'Rarity');
-          const rarity = FantasyDeckBuilder.parseRarityFromApi(rarityAttr?.value) ?? 4;
-
-          if (!heroName) {
-            if (FantasyDeckBuilder.DEBUG) {
-              console.warn(`  ⚠️ Missing data for ${cardId}: name=${heroName}`);
+        });
+        if (response.ok) {
+          const entry = this._parseCardMetadata(await response.json());
+          if (entry) {
+            cardMap.set(cardId, { ...cardMap.get(cardId), ...entry });
+            report.fetched++;
+            unsaved.push([cardId, cardMap.get(cardId)]);
+            if (unsaved.length >= FantasyDeckBuilder.METADATA_PERSIST_EVERY) {
+              const batch = unsaved;
+              unsaved = [];
+              saving = saving.then(() => this._persistCardMeta(batch));
+              await saving;
             }
-            return null;
+            return;
           }
-
-          fetchedCount++;
-          return { cardId, heroKey, heroName, rarity };
-        } catch (error) {
-          if (FantasyDeckBuilder.DEBUG) {
-            console.error(`  ❌ Error fetching card ${cardId}:`, error);
-          }
-          return null;
+          reason = 'no hero name in metadata';
+        } else {
+          reason = `HTTP ${response.status}`;
         }
-      });
-      
-      const results = await Promise.all(fetchPromises);
-      
-      // Process results
-      for (const result of results) {
-        if (!result) continue;
-        cachedCardMap.set(result.cardId, { heroKey: result.heroKey, rarity: result.rarity ?? 4 });
-      }
-      
-      // Small delay between batches to avoid overwhelming the API
-      if (i + CONCURRENT_FETCHES < cardIdsArray.length) {
-        await this.sleep(100);
+      } catch (error) {
+        reason = error.message;
       }
+      const stale = Boolean(cardMap.get(cardId)?.heroKey);
+      report.failed.push({ cardId, reason, stale });
+      console.warn(`⚠️ Card ${cardId}: metadata not loaded (${reason})${stale ? ' — using cached metadata' : ' — left out'}`);
+    }, { concurrency });
+
+    await saving;
+    if (unsaved.length > 0) await this._persistCardMeta(unsaved);
+    return report;
+  }
+
+  // Load the portfolio: owned card IDs from the portfolio endpoint when configured (the whole wallet, no
+  // scrolling), else the card images on the page. Saves portfolioCardMeta/portfolioCardIds and the diff
+  // against the previous run (portfolioDiff; sold is only known from the endpoint's complete list).
+  async scrapePortfolioCards() {
+    console.log('🔍 Loading portfolio cards...');
+
+    const previousIds = await this.loadPortfolioCache();
+
+    let cardIds = await this._loadOwnedCardIds();
+    const source = cardIds ? 'endpoint' : 'page';
+    this.portfolioSource = { source, endpointError: this.portfolioEndpointError };
+    if (!cardIds) {
+      cardIds = this._domCardIds();
+      console.log(`📸 Found ${cardIds.length} card images with valid alt attributes`);
+    }
+    
+    if (cardIds.length === 0) {
+      console.warn('⚠️ No portfolio cards found');
+      return [];
     }
     
-    // Build portfolio cards from all card images (cached + newly fetched)
+    // Every cached card, owned at the last load or not (sold and bought back, or not rendered last time)
+    const cachedCardMap = new Map(Object.entries(this.cardMeta)); // cardId -> metadata entry
+
+    const report = await this._fetchCardMetadata(cardIds, cachedCardMap);
+    
+    // Build portfolio cards (cached + newly fetched)
     const portfolioCards = [];
-    const processedCardIds = new Set();
     let cachedCount = 0;
     
-    for (const img of cardImages) {
-      const alt = img.getAttribute('alt');
-      const match = alt.match(/^(\d+)_/);
-      if (!match) continue;
-      
-      const cardId = match[1];
-      if (processedCardIds.has(cardId)) continue;
-      processedCardIds.add(cardId);
-      
+    for (const cardId of cardIds) {
       const cachedCard = cachedCardMap.get(cardId);
       if (cachedCard && cachedCard.heroKey) {
         portfolioCards.push({
           cardId,
           heroKey: cachedCard.heroKey,
-          rarity: cachedCard.rarity ?? 4
+          rarity: cachedCard.rarity ?? 4,
+          attributes: cachedCard.attributes || {}
         });
         cachedCount++;
       } else if (cachedCard && !cachedCard.heroKey) {
@@ -847,14 +1180,24 @@ class FantasyDeckBuilder {
       }
     }
       
-    console.log(`📊 Portfolio scraping: ${cachedCount} from cache, ${fetchedCount} fetched from API`);
+    console.log(`📊 Portfolio (${source}): ${cachedCount - report.fetched} from cache, ${report.fetched} fetched from API` +
+      (report.retries > 0 ? `, ${report.retries} retries (${report.rateLimited} rate-limited)` : ''));
+    this.lastFetchReport = { ...report, timestamp: Date.now() };
+    await chrome.storage.local.set({ [FantasyPortfolio.FETCH_REPORT_STORAGE_KEY]: this.lastFetchReport });
+    const excluded = FantasyPortfolio.summarizeFetchFailures(report);
+    if (excluded) console.warn(`⚠️ ${excluded}`);
+
+    // Acquired / sold since the last run (by owned ID, so cards left out for metadata are not "sold")
+    const meta = Object.fromEntries([...cachedCardMap]);
+    const diff = FantasyPortfolio.diffPortfolio(previousIds, cardIds, meta, source === 'endpoint');
+    const portfolioDiff = { ...diff, source, total: cardIds.length, timestamp: Date.now() };
+    await chrome.storage.local.set({ [FantasyPortfolio.DIFF_STORAGE_KEY]: portfolioDiff });
+    console.log(`🔄 Portfolio: ${FantasyPortfolio.summarizeDiff(portfolioDiff)}`);
 
     // Update portfolio cards (replace with fresh scrape, but keep cache for API optimization)
     this.portfolioCards = portfolioCards;
 
-    if (!FantasyDeckBuilder.SKIP_CARD_CACHE) {
-      await this.savePortfolioCache();
-    }
+    await this.savePortfolioCache(cardIds, cachedCardMap, source === 'endpoint');
 
     const uniqueHeroes = new Set(this.portfolioCards.map(c => c.heroKey));
     console.log(`✅ Portfolio now has ${this.portfolioCards.length} cards (${uniqueHeroes.size} unique heroes)`);
@@ -904,7 +1247,8 @@ class FantasyDeckBuilder {
           filteredCards.push({
             ...card,
             cardId: match.cardId,
-            rarity: match.rarity ?? 4
+            rarity: match.rarity ?? 4,
+            attributes: match.attributes || {}
           });
           usedCardIdsInFilter.add(match.cardId);
         }
@@ -968,127 +1312,579 @@ class FantasyDeckBuilder {
   }
  */
 
-  // Calculate expected score for a card based on historical data
-  calculateScore(name, algorithm, excludeNoHistory = false) {
-    const historicalScores = this.historicalData[name.toUpperCase()];
-    
-    if (!historicalScores || historicalScores.length === 0) {
-      return 0; // Always return 0 for no history (excludeNoHistory removed)
-    }
+  // Calculate expected score for a card based on historical data (shared engine in scoring.js), shrunk
+  // toward the hero's star-tier baseline when the algorithm's prior is on.
+  // holdoutWeeks hides the most recent weeks (backtesting "as of" an earlier week).
+  calculateScore(name, algorithm, holdoutWeeks = 0, params) {
+    const heroKey = name.toUpperCase();
+    const allScores = this.historicalData[heroKey];
+    const scores = holdoutWeeks > 0 ? allScores?.slice(holdoutWeeks) : allScores;
+    const observed = FantasyScoring.calculateScore(scores, algorithm, params);
+    const priorWeeks = FantasyScoring.resolveParams(algorithm, params).priorWeeks;
+    if (!(priorWeeks > 0)) return observed;
+    const baseline = this._tierBaselines(algorithm, holdoutWeeks, params)[this.heroStars[heroKey]];
+    const played = this.playedWeeks[heroKey]?.slice(holdoutWeeks);
+    return FantasyScoring.applyPrior(observed, FantasyScoring.weeksPlayed(scores, played), baseline, priorWeeks).score;
+  }
 
-    switch (algorithm) {
-      case 'recent6weeks':
-        return this.averageScore(historicalScores.slice(0, 6));
-      
-      case 'recent4weeks':
-        return this.averageScore(historicalScores.slice(0, 4));
-      
-    case 'recent6exclude1':
-      return this.averageExcludingOutliers(historicalScores.slice(0, 6), 1);
-    
-    case 'recent4exclude1':
-      return this.averageExcludingOutliers(historicalScores.slice(0, 4), 1);
-      
-      case 'weighted':
-        return this.weightedScore(historicalScores);
-      
-      case 'consistencyFloor':
-        return this.consistencyFloor(historicalScores.slice(0, 6));
-      
-      case 'consistencyMedian':
-        return this.consistencyMedian(historicalScores.slice(0, 6));
-      
-      case 'exponentialSmoothing':
-        return this.exponentialSmoothing(historicalScores, 0.3);
-      
-      default:
-        return this.exponentialSmoothing(historicalScores, 0.3);
+  // Star-tier baselines for the prior over every hero with history, cached like expected scores
+  _tierBaselines(algorithm, holdoutWeeks, params) {
+    const cacheKey = `_baselines_${algorithm}_${JSON.stringify(params || {})}_${holdoutWeeks}`;
+    let baselines = this.scoreCache.get(cacheKey);
+    if (baselines === undefined) {
+      const history = {};
+      const played = {};
+      for (const [heroKey, scores] of Object.entries(this.historicalData)) {
+        history[heroKey] = scores.slice(holdoutWeeks);
+        played[heroKey] = this.playedWeeks[heroKey]?.slice(holdoutWeeks);
+      }
+      baselines = FantasyScoring.tierBaselines(history, this.heroStars, algorithm, params, played);
+      this.scoreCache.set(cacheKey, baselines);
     }
+    return baselines;
   }
 
-  averageScore(scores) {
-    if (scores.length === 0) return 0;
-    return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  // Resolved parameters for the configured algorithm (config.algorithmParams is keyed by algorithm id)
+  _algorithmParams(config) {
+    return FantasyScoring.resolveParams(config.algorithm, FantasyScoring.paramsFor(config.algorithm, config.algorithmParams));
   }
 
-  averageExcludingOutliers(scores, numToExclude) {
-    if (scores.length <= numToExclude) {
-      return this.averageScore(scores);
+  // Generate config hash for cache invalidation
+  _getConfigHash(config) {
+    const overridesStr = JSON.stringify(config.scoreOverrides || {});
+    const paramsStr = JSON.stringify(this._algorithmParams(config));
+    return `${config.algorithm}_${paramsStr}_${config.missingWeeks || FantasyScoring.DEFAULT_MISSING_WEEKS}_${config.starNormalization || FantasyScoring.DEFAULT_STAR_NORMALIZATION}_${config.tournament || FantasyTournaments.DEFAULT_TOURNAMENT}_${config.holdoutWeeks || 0}_${Number(config.riskAversion) || 0}_${overridesStr}`;
+  }
+
+  // Spread of a hero's recent weekly scores (pre-rarity), cached like expected scores
+  _scoreDistribution(name, holdoutWeeks = 0) {
+    const cacheKey = `${name}_dist_${holdoutWeeks}`;
+    let dist = this.scoreCache.get(cacheKey);
+    if (dist === undefined) {
+      const scores = this.historicalData[name.toUpperCase()];
+      dist = FantasyScoring.scoreDistribution(holdoutWeeks > 0 ? scores?.slice(holdoutWeeks) : scores);
+      this.scoreCache.set(cacheKey, dist);
     }
-    
-    // Sort and remove extremes (both high and low)
-    const sorted = [...scores].sort((a, b) => a - b);
-    
-    // Remove outliers from both ends
-    const toRemoveEachEnd = Math.floor(numToExclude / 2);
-    const remaining = sorted.slice(toRemoveEachEnd, sorted.length - (numToExclude - toRemoveEachEnd));
-    
-    return this.averageScore(remaining);
+    return dist;
   }
 
-  weightedScore(scores) {
-    if (scores.length === 0) return 0;
-    
-    // Weights:
-    const weights = [0.3, 0.2, 0.175, 0.15, 0.125, 0.05];
-    let weightedSum = 0;
-    let totalWeight = 0;
-    
-    for (let i = 0; i < Math.min(scores.length, 5); i++) {
-      weightedSum += scores[i] * weights[i];
-      totalWeight += weights[i];
+  // Find best deck combination (optimized for repeated calls).
+  // Returns { decks (best first), method, optimal } or { decks: [], infeasible } or null.
+  // config.solver 'exact' searches every scored card by branch-and-bound and proves optimality when it
+  // finishes; 'fast' (and the exact path's node-limit fallback) uses the per-star-pruned DP.
+  findBestDeck(config) {
+    const solver = config.solver || FantasyDeckBuilder.DEFAULT_SOLVER;
+    const search = this._prepareDeckSearch(config, solver === 'exact' ? Infinity : FantasyDeckBuilder.TOP_PER_BUCKET);
+    if (!search) return null;
+    if (search.infeasible) {
+      console.error(`❌ Infeasible: ${search.infeasible}`);
+      return { decks: [], infeasible: search.infeasible };
     }
-    
-    return weightedSum / totalWeight;
+
+    const deckCount = Math.max(1, config.deckCount || FantasyDeckBuilder.DEFAULT_DECK_COUNT);
+    console.log(`🔍 Finding best ${search.targetCount}-card combination ≤${search.targetStars}⭐ (${search.tournament}), top ${deckCount}, ${solver} solver...`);
+    const options = { topK: deckCount, requiredGroups: search.requiredGroups };
+
+    let decks = null;
+    let method;
+    if (solver === 'exact') {
+      const exact = this.findExactCombination(search.heroGroups, search.targetStars, search.targetCount, search.rarityLimits, options);
+      if (exact.optimal && exact.decks.length > 0) {
+        decks = exact.decks;
+        method = 'exact';
+      } else if (!exact.optimal) {
+        // Node limit: the pruned DP may still beat the incumbent, so keep the best of both
+        const pruned = this._prepareDeckSearch(config, FantasyDeckBuilder.TOP_PER_BUCKET);
+        const stats = {};
+        const dp = pruned && !pruned.infeasible
+          ? this.findOptimalCombination(pruned.heroGroups, pruned.targetStars, pruned.targetCount, pruned.rarityLimits, { ...options, requiredGroups: pruned.requiredGroups, stats })
+          : null;
+        decks = this._mergeDeckLists([exact.decks, stats.method === 'dp' ? dp : null], deckCount);
+        method = decks.length > 0 ? 'exact-limit' : null;
+        if (decks.length === 0 && dp) {
+          decks = dp;
+          method = stats.method;
+        }
+      }
+      // Proven: no deck fills every slot, so fall through to the greedy closest match
+      if (!method) {
+        const flatCards = search.heroGroups.flat();
+        const required = [...search.requiredGroups].map(i => search.heroGroups[i]);
+        const greedy = this.findClosestCombination(flatCards, search.targetStars, search.targetCount, search.rarityLimits, { required });
+        decks = greedy ? [greedy] : null;
+        method = 'greedy';
+      }
+    } else {
+      const stats = {};
+      decks = this.findOptimalCombination(search.heroGroups, search.targetStars, search.targetCount, search.rarityLimits, { ...options, stats });
+      method = stats.method;
+    }
+
+    if (!decks && search.requiredGroups.size > 0) {
+      return { decks: [], infeasible: `The locked cards can't fit in a ${search.targetCount}-card deck within ${search.targetStars}⭐ and the ${search.tournConfig.label} rarity limits` };
+    }
+    if (decks) console.log(`🏁 Solver: ${FantasyDeckBuilder.SOLVE_METHOD_LABEL[method]}`);
+    const notes = [this._unknownRarityNote(search)].filter(Boolean);
+    return decks ? { decks, method, optimal: method === 'exact', notes } : null;
+  }
+
+  // Best-first union of several deck lists, dropping repeats (same hero:rarity set), capped at limit
+  _mergeDeckLists(lists, limit) {
+    const objective = (cards) => cards.reduce((sum, c) => sum + (c.solverScore ?? c.expectedScore ?? 0), 0);
+    const signature = (cards) => cards.map(c => `${(c.heroKey || c.handle || c.name).toUpperCase()}:${c.rarity ?? 4}`).sort().join('|');
+    const seen = new Set();
+    return lists.flat().filter(Boolean)
+      .sort((a, b) => objective(b) - objective(a))
+      .filter(cards => {
+        const sig = signature(cards);
+        if (seen.has(sig)) return false;
+        seen.add(sig);
+        return true;
+      })
+      .slice(0, limit);
   }
 
-  consistencyFloor(scores) {
-    if (scores.length === 0) return 0;
-    // Return the worst performance (floor)
-    return Math.min(...scores);
+  // Joint allocation for several tournament entries: one deck per entry, each cardId used at most once,
+  // filling as many entries as possible, then maximizing the summed solver score. The sequential search
+  // (_multiDeckSequential) gives a first allocation; the exact search (_multiDeckExact) then improves on it or
+  // proves it optimal. When the exact search hits its node limit the best allocation found is kept and the
+  // result says so. Locked cards/heroes (config.mustInclude) must land in some deck, whichever gives the best
+  // total; locks no entry can use, or that can't all fit, are dropped with a note.
+  // entries = [{ tournament, count }].
+  // Returns { decks: [{ tournament, label, cards|null }], totalExpected, method, notes } in entry order.
+  findMultiDeck(entries, config) {
+    const slots = [];
+    entries.forEach(entry => {
+      const name = this.tournaments[entry.tournament]?.name || entry.tournament;
+      for (let i = 0; i < entry.count; i++) {
+        slots.push({ tournament: entry.tournament, label: entry.count > 1 ? `${name} #${i + 1}` : name });
+      }
+    });
+
+    // One search per tournament, shared by its entries. Bans apply to every deck; locks are placed below.
+    const prepare = (topPerBucket) => {
+      const byTournament = new Map();
+      return slots.map(slot => {
+        if (!byTournament.has(slot.tournament)) {
+          const s = this._prepareDeckSearch({
+            algorithm: config.algorithm,
+            algorithmParams: config.algorithmParams,
+            riskAversion: config.riskAversion,
+            scoreOverrides: config.scoreOverrides,
+            mustExclude: config.mustExclude,
+            tournament: slot.tournament
+          }, topPerBucket);
+          byTournament.set(slot.tournament, s && !s.infeasible ? s : null);
+        }
+        return byTournament.get(slot.tournament);
+      });
+    };
+    const searches = prepare(Infinity);
+    const notes = [...new Set(searches.map(s => this._unknownRarityNote(s)).filter(Boolean))];
+    let locks = this._multiDeckLocks(config, searches, notes);
+
+    // The sequential search gives the exact search a starting incumbent. Later decks need deeper benches
+    // than a single build, so it widens the pruning.
+    const sequential = (pins) => this._multiDeckSequential(prepare(FantasyDeckBuilder.TOP_PER_BUCKET * slots.length), pins);
+    let start = sequential(this._pinMultiDeckLocks(searches, locks));
+    if (!this._multiDeckMeetsLocks(start.picks, locks)) start = null;
+    let exact = this._multiDeckExact(searches, locks, start);
+    if (!exact.best) {
+      notes.push(exact.optimal
+        ? 'The locked cards can\'t all fit in these decks, so the locks were ignored'
+        : 'No allocation with every locked card was found within the search limit, so the locks were ignored');
+      locks = { cards: new Set(), heroes: new Set() };
+      exact = this._multiDeckExact(searches, locks, sequential([]));
+    }
+    const best = exact.best;
+    const method = exact.optimal ? 'exact' : 'exact-limit';
+    if (!exact.optimal) notes.push('Search limit hit: the best allocation found is shown, not proven optimal');
+
+    const decks = slots.map((slot, k) => ({ ...slot, cards: best.picks[k] }));
+    const totalExpected = decks.reduce((sum, d) => sum + (d.cards || []).reduce((s, c) => s + (c.expectedScore ?? 0), 0), 0);
+    console.log(`🧩 Multi-deck allocation: ${decks.filter(d => d.cards).length}/${slots.length} filled, ${FantasyDeckBuilder.SOLVE_METHOD_LABEL[method]}`);
+    return { decks, totalExpected, method, notes };
   }
 
-  consistencyMedian(scores) {
-    if (scores.length === 0) return 0;
-    const sorted = [...scores].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  // config.mustInclude for a multi-deck build: { cards: Set(cardId), heroes: Set(heroKey) } that some entry
+  // can use. The others get a note in notes and are dropped.
+  _multiDeckLocks(config, searches, notes) {
+    const constraints = this._getConstraints(config);
+    const usable = searches.filter(Boolean).flatMap(s => s.heroGroups.flat());
+    const cards = new Set([...constraints.lockCards].filter(cardId => {
+      if (usable.some(c => String(c.cardId) === cardId)) return true;
+      notes.push(`Card #${cardId} is locked but no entry can use it (not owned, banned or rarity not allowed), so the lock was ignored`);
+      return false;
+    }));
+    const heroes = new Set([...constraints.lockHeroes].filter(heroKey => {
+      if (usable.some(c => (c.heroKey || c.handle || c.name).toUpperCase() === heroKey)) return true;
+      notes.push(`${heroKey} is locked but no entry can use their cards (not owned, banned or rarity not allowed), so the lock was ignored`);
+      return false;
+    }));
+    return { cards, heroes };
   }
 
-  exponentialSmoothing(scores, alpha) {
-    if (scores.length === 0) return 0;
-    
-    // Exponential smoothing: S_t = alpha * X_t + (1 - alpha) * S_{t-1}
-    // Start with the first value, then smooth forward through all historical data
-    let smoothed = scores[0];
-    
-    for (let i = 1; i < scores.length; i++) {
-      smoothed = alpha * scores[i] + (1 - alpha) * smoothed;
+  // Locked cards for the sequential search, each pinned to the entry where it scores best among those with
+  // room for it (a locked hero pins its best card): [{ slot, card }]
+  _pinMultiDeckLocks(searches, locks) {
+    const objective = (c) => c.solverScore ?? c.expectedScore ?? 0;
+    const heroKeyOf = (c) => (c.heroKey || c.handle || c.name).toUpperCase();
+    const pins = [];
+    const pinBest = (matches) => {
+      let best = null;
+      searches.forEach((s, slot) => {
+        if (!s) return;
+        const pinned = pins.filter(p => p.slot === slot).map(p => p.card);
+        if (pinned.length >= s.targetCount) return;
+        s.heroGroups.flat().filter(matches).forEach(card => {
+          if (pinned.some(p => heroKeyOf(p) === heroKeyOf(card))) return;
+          if (!best || objective(card) > objective(best.card)) best = { slot, card };
+        });
+      });
+      if (best) pins.push(best);
+    };
+    locks.cards.forEach(cardId => pinBest(c => String(c.cardId) === cardId));
+    locks.heroes.forEach(heroKey => {
+      if (pins.some(p => heroKeyOf(p.card) === heroKey)) return;
+      pinBest(c => heroKeyOf(c) === heroKey);
+    });
+    return pins;
+  }
+
+  _multiDeckMeetsLocks(picks, locks) {
+    const placed = picks.filter(Boolean).flat();
+    return [...locks.cards].every(cardId => placed.some(c => String(c.cardId) === cardId)) &&
+      [...locks.heroes].every(heroKey => placed.some(c => (c.heroKey || c.handle || c.name).toUpperCase() === heroKey));
+  }
+
+  // Sequential search: entries with the most at stake choose first, each trying its top few decks from the
+  // cards the earlier ones left (3 per entry up to 3 entries, 2 up to 6, then greedy), bounded by the sum of
+  // every remaining entry's unshared optimum. pins = [{ slot, card }] forced into their entry.
+  // Returns { filled, total, picks } (picks[slot] = cards | null).
+  _multiDeckSequential(searches, pins) {
+    const objective = (c) => c.solverScore ?? c.expectedScore ?? 0;
+    const deckTotal = (cards) => cards.reduce((sum, c) => sum + objective(c), 0);
+    const soloByTournament = new Map();
+    const solo = searches.map(s => {
+      if (!s) return 0;
+      if (!soloByTournament.has(s)) {
+        const decks = this.findOptimalCombination(s.heroGroups, s.targetStars, s.targetCount, s.rarityLimits, { topK: 1 });
+        soloByTournament.set(s, decks ? deckTotal(decks[0]) : 0);
+      }
+      return soloByTournament.get(s);
+    });
+
+    const order = searches.map((_, i) => i).sort((a, b) => solo[b] - solo[a]);
+    const suffixBound = new Array(order.length + 1).fill(0);
+    for (let i = order.length - 1; i >= 0; i--) suffixBound[i] = suffixBound[i + 1] + solo[order[i]];
+    const pinnedIds = new Set(pins.map(p => p.card.cardId));
+
+    const branch = order.length <= 3 ? 3 : order.length <= 6 ? 2 : 1;
+    let best = null; // { filled, total, picks } with picks in search order
+    const search = (depth, usedCardIds, filled, total, picks) => {
+      if (depth === order.length) {
+        if (!best || filled > best.filled || (filled === best.filled && total > best.total)) {
+          best = { filled, total, picks: [...picks] };
+        }
+        return;
+      }
+      if (best && best.filled === order.length && total + suffixBound[depth] <= best.total) return;
+
+      const slot = order[depth];
+      const s = searches[slot];
+      const pinned = pins.filter(p => p.slot === slot).map(p => p.card);
+      const heroKeyOf = (c) => (c.heroKey || c.handle || c.name).toUpperCase();
+      const groups = s
+        ? s.heroGroups
+          .filter(g => !pinned.some(p => heroKeyOf(p) === heroKeyOf(g[0])))
+          .map(g => g.filter(c => !usedCardIds.has(c.cardId) && !pinnedIds.has(c.cardId)))
+          .filter(g => g.length > 0)
+        : [];
+      const requiredGroups = new Set(pinned.map((card, i) => groups.length + i));
+      pinned.forEach(card => groups.push([card]));
+      const candidates = groups.length > 0
+        ? this.findOptimalCombination(groups, s.targetStars, s.targetCount, s.rarityLimits, { topK: branch, requiredGroups })
+        : null;
+
+      if (!candidates) {
+        picks.push(null);
+        search(depth + 1, usedCardIds, filled, total, picks);
+        picks.pop();
+        return;
+      }
+      for (const cards of candidates) {
+        const nextUsed = new Set(usedCardIds);
+        cards.forEach(c => nextUsed.add(c.cardId));
+        picks.push(cards);
+        search(depth + 1, nextUsed, filled + 1, total + deckTotal(cards), picks);
+        picks.pop();
+      }
+    };
+    search(0, new Set(), 0, 0, []);
+
+    const picks = searches.map(() => null);
+    order.forEach((slot, depth) => { picks[slot] = best.picks[depth]; });
+    return { filled: best.filled, total: best.total, picks };
+  }
+
+  // Lagrange prices for _multiDeckExact: one per card (>= 0: used at most once; any sign when locked: used
+  // exactly once) and per locked hero, keyed `hero:KEY` (<= 0: used at least once). Each subgradient round
+  // solves every entry alone on score minus price and moves the prices of cards taken more or less often
+  // than allowed, stepping by the gap to target (the best known allocation total). eligible(search, card)
+  // filters the cards an entry may use. Returns { prices: Map, dual } for the round with the lowest dual:
+  // the prices' sum plus every entry's priced solo optimum, a bound on the total when every deck fills.
+  _multiDeckPrices(searches, locks, target = 0, eligible = () => true) {
+    const PRICE_ROUNDS = 40;
+    const PRICE_NODE_LIMIT = 20000; // per solo solve; a cut-short round only gives worse prices, never a wrong bound
+    const objective = (c) => c.solverScore ?? c.expectedScore ?? 0;
+    const heroKeyOf = (c) => (c.heroKey || c.handle || c.name).toUpperCase();
+    const unique = [...new Set(searches.filter(Boolean))];
+    const heroPriceKey = (heroKey) => `hero:${heroKey}`;
+    const lockKeys = [...locks.cards, ...[...locks.heroes].map(heroPriceKey)];
+    const clamp = (key, p) => (locks.cards.has(key) ? p : key.startsWith('hero:') ? Math.min(0, p) : Math.max(0, p));
+    let prices = new Map();
+    const priceOf = (card) => (prices.get(String(card.cardId)) || 0) + (prices.get(heroPriceKey(heroKeyOf(card))) || 0);
+    let bestPrices = prices;
+    let bestDual = Infinity;
+    let scale = 1;
+    let stalled = 0;
+    for (let round = 0; round < PRICE_ROUNDS; round++) {
+      const solo = new Map(unique.map(s => {
+        const priced = s.heroGroups.map(g => g.filter(card => eligible(s, card)).map(card => ({ ...card, solverScore: objective(card) - priceOf(card) })));
+        return [s, this.findExactCombination(priced, s.targetStars, s.targetCount, s.rarityLimits, { topK: 1, nodeLimit: PRICE_NODE_LIMIT, quiet: true }).decks[0] || []];
+      }));
+      const uses = new Map();
+      const use = (key) => uses.set(key, (uses.get(key) || 0) + 1);
+      let dual = [...prices.values()].reduce((sum, p) => sum + p, 0);
+      searches.forEach(s => {
+        if (!s) return;
+        const cards = solo.get(s);
+        dual += cards.reduce((sum, card) => sum + card.solverScore, 0);
+        cards.forEach(card => {
+          use(String(card.cardId));
+          if (locks.heroes.has(heroKeyOf(card))) use(heroPriceKey(heroKeyOf(card)));
+        });
+      });
+      if (dual < bestDual) {
+        bestDual = dual;
+        bestPrices = prices;
+        stalled = 0;
+      } else if (++stalled >= 3) {
+        scale /= 2;
+        stalled = 0;
+      }
+      const slope = new Map();
+      new Set([...prices.keys(), ...uses.keys(), ...lockKeys]).forEach(key => {
+        const g = (uses.get(key) || 0) - 1;
+        const p = prices.get(key) || 0;
+        if (clamp(key, p + g) !== p) slope.set(key, g);
+      });
+      const norm = [...slope.values()].reduce((sum, g) => sum + g * g, 0);
+      const gap = bestDual - target;
+      if (norm === 0 || gap <= 0) break;
+      const step = scale * gap / norm;
+      const next = new Map(prices);
+      slope.forEach((g, key) => {
+        const p = clamp(key, (prices.get(key) || 0) + step * g);
+        if (p !== 0) next.set(key, p);
+        else next.delete(key);
+      });
+      prices = next;
     }
-    
-    return smoothed;
+    return { prices: bestPrices, dual: bestDual };
   }
 
-  // Generate config hash for cache invalidation
-  _getConfigHash(config) {
-    const overridesStr = JSON.stringify(config.scoreOverrides || {});
-    return `${config.algorithm}_${config.tournament || 'bronze'}_${overridesStr}`;
+  // Exact joint search: depth-first branch-and-bound over heroes (strongest first), deciding for each of a
+  // hero's cards which entry takes it, if any. The bound is Lagrangian: every card gets a price, each
+  // entry's DP table (_deckBoundTable) is built on score minus price and the prices of the cards still to
+  // come are added once, so a card several entries want is not counted for each of them (prices from
+  // _multiDeckPrices). More filled decks always win (FILL_BONUS per deck), then the higher total; start (an
+  // allocation that meets the locks, or null) is the first incumbent. Entries of the same tournament in the same state are interchangeable, so only one order of
+  // them is walked. Returns { best: { filled, total, picks } | null, optimal: finished within nodeLimit, nodes }.
+  _multiDeckExact(searches, locks, start = null, nodeLimit = FantasyDeckBuilder.MULTI_DECK_NODE_LIMIT) {
+    const FILL_BONUS = 1e9;
+    const objective = (c) => c.solverScore ?? c.expectedScore ?? 0;
+    const heroKeyOf = (c) => (c.heroKey || c.handle || c.name).toUpperCase();
+    const startTime = performance.now();
+    const m = searches.length;
+    const unique = [...new Set(searches.filter(Boolean))];
+    const rulesOf = new Map(unique.map(s => [s, this._rarityRules(s.rarityLimits, s.targetCount)]));
+    const zeroCounts = (s) => rulesOf.get(s).tracked.map(() => 0);
+    const eligible = (s, card) => card.cardId && card.stars > 0 && card.stars <= s.targetStars &&
+      rulesOf.get(s).add(zeroCounts(s), card.rarity ?? 4) !== null;
+
+    // One hero order for every entry: { key, cardIds (best first), bySearch: search -> Map(cardId -> card) }
+    const isLocked = (hero) => locks.heroes.has(hero.key) || hero.cardIds.some(cardId => locks.cards.has(cardId));
+    const byHero = new Map();
+    unique.forEach(s => s.heroGroups.flat().filter(card => eligible(s, card)).forEach(card => {
+      const key = heroKeyOf(card);
+      if (!byHero.has(key)) byHero.set(key, { key, top: new Map(), bySearch: new Map() });
+      const hero = byHero.get(key);
+      const cardId = String(card.cardId);
+      hero.top.set(cardId, Math.max(hero.top.get(cardId) ?? -Infinity, objective(card)));
+      if (!hero.bySearch.has(s)) hero.bySearch.set(s, new Map());
+      hero.bySearch.get(s).set(cardId, card);
+    }));
+    const heroes = [...byHero.values()]
+      .map(hero => ({ ...hero, cardIds: [...hero.top.keys()].sort((a, b) => hero.top.get(b) - hero.top.get(a)) }))
+      // Locks are settled first
+      .sort((a, b) => Number(isLocked(b)) - Number(isLocked(a)) || b.top.get(b.cardIds[0]) - a.top.get(a.cardIds[0]));
+    const n = heroes.length;
+
+    const heroPriceKey = (heroKey) => `hero:${heroKey}`;
+    const { prices } = this._multiDeckPrices(searches, locks, start ? start.total : 0, eligible);
+    const priceOf = (card) => (prices.get(String(card.cardId)) || 0) + (prices.get(heroPriceKey(heroKeyOf(card))) || 0);
+
+    const tables = new Map(unique.map(s => [s, this._deckBoundTable(
+      heroes.map(hero => [...(hero.bySearch.get(s)?.values() || [])]), s.targetStars, s.targetCount, rulesOf.get(s), card => objective(card) - priceOf(card)
+    )]));
+    // Prices and card count of heroes[i..]
+    const priceFrom = new Array(n + 1).fill(0);
+    const cardsFrom = new Array(n + 1).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+      priceFrom[i] = priceFrom[i + 1] + (prices.get(heroPriceKey(heroes[i].key)) || 0) +
+        heroes[i].cardIds.reduce((sum, cardId) => sum + (prices.get(cardId) || 0), 0);
+      cardsFrom[i] = cardsFrom[i + 1] + heroes[i].cardIds.length;
+    }
+
+    // cards: [{ card, counts after it }]
+    const state = searches.map(s => (s ? { remaining: s.targetCount, budget: s.targetStars, counts: zeroCounts(s), cards: [] } : null));
+    const bound = (i, score) => {
+      let value = score + priceFrom[i];
+      let filled = 0;
+      let needed = 0;
+      const open = [];
+      searches.forEach((s, e) => {
+        if (!s) return;
+        const st = state[e];
+        const rest = tables.get(s)(i, st.budget, st.remaining, st.counts);
+        if (st.cards.length > 0) {
+          filled++;
+          needed += st.remaining;
+          value += rest; // taking a card never leaves more minimums than open slots (see assign)
+        } else if (rest > -Infinity) {
+          value += Math.max(0, rest); // an empty entry may stay empty
+          open.push(s.targetCount);
+        }
+      });
+      if (needed > cardsFrom[i]) return -Infinity;
+      open.sort((a, b) => a - b).forEach(k => {
+        if (needed + k > cardsFrom[i]) return;
+        needed += k;
+        filled++;
+      });
+      return filled * FILL_BONUS + value;
+    };
+
+    let best = start;
+    let bestValue = start ? start.filled * FILL_BONUS + start.total : -Infinity;
+    let nodes = 0;
+    let aborted = false;
+    const dfs = (i, score) => {
+      if (aborted) return;
+      if (++nodes > nodeLimit) {
+        aborted = true;
+        return;
+      }
+      if (i === n) {
+        if (state.some(st => st && st.cards.length > 0 && st.remaining > 0)) return;
+        const filled = state.filter(st => st && st.cards.length > 0).length;
+        if (filled * FILL_BONUS + score > bestValue) {
+          bestValue = filled * FILL_BONUS + score;
+          best = { filled, total: score, picks: state.map(st => (st && st.cards.length > 0 ? st.cards.map(p => p.card) : null)) };
+        }
+        return;
+      }
+      if (bound(i, score) <= bestValue) return;
+
+      const hero = heroes[i];
+      // twin[e]: the last earlier entry of the same tournament in the same state. Twins are interchangeable,
+      // so e never takes a better card of this hero than its twin (skipping ranks last)
+      const twin = searches.map((s, e) => {
+        for (let f = e - 1; f >= 0; f--) {
+          if (s && searches[f] === s && state[f].remaining === state[e].remaining && state[f].budget === state[e].budget &&
+            state[f].counts.every((c, j) => c === state[e].counts[j])) return f;
+        }
+        return -1;
+      });
+      const take = (e, card) => {
+        const st = state[e];
+        st.remaining--;
+        st.budget -= card.stars;
+        st.counts = rulesOf.get(searches[e]).add(st.counts, card.rarity ?? 4);
+        st.cards.push({ card, counts: st.counts });
+      };
+      const untake = (e) => {
+        const st = state[e];
+        const { card } = st.cards.pop();
+        st.remaining++;
+        st.budget += card.stars;
+        st.counts = st.cards.length > 0 ? st.cards[st.cards.length - 1].counts : zeroCounts(searches[e]);
+      };
+
+      // Every way to hand out this hero's cards, then walked best bound first
+      const children = [];
+      const rank = new Array(m).fill(hero.cardIds.length);
+      const chosen = []; // [entry, card]
+      const assign = (e, gained) => {
+        if (e === m) {
+          if (hero.cardIds.some(cardId => locks.cards.has(cardId) && !chosen.some(([, card]) => String(card.cardId) === cardId))) return;
+          if (locks.heroes.has(hero.key) && chosen.length === 0) return;
+          const childBound = bound(i + 1, score + gained);
+          if (childBound > bestValue) children.push({ chosen: [...chosen], gained, bound: childBound });
+          return;
+        }
+        const s = searches[e];
+        const st = state[e];
+        const cards = s && st.remaining > 0 ? hero.bySearch.get(s) : null;
+        hero.cardIds.forEach((cardId, r) => {
+          const card = cards?.get(cardId);
+          if (!card || chosen.some(([, c]) => c === card || String(c.cardId) === cardId) || card.stars > st.budget ||
+            (twin[e] >= 0 && r < rank[twin[e]])) return;
+          const counts = rulesOf.get(s).add(st.counts, card.rarity ?? 4);
+          if (!counts || rulesOf.get(s).deficit(counts) > st.remaining - 1) return;
+          take(e, card);
+          chosen.push([e, card]);
+          rank[e] = r;
+          assign(e + 1, gained + objective(card));
+          chosen.pop();
+          untake(e);
+        });
+        rank[e] = hero.cardIds.length;
+        assign(e + 1, gained);
+      };
+      assign(0, 0);
+
+      children.sort((a, b) => b.bound - a.bound);
+      for (const child of children) {
+        if (child.bound <= bestValue) break;
+        child.chosen.forEach(([e, card]) => take(e, card));
+        dfs(i + 1, score + child.gained);
+        child.chosen.forEach(([e]) => untake(e));
+      }
+    };
+    dfs(0, 0);
+
+    const elapsed = performance.now() - startTime;
+    console.log(`🌳 Multi-deck exact search: ${n} heroes, ${m} entries, ${nodes} nodes in ${elapsed.toFixed(0)}ms${aborted ? ' (node limit hit)' : ''}`);
+    return { best, optimal: !aborted, nodes };
   }
 
-  // Find best deck combination (optimized for repeated calls)
-  findBestDeck(config) {
-    const tournament = (config.tournament || 'bronze').toLowerCase();
-    const tournConfig = FantasyDeckBuilder.TOURNAMENTS[tournament] || FantasyDeckBuilder.TOURNAMENTS.bronze;
+  // Score, filter, prune and group the portfolio for one tournament.
+  // Returns { tournament, tournConfig, targetStars, targetCount, rarityLimits, heroGroups } or null.
+  _prepareDeckSearch(config, topPerBucket = FantasyDeckBuilder.TOP_PER_BUCKET) {
+    const tournament = this._tournamentId(config.tournament);
+    const tournConfig = this.tournaments[tournament];
     const targetStars = config.targetStars ?? tournConfig.targetStars;
-    const targetCount = config.cardCount || 5;
-    const maxRares = config.maxRares ?? tournConfig.maxRares;
-    const maxEpics = config.maxEpics ?? tournConfig.maxEpics;
-    const maxLegendaries = config.maxLegendaries ?? tournConfig.maxLegendaries;
+    const targetCount = config.cardCount ?? tournConfig.cardCount;
+    const rarityLimits = FantasyTournaments.solverLimits(tournConfig);
 
     console.log('🧮 Starting deck optimization...');
     console.log('  Tournament:', tournConfig.label);
-    console.log('  Algorithm:', config.algorithm);
+    const algorithmParams = this._algorithmParams(config);
+    console.log('  Algorithm:', config.algorithm, algorithmParams);
     console.log('  Score overrides:', Object.keys(config.scoreOverrides || {}).length);
+    if (config.riskAversion) console.log('  Risk aversion:', config.riskAversion);
 
     const configHash = this._getConfigHash(config);
     
@@ -1101,33 +1897,34 @@ class FantasyDeckBuilder {
       // Calculate expected scores for all cards (with caching)
       console.log('📊 Calculating expected scores for all cards...');
       const startTime = performance.now();
+      const paramsKey = JSON.stringify(algorithmParams);
       
       scoredCards = this.cards.map(card => {
         // Use heroKey for lookup (primary), fallback to handle/name
         const lookupKey = (card.heroKey || card.handle || card.name).toUpperCase();
         
-        // User override: value is base score (pre–rarity multiplier); we then apply rarity mult
+        // User override: value is base score (pre-multiplier); we then apply the card's rarity/modifier multiplier
         if (config.scoreOverrides && config.scoreOverrides[lookupKey] !== undefined) {
           const overrideScore = config.scoreOverrides[lookupKey];
           const effectiveScore = (lookupKey === '0XMAKESY' && card.stars !== 1) ? 0 : overrideScore;
           if (FantasyDeckBuilder.DEBUG) {
             console.log(`  🎯 ${card.handle || card.name}: Override = ${overrideScore}, effective = ${effectiveScore} (${card.stars}⭐)`);
           }
-          const mult = FantasyDeckBuilder.RARITY_MULTIPLIER[card.rarity ?? 4] ?? 1;
-          const scoreWithRarity = effectiveScore * mult;
-          return { ...card, expectedScore: scoreWithRarity, expectedScorePerStar: card.stars > 0 ? scoreWithRarity / card.stars : 0 };
+          const { multiplier, modifiers } = FantasyTournaments.cardMultiplier(tournConfig, card);
+          const scoreWithRarity = effectiveScore * multiplier;
+          return { ...card, expectedScore: scoreWithRarity, expectedScorePerStar: card.stars > 0 ? scoreWithRarity / card.stars : 0, multiplier, modifiers, overridden: true };
         }
 
         // No override: score from history
         let score;
         {
           // Check score cache
-          const cacheKey = `${lookupKey}_${config.algorithm}`;
+          const cacheKey = `${lookupKey}_${config.algorithm}_${paramsKey}_${config.holdoutWeeks || 0}`;
           score = this.scoreCache.get(cacheKey);
           
           if (score === undefined) {
             // Calculate and cache
-            score = this.calculateScore(lookupKey, config.algorithm, false);
+            score = this.calculateScore(lookupKey, config.algorithm, config.holdoutWeeks || 0, algorithmParams);
             this.scoreCache.set(cacheKey, score);
           }
         }
@@ -1136,22 +1933,23 @@ class FantasyDeckBuilder {
           return null;
         }
 
-        const mult = FantasyDeckBuilder.RARITY_MULTIPLIER[card.rarity ?? 4] ?? 1;
+        const { multiplier: mult, modifiers } = FantasyTournaments.cardMultiplier(tournConfig, card);
         const effectiveScore = score * mult;
         const scoreperstar = card.stars > 0 ? effectiveScore / card.stars : 0;
-        return { ...card, expectedScore: effectiveScore, expectedScorePerStar: scoreperstar };
+        const dist = this._scoreDistribution(lookupKey, config.holdoutWeeks || 0);
+        const distribution = { stdDev: dist.stdDev * mult, downside: dist.downside * mult, upside: dist.upside * mult };
+        return { ...card, expectedScore: effectiveScore, expectedScorePerStar: scoreperstar, multiplier: mult, modifiers, distribution };
       }).filter(card => card !== null && card.expectedScore >= 0 && card.stars > 0);
 
-      const getRarity = (c) => (c.rarity ?? 4);
-      if (tournament === 'bronze') {
-        scoredCards = scoredCards.filter(c => getRarity(c) === 4);
-      } else if (tournament === 'silver') {
-        scoredCards = scoredCards.filter(c => getRarity(c) === 4 || getRarity(c) === 3);
-      } else if (tournament === 'gold') {
-        scoredCards = scoredCards.filter(c => getRarity(c) === 4 || getRarity(c) === 3 || getRarity(c) === 2);
-      }
+      // Risk mode: the solver maximizes solverScore (expected score shifted toward the hero's P25 or P90).
+      // Overrides carry no spread, so they keep their value at any risk setting.
+      const riskAversion = Number(config.riskAversion) || 0;
+      scoredCards.forEach(card => {
+        card.solverScore = FantasyScoring.riskAdjustedScore(card.expectedScore, card.distribution, riskAversion);
+        card.solverScorePerStar = card.solverScore / card.stars;
+      });
 
-      scoredCards.sort((a, b) => b.expectedScorePerStar - a.expectedScorePerStar);
+      scoredCards.sort((a, b) => b.solverScorePerStar - a.solverScorePerStar);
       if (FantasyDeckBuilder.DEBUG) {
         const starCounts = {};
         scoredCards.forEach(card => { starCounts[card.stars] = (starCounts[card.stars] || 0) + 1; });
@@ -1168,7 +1966,35 @@ class FantasyDeckBuilder {
       }
     }
     
-    console.log(`✅ ${scoredCards.length} cards with valid scores`);
+    // Tournament rules: rarities the definition doesn't allow (max 0) and heroes it bans never enter the search.
+    // Unknown-rarity cards only sit out tournaments with rarity rules (solverLimits); the deck result lists them.
+    const bannedByRules = new Set(tournConfig.bannedHeroes);
+    const unknownRarity = rarityLimits.max[FantasyTournaments.UNKNOWN_RARITY] > 0
+      ? []
+      : scoredCards.filter(c => c.rarity === FantasyTournaments.UNKNOWN_RARITY);
+    scoredCards = scoredCards.filter(c => rarityLimits.max[c.rarity ?? 4] > 0 &&
+      !bannedByRules.has((c.heroKey || c.handle || c.name).toUpperCase()));
+    console.log(`✅ ${scoredCards.length} cards with valid scores for ${tournConfig.label}`);
+
+    // Hard constraints: banned heroes/cards never enter the search, locked ones must be in the deck
+    const constraints = this._getConstraints(config);
+    const heroKeyOf = (c) => (c.heroKey || c.handle || c.name).toUpperCase();
+    if (constraints.banHeroes.size > 0 || constraints.banCards.size > 0) {
+      const before = scoredCards.length;
+      scoredCards = scoredCards.filter(c => !constraints.banHeroes.has(heroKeyOf(c)) && !constraints.banCards.has(String(c.cardId)));
+      console.log(`🚫 Excluded ${before - scoredCards.length} cards (${constraints.banHeroes.size} heroes, ${constraints.banCards.size} cards banned)`);
+    }
+    const lockedCards = scoredCards.filter(c => constraints.lockHeroes.has(heroKeyOf(c)) || constraints.lockCards.has(String(c.cardId)));
+    for (const heroKey of constraints.lockHeroes) {
+      if (!lockedCards.some(c => heroKeyOf(c) === heroKey)) {
+        return { infeasible: `${heroKey} is locked but has no usable card for ${tournConfig.label} (not owned, banned or rarity not allowed)` };
+      }
+    }
+    for (const cardId of constraints.lockCards) {
+      if (!lockedCards.some(c => String(c.cardId) === cardId)) {
+        return { infeasible: `Card #${cardId} is locked but isn't usable for ${tournConfig.label} (not owned, banned or rarity not allowed)` };
+      }
+    }
     
     if (scoredCards.length === 0) {
       console.error('❌ No cards with valid scores available');
@@ -1185,20 +2011,25 @@ class FantasyDeckBuilder {
       cardsByStarBucket.get(star).push(card);
     });
     
-    const TOP_PER_BUCKET = 5;
     const prunedCards = [];
     cardsByStarBucket.forEach((cards, star) => {
-      const topCards = cards.slice(0, TOP_PER_BUCKET);
+      const topCards = cards.slice(0, topPerBucket);
       prunedCards.push(...topCards);
       if (FantasyDeckBuilder.DEBUG) {
         console.log(`  ${star}⭐ bucket: ${cards.length} cards → keeping top ${topCards.length}`);
       }
     });
     
-    // Re-sort pruned cards by expected score per star
-    prunedCards.sort((a, b) => b.expectedScorePerStar - a.expectedScorePerStar);
+    // Locked cards always survive pruning
+    const prunedIds = new Set(prunedCards.map(c => c.cardId));
+    lockedCards.forEach(c => { if (!prunedIds.has(c.cardId)) prunedCards.push(c); });
+    
+    // Re-sort pruned cards by solver score per star
+    prunedCards.sort((a, b) => b.solverScorePerStar - a.solverScorePerStar);
     
-    console.log(`✂️ Pruned to ${prunedCards.length} cards (top ${TOP_PER_BUCKET} per star bucket from ${scoredCards.length} total)`);
+    console.log(Number.isFinite(topPerBucket)
+      ? `✂️ Pruned to ${prunedCards.length} cards (top ${topPerBucket} per star bucket from ${scoredCards.length} total)`
+      : `🧾 Searching all ${prunedCards.length} scored cards (no pruning)`);
     if (FantasyDeckBuilder.DEBUG) {
       console.log('📈 Top 10 pruned:');
       prunedCards.slice(0, 10).forEach((card, i) => {
@@ -1214,62 +2045,197 @@ class FantasyDeckBuilder {
       byHero.get(k).push(card);
     });
     const heroGroups = [];
-    byHero.forEach(cards => {
-      cards.sort((a, b) => (b.expectedScore ?? 0) - (a.expectedScore ?? 0));
-      heroGroups.push(cards);
-    });
-    console.log(`👥 ${heroGroups.length} unique heroes in pruned set`);
+    const requiredGroups = new Set();
+    let requiredMinStars = 0;
+    for (const [heroKey, cards] of byHero) {
+      cards.sort((a, b) => b.solverScore - a.solverScore);
+      // A locked card pins its hero's group to that card; a locked hero only makes the group required
+      const pinned = cards.filter(c => constraints.lockCards.has(String(c.cardId)));
+      if (pinned.length > 1) {
+        return { infeasible: `${pinned.length} copies of ${heroKey} are locked, but a deck takes one card per hero` };
+      }
+      if (pinned.length === 1 || constraints.lockHeroes.has(heroKey)) {
+        requiredGroups.add(heroGroups.length);
+        const group = pinned.length === 1 ? pinned : cards;
+        requiredMinStars += Math.min(...group.map(c => c.stars));
+        heroGroups.push(group);
+      } else {
+        heroGroups.push(cards);
+      }
+    }
+    console.log(`👥 ${heroGroups.length} unique heroes in pruned set${requiredGroups.size > 0 ? ` (${requiredGroups.size} locked)` : ''}`);
+
+    if (requiredGroups.size > targetCount) {
+      return { infeasible: `${requiredGroups.size} heroes are locked but a deck only has ${targetCount} cards` };
+    }
+    if (requiredMinStars > targetStars) {
+      return { infeasible: `Locked cards need at least ${requiredMinStars}⭐ but ${tournConfig.label} caps the deck at ${targetStars}⭐` };
+    }
 
-    // Use dynamic programming to find best combination (with tournament rarity limits, one card per hero)
-    console.log(`🔍 Finding best ${targetCount}-card combination ≤${targetStars}⭐ (${tournament})...`);
-    const result = this.findOptimalCombination(heroGroups, targetStars, targetCount, { maxRares, maxEpics, maxLegendaries });
+    return {
+      tournament,
+      tournConfig,
+      targetStars,
+      targetCount,
+      rarityLimits,
+      heroGroups,
+      requiredGroups,
+      unknownRarity
+    };
+  }
 
-    return result;
+  // Deck result note for the unknown-rarity cards a search left out ('' when none)
+  _unknownRarityNote(search) {
+    const cards = search?.unknownRarity || [];
+    if (cards.length === 0) return '';
+    const examples = cards.slice(0, 5).map(c => `${c.handle || c.name} #${c.cardId}`).join(', ');
+    const more = cards.length > 5 ? `, +${cards.length - 5} more` : '';
+    return `${cards.length} card${cards.length === 1 ? '' : 's'} left out of ${search.tournConfig.name}: rarity unknown, so the rarity rules can't be checked (${examples}${more})`;
   }
 
-  // Save calculated scores for popup UI
-  async saveCalculatedScores(config) {
-    const calculatedScores = {};
-    
-    for (const [name, historicalScores] of Object.entries(this.historicalData)) {
-      const score = this.calculateScore(name, config.algorithm, false);
-      if (score !== null) {
-        calculatedScores[name] = {
-          score,
-          handle: name,
-          name: name
-        };
+  // Known tournament id for a config value (unknown or missing ids fall back to the default, then the first defined)
+  _tournamentId(value) {
+    const id = String(value || FantasyTournaments.DEFAULT_TOURNAMENT).toLowerCase();
+    if (this.tournaments[id]) return id;
+    return this.tournaments[FantasyTournaments.DEFAULT_TOURNAMENT] ? FantasyTournaments.DEFAULT_TOURNAMENT : Object.keys(this.tournaments)[0];
+  }
+
+  // Lock ("must include") and ban ("must exclude") lists from lastConfig, keyed by heroKey or cardId
+  _getConstraints(config) {
+    const include = config.mustInclude || {};
+    const exclude = config.mustExclude || {};
+    return {
+      lockHeroes: new Set((include.heroes || []).map(k => String(k).toUpperCase())),
+      lockCards: new Set((include.cards || []).map(String)),
+      banHeroes: new Set((exclude.heroes || []).map(k => String(k).toUpperCase())),
+      banCards: new Set((exclude.cards || []).map(String))
+    };
+  }
+
+  // Deck backtest: for each past week W and tier, build the deck each algorithm would have picked from
+  // the current portfolio using only the weeks after W, then score it with the actual week-W results
+  // (the recorded scores, not the tier-normalized ones the predictions use).
+  // Returns { success, weeks, tournaments: { tier: { algorithmId: { average, weeks } | null } } }
+  async runBacktestDecks(options = {}) {
+    const weeks = options.weeks || 8;
+    const algorithms = options.algorithms || Object.keys(FantasyScoring.ALGORITHMS);
+    await this._loadBuildData(options);
+
+    const tournaments = options.tournaments || Object.keys(this.tournaments);
+    console.log(`🧪 Deck backtest: ${weeks} weeks × ${algorithms.length} algorithms × ${tournaments.length} tiers`);
+
+    const result = {};
+    for (const tournament of tournaments) {
+      result[tournament] = {};
+      for (const algorithm of algorithms) {
+        const weekly = [];
+        for (let week = 0; week < weeks; week++) {
+          const solved = this.findBestDeck({
+            tournament,
+            algorithm,
+            algorithmParams: options.algorithmParams,
+            scoreOverrides: {},
+            deckCount: 1,
+            solver: 'fast', // hundreds of solves; relative comparison doesn't need proofs
+            holdoutWeeks: week + 1
+          });
+          const deck = solved?.decks?.[0];
+          if (!deck) continue;
+          weekly.push(deck.reduce((sum, card) => {
+            const actual = this.historyEntries[(card.heroKey || card.handle || card.name).toUpperCase()]?.[week]?.score ?? 0;
+            return sum + actual * (card.multiplier ?? 1);
+          }, 0));
+        }
+        result[tournament][algorithm] = weekly.length > 0
+          ? { average: weekly.reduce((a, b) => a + b, 0) / weekly.length, weeks: weekly.length }
+          : null;
       }
     }
-    
-    await chrome.storage.local.set({ lastCalculatedScores: calculatedScores });
+
+    // Leave the caches in their normal (no holdout) state for the next build
+    this.scoreCache.clear();
+    this.sortedCardsCache = null;
+    this.lastConfigHash = null;
+    return { success: true, weeks, tournaments: result };
+  }
+
+  // Save calculated scores for popup UI
+  async saveCalculatedScores(config) {
+    const calculatedScores = FantasyScoring.calculateAllScores(this.historicalData, config.algorithm, this._algorithmParams(config), { stars: this.heroStars, played: this.playedWeeks });
+    await chrome.storage.local.set({ lastCalculatedScores: calculatedScores, scoresTimestamp: Date.now() });
     return Object.keys(calculatedScores).length;
   }
 
-  // DP: maximize total expected score over 5-card combinations with total stars ≤ targetStars.
+  // Per-rarity limits for the solvers. rarityLimits = { max: { rarity: n }, min: { rarity: n } } as built by
+  // FantasyTournaments.solverLimits (1=Legendary, 2=Epic, 3=Rare, 4=Common). Only rarities with a binding
+  // cap or a minimum are counted; counts are arrays indexed by slotOf[rarity].
+  _rarityRules(rarityLimits = {}, targetCount) {
+    const maxOf = (r) => rarityLimits.max?.[r] ?? Infinity;
+    const minOf = (r) => rarityLimits.min?.[r] ?? 0;
+    const tracked = [1, 2, 3, 4].filter(r => maxOf(r) < targetCount || minOf(r) > 0);
+    const slotOf = {};
+    tracked.forEach((r, i) => { slotOf[r] = i; });
+    const max = tracked.map(maxOf);
+    const min = tracked.map(minOf);
+    return {
+      tracked,
+      slotOf,
+      max,
+      min,
+      // Counts after adding a card of this rarity, or null when that breaks a cap
+      add: (counts, rarity) => {
+        const slot = slotOf[rarity];
+        if (slot === undefined) return counts;
+        if (counts[slot] + 1 > max[slot]) return null;
+        const next = [...counts];
+        next[slot]++;
+        return next;
+      },
+      // Cards still needed to reach every minimum
+      deficit: (counts) => counts.reduce((sum, n, i) => sum + Math.max(0, min[i] - n), 0),
+      describe: () => tracked
+        .map((r, i) => `${FantasyDeckBuilder.RARITY_NAME[r].toLowerCase()} ${min[i]}-${max[i] === Infinity ? '∞' : max[i]}`)
+        .join(' ')
+    };
+  }
+
+  // DP: maximize total expected score over targetCount-card combinations with total stars ≤ targetStars.
   // heroGroups = array of card arrays (one per hero); we pick at most one card per hero.
-  // Optional rarity limits: maxRares, maxEpics, maxLegendaries (1=Legendary, 2=Epic, 3=Rare, 4=Common)
-  findOptimalCombination(heroGroups, targetStars, targetCount, rarityLimits = {}) {
-    const { maxRares = Infinity, maxEpics = Infinity, maxLegendaries = Infinity } = rarityLimits;
+  // rarityLimits: per-rarity { max, min } (see _rarityRules)
+  // options.topK: keep the K best distinct selections per memo state. Returns card arrays, best first.
+  // options.requiredGroups: Set of group indices that must contribute a card (locked heroes/cards).
+  findOptimalCombination(heroGroups, targetStars, targetCount, rarityLimits = {}, options = {}) {
+    const rules = this._rarityRules(rarityLimits, targetCount);
+    const topK = Math.max(1, options.topK || 1);
+    const requiredGroups = options.requiredGroups || new Set();
+    // requiredFrom[i] = number of required groups at index >= i
+    const requiredFrom = new Array(heroGroups.length + 1).fill(0);
+    for (let i = heroGroups.length - 1; i >= 0; i--) {
+      requiredFrom[i] = requiredFrom[i + 1] + (requiredGroups.has(i) ? 1 : 0);
+    }
     const startTime = performance.now();
-    const limitsStr = maxRares < Infinity || maxEpics < Infinity || maxLegendaries < Infinity
-      ? ` (max rare=${maxRares} epic=${maxEpics} leg=${maxLegendaries})`
-      : '';
+    const limitsStr = rules.tracked.length > 0 ? ` (${rules.describe()})` : '';
     console.log(`🎯 DP Search: ${targetCount} cards, ≤${targetStars}⭐ from ${heroGroups.length} heroes (one per hero)${limitsStr}`);
 
+    // Two selections with the same heroes at the same rarities are the same deck for the user
+    // (only the copy differs), so they share a signature and only the first is kept.
+    const cardSignature = (card) => `${(card.heroKey || card.handle || card.name).toUpperCase()}:${card.rarity ?? 4}`;
+    const EMPTY = [{ selection: [], totalScore: 0, signature: '' }];
+
     const memo = new Map();
     let memoHits = 0;
     let memoMisses = 0;
 
-    const solve = (groupIndex, starBudget, remainingCards, raresUsed, epicsUsed, legendariesUsed) => {
+    const solve = (groupIndex, starBudget, remainingCards, counts) => {
       if (remainingCards === 0) {
-        return { selection: [], totalScore: 0 };
+        return requiredFrom[groupIndex] === 0 && rules.deficit(counts) === 0 ? EMPTY : null;
       }
-      if (groupIndex >= heroGroups.length || starBudget < 0) {
+      if (groupIndex >= heroGroups.length || starBudget < 0 || requiredFrom[groupIndex] > remainingCards ||
+          rules.deficit(counts) > remainingCards) {
         return null;
       }
 
-      const key = `${groupIndex},${starBudget},${remainingCards},${raresUsed},${epicsUsed},${legendariesUsed}`;
+      const key = `${groupIndex},${starBudget},${remainingCards},${counts.join('.')}`;
       if (memo.has(key)) {
         memoHits++;
         return memo.get(key);
@@ -1277,46 +2243,63 @@ class FantasyDeckBuilder {
       memoMisses++;
 
       const group = heroGroups[groupIndex];
-      let best = null;
+      const candidates = [];
 
       for (const card of group) {
         if (!card.cardId || card.stars > starBudget) continue;
-        const rarity = card.rarity ?? 4;
-        const wouldBeRares = rarity === 3 ? raresUsed + 1 : raresUsed;
-        const wouldBeEpics = rarity === 2 ? epicsUsed + 1 : epicsUsed;
-        const wouldBeLegs = rarity === 1 ? legendariesUsed + 1 : legendariesUsed;
-        if (wouldBeRares > maxRares || wouldBeEpics > maxEpics || wouldBeLegs > maxLegendaries) continue;
-        const sub = solve(groupIndex + 1, starBudget - card.stars, remainingCards - 1, wouldBeRares, wouldBeEpics, wouldBeLegs);
-        if (sub) {
-          const totalScore = (card.expectedScore ?? 0) + sub.totalScore;
-          if (!best || totalScore > best.totalScore) {
-            best = { selection: [card, ...sub.selection], totalScore };
-          }
+        const nextCounts = rules.add(counts, card.rarity ?? 4);
+        if (!nextCounts) continue;
+        const subs = solve(groupIndex + 1, starBudget - card.stars, remainingCards - 1, nextCounts);
+        if (!subs) continue;
+        const sig = cardSignature(card);
+        for (const sub of subs) {
+          candidates.push({
+            selection: [card, ...sub.selection],
+            totalScore: (card.solverScore ?? card.expectedScore ?? 0) + sub.totalScore,
+            signature: `${sig}|${sub.signature}`
+          });
         }
       }
 
-      const skip = solve(groupIndex + 1, starBudget, remainingCards, raresUsed, epicsUsed, legendariesUsed);
-      if (skip && (!best || skip.totalScore > best.totalScore)) {
-        best = skip;
+      if (!requiredGroups.has(groupIndex)) {
+        const skip = solve(groupIndex + 1, starBudget, remainingCards, counts);
+        if (skip) candidates.push(...skip);
+      }
+
+      let best = null;
+      if (candidates.length > 0) {
+        candidates.sort((a, b) => b.totalScore - a.totalScore);
+        best = [];
+        const seen = new Set();
+        for (const candidate of candidates) {
+          if (seen.has(candidate.signature)) continue;
+          seen.add(candidate.signature);
+          best.push(candidate);
+          if (best.length >= topK) break;
+        }
       }
 
       memo.set(key, best);
       return best;
     };
 
-    const bestResult = solve(0, targetStars, targetCount, 0, 0, 0);
-    let result = bestResult ? bestResult.selection : null;
+    const bestResults = solve(0, targetStars, targetCount, rules.tracked.map(() => 0)) || [];
+    let results = [];
 
-    if (result) {
-      const actualStars = result.reduce((sum, c) => sum + c.stars, 0);
-      const totalExpected = result.reduce((sum, c) => sum + (c.expectedScore ?? 0), 0);
+    for (const entry of bestResults) {
+      const actualStars = entry.selection.reduce((sum, c) => sum + c.stars, 0);
       if (actualStars > targetStars) {
         console.error(`❌ Result exceeds hard cap! ${actualStars}⭐ > ${targetStars}⭐ - rejecting`);
-        result = null;
-      } else {
-        const rarities = result.map(c => FantasyDeckBuilder.RARITY_LABEL[c.rarity ?? 4] || 'Common').join(', ');
-        console.log(`✓ Best deck: ${actualStars}⭐ (expected score: ${totalExpected.toFixed(0)}) rarities: [${rarities}]`);
+        continue;
       }
+      results.push(entry.selection);
+    }
+    if (results.length > 0) {
+      const best = results[0];
+      const actualStars = best.reduce((sum, c) => sum + c.stars, 0);
+      const totalExpected = best.reduce((sum, c) => sum + (c.expectedScore ?? 0), 0);
+      const rarities = best.map(c => FantasyDeckBuilder.RARITY_LABEL[c.rarity ?? 4] || 'Common').join(', ');
+      console.log(`✓ Best deck: ${actualStars}⭐ (expected score: ${totalExpected.toFixed(0)}) rarities: [${rarities}]${results.length > 1 ? ` + ${results.length - 1} alternatives` : ''}`);
     }
 
     const dpTime = performance.now() - startTime;
@@ -1324,21 +2307,166 @@ class FantasyDeckBuilder {
       console.log(`⚡ DP took ${dpTime.toFixed(1)}ms (memo: ${memoHits} hits, ${memoMisses} misses)`);
     }
 
-    if (!result) {
+    if (options.stats) options.stats.method = 'dp';
+    if (results.length === 0) {
       console.log('⚠️ Still no match, using greedy by expected score...');
       const flatCards = heroGroups.flat();
-      result = this.findClosestCombination(flatCards, targetStars, targetCount, rarityLimits);
+      const required = [...requiredGroups].map(i => heroGroups[i]);
+      const greedy = this.findClosestCombination(flatCards, targetStars, targetCount, rarityLimits, { required });
+      results = greedy ? [greedy] : [];
+      if (options.stats) options.stats.method = 'greedy';
     }
 
-    return result;
+    return results.length > 0 ? results : null;
+  }
+
+  // Best value of `remaining` more cards, one per group from groups[i..], within `budget` stars and the
+  // rarity caps left after `counts`: (i, budget, remaining, counts) => value (-Infinity when nothing fits).
+  // The table is kept under BOUND_TABLE_CELL_LIMIT by dropping cap dimensions (largest first), then the star
+  // budget; each drop only loosens the bound, and the searches still check every cap and the budget.
+  _deckBoundTable(groups, targetStars, targetCount, rules, value) {
+    const K = targetCount;
+    const n = groups.length;
+    const limit = FantasyDeckBuilder.BOUND_TABLE_CELL_LIMIT;
+    const dimOf = (r) => rules.max[rules.slotOf[r]] + 1;
+    const cells = (caps, starCells) => (n + 1) * (K + 1) * starCells * caps.reduce((p, r) => p * dimOf(r), 1);
+    // Binding caps become table dimensions: the state code is a mixed-radix number of remaining allowances
+    // (minimums are relaxed here, so the table stays an upper bound and is checked at the leaves)
+    const capped = rules.tracked.filter((r, i) => rules.max[i] < K).sort((a, b) => dimOf(a) - dimOf(b));
+    while (capped.length > 0 && cells(capped, targetStars + 1) > limit) capped.pop();
+    const withStars = cells([], targetStars + 1) <= limit;
+    const S = withStars ? targetStars : 0;
+    if (capped.length < rules.tracked.filter((r, i) => rules.max[i] < K).length || !withStars) {
+      console.log(`🌳 Bound table relaxed to fit ${limit} cells: ${capped.length} rarity cap(s)${withStars ? '' : ', no star budget'}`);
+    }
+    const dims = capped.map(dimOf);
+    const strides = dims.map((d, j) => dims.slice(j + 1).reduce((p, x) => p * x, 1));
+    const states = dims.reduce((p, d) => p * d, 1);
+    const capIndex = {};
+    capped.forEach((r, j) => { capIndex[r] = j; });
+    const at = (i, r, b, code) => ((i * (K + 1) + r) * (S + 1) + b) * states + code;
+    // State code after taking a card of this rarity (-1 = allowance used up)
+    const spend = (rarity, code) => {
+      const j = capIndex[rarity];
+      if (j === undefined) return code;
+      return Math.floor(code / strides[j]) % dims[j] > 0 ? code - strides[j] : -1;
+    };
+    const bestRest = new Float64Array((n + 1) * (K + 1) * (S + 1) * states).fill(-Infinity);
+    for (let b = 0; b <= S; b++) {
+      for (let code = 0; code < states; code++) bestRest[at(n, 0, b, code)] = 0;
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      for (let r = 0; r <= K; r++) {
+        for (let b = 0; b <= S; b++) {
+          for (let code = 0; code < states; code++) {
+            let best = bestRest[at(i + 1, r, b, code)];
+            if (r > 0) {
+              for (const card of groups[i]) {
+                if (withStars && card.stars > b) continue;
+                const next = spend(card.rarity ?? 4, code);
+                if (next < 0) continue;
+                const v = value(card) + bestRest[at(i + 1, r - 1, withStars ? b - card.stars : 0, next)];
+                if (v > best) best = v;
+              }
+            }
+            bestRest[at(i, r, b, code)] = best;
+          }
+        }
+      }
+    }
+    const fullCode = states - 1; // every allowance at its cap
+    // Remaining allowance code for the current counts
+    const codeOf = (counts) => capped.reduce((code, r, j) => code - counts[rules.slotOf[r]] * strides[j], fullCode);
+    return (i, budget, remaining, counts) => bestRest[at(i, remaining, withStars ? budget : 0, codeOf(counts))];
   }
 
-  findClosestCombination(cards, targetStars, targetCount, rarityLimits = {}) {
-    const { maxRares = Infinity, maxEpics = Infinity, maxLegendaries = Infinity } = rarityLimits;
+  // Exact branch-and-bound over unpruned hero groups (one card per hero, exactly targetCount cards).
+  // The upper bound is a DP table (_deckBoundTable) over the unpruned groups: bestRest[i][r][b][allowances] = best
+  // score from r cards of groups ≥ i within b stars (binding rarity caps are part of the state, locks are
+  // relaxed). A branch is cut when its score plus that bound can't beat the K-th best deck so far, so the
+  // search only walks branches that can still reach the top K. options: { topK, requiredGroups, nodeLimit, quiet }.
+  // Returns { decks (best first), optimal: search finished within nodeLimit, nodes }.
+  findExactCombination(heroGroups, targetStars, targetCount, rarityLimits = {}, options = {}) {
+    const rules = this._rarityRules(rarityLimits, targetCount);
+    const topK = Math.max(1, options.topK || 1);
+    const nodeLimit = options.nodeLimit || FantasyDeckBuilder.EXACT_NODE_LIMIT;
+    const requiredIn = options.requiredGroups || new Set();
+    const objective = (c) => c.solverScore ?? c.expectedScore ?? 0;
+    const startTime = performance.now();
+
+    const capOf = (rarity) => (rules.slotOf[rarity] === undefined ? Infinity : rules.max[rules.slotOf[rarity]]);
+    const indexed = heroGroups.map((group, i) => ({
+      cards: group
+        .filter(c => c.cardId && c.stars > 0 && c.stars <= targetStars && capOf(c.rarity ?? 4) > 0)
+        .sort((a, b) => objective(b) - objective(a)),
+      required: requiredIn.has(i)
+    }));
+    if (indexed.some(g => g.required && g.cards.length === 0)) return { decks: [], optimal: true, nodes: 0 };
+    const groups = indexed.filter(g => g.cards.length > 0)
+      .sort((a, b) => objective(b.cards[0]) - objective(a.cards[0]));
+    const n = groups.length;
+
+    const requiredFrom = new Array(n + 1).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+      requiredFrom[i] = requiredFrom[i + 1] + (groups[i].required ? 1 : 0);
+    }
+    const bound = this._deckBoundTable(groups.map(g => g.cards), targetStars, targetCount, rules, objective);
+
+    const kept = []; // { total, cards, signature } best first, distinct signatures
+    const threshold = () => (kept.length < topK ? -Infinity : kept[kept.length - 1].total);
+    const record = (total, picked) => {
+      const signature = picked.map(c => `${(c.heroKey || c.handle || c.name).toUpperCase()}:${c.rarity ?? 4}`).join('|');
+      const existing = kept.findIndex(k => k.signature === signature);
+      if (existing >= 0) {
+        if (kept[existing].total >= total) return;
+        kept.splice(existing, 1);
+      }
+      kept.push({ total, cards: [...picked], signature });
+      kept.sort((a, b) => b.total - a.total);
+      if (kept.length > topK) kept.pop();
+    };
+
+    let nodes = 0;
+    let aborted = false;
+    const picked = [];
+    const dfs = (i, budget, remaining, counts, total) => {
+      if (aborted) return;
+      if (++nodes > nodeLimit) {
+        aborted = true;
+        return;
+      }
+      if (remaining === 0) {
+        if (requiredFrom[i] === 0 && rules.deficit(counts) === 0) record(total, picked);
+        return;
+      }
+      if (n - i < remaining || requiredFrom[i] > remaining || budget < remaining || rules.deficit(counts) > remaining) return;
+      if (total + bound(i, budget, remaining, counts) <= threshold()) return;
+
+      for (const card of groups[i].cards) {
+        if (card.stars > budget) continue;
+        const nextCounts = rules.add(counts, card.rarity ?? 4);
+        if (!nextCounts) continue;
+        picked.push(card);
+        dfs(i + 1, budget - card.stars, remaining - 1, nextCounts, total + objective(card));
+        picked.pop();
+      }
+      if (!groups[i].required) dfs(i + 1, budget, remaining, counts, total);
+    };
+    dfs(0, targetStars, targetCount, rules.tracked.map(() => 0), 0);
+
+    const elapsed = performance.now() - startTime;
+    if (!options.quiet) console.log(`🌳 Exact search: ${n} heroes, ${nodes} nodes in ${elapsed.toFixed(0)}ms${aborted ? ' (node limit hit)' : ''}, ${kept.length} deck(s)`);
+    return { decks: kept.map(k => k.cards), optimal: !aborted, nodes };
+  }
+
+  // options.required: card groups (locked heroes/cards) that are filled before any other slot
+  findClosestCombination(cards, targetStars, targetCount, rarityLimits = {}, options = {}) {
+    const rules = this._rarityRules(rarityLimits, targetCount);
+    const required = options.required || [];
     console.log(`🎲 Greedy fallback: pick ${targetCount} cards ≤${targetStars}⭐ maximizing expected score (one per hero)`);
     const selected = [];
     let totalStars = 0;
-    let raresUsed = 0, epicsUsed = 0, legendariesUsed = 0;
+    let counts = rules.tracked.map(() => 0);
     const usedHeroKeys = new Set();
     const consider = Math.min(cards.length, 120);
 
@@ -1349,24 +2477,30 @@ class FantasyDeckBuilder {
       let bestScore = -1;
       let bestStarDiff = Infinity;
 
-      for (let j = 0; j < consider; j++) {
-        const card = cards[j];
+      // Locked groups come first; only once all are placed does the free pick start
+      const pendingRequired = required
+        .filter(group => !group.some(c => usedHeroKeys.has((c.heroKey || c.handle || c.name).toUpperCase())))
+        .flat();
+      const pool = pendingRequired.length > 0 ? pendingRequired : cards.slice(0, consider);
+      // Once the open slots are all needed for rarity minimums, only those rarities qualify
+      const mustFillMinimum = rules.deficit(counts) > cardsRemaining;
+
+      for (let j = 0; j < pool.length; j++) {
+        const card = pool[j];
         const heroKey = (card.heroKey || card.handle || card.name).toUpperCase();
         if (usedHeroKeys.has(heroKey)) continue;
         const newTotal = totalStars + card.stars;
         if (newTotal > targetStars) continue;
 
-        const rarity = card.rarity ?? 4;
-        const wouldRares = rarity === 3 ? raresUsed + 1 : raresUsed;
-        const wouldEpics = rarity === 2 ? epicsUsed + 1 : epicsUsed;
-        const wouldLegs = rarity === 1 ? legendariesUsed + 1 : legendariesUsed;
-        if (wouldRares > maxRares || wouldEpics > maxEpics || wouldLegs > maxLegendaries) continue;
+        const nextCounts = rules.add(counts, card.rarity ?? 4);
+        if (!nextCounts) continue;
+        if (mustFillMinimum && rules.deficit(nextCounts) >= rules.deficit(counts)) continue;
 
         const starDiff = cardsRemaining === 0 ? Math.abs(targetStars - newTotal) : 0;
-        const expectedScore = card.expectedScore ?? 0;
-        const isBetter = expectedScore > bestScore || (expectedScore === bestScore && starDiff < bestStarDiff);
+        const objective = card.solverScore ?? card.expectedScore ?? 0;
+        const isBetter = objective > bestScore || (objective === bestScore && starDiff < bestStarDiff);
         if (isBetter) {
-          bestScore = expectedScore;
+          bestScore = objective;
           bestStarDiff = starDiff;
           bestCard = card;
           bestIndex = j;
@@ -1377,7 +2511,7 @@ class FantasyDeckBuilder {
         selected.push(bestCard);
         totalStars += bestCard.stars;
         const r = bestCard.rarity ?? 4;
-        if (r === 3) raresUsed++; else if (r === 2) epicsUsed++; else if (r === 1) legendariesUsed++;
+        counts = rules.add(counts, r);
         usedHeroKeys.add((bestCard.heroKey || bestCard.handle || bestCard.name).toUpperCase());
         const rLabel = FantasyDeckBuilder.RARITY_LABEL[r] || 'Common';
         console.log(`  ${selected.length}. ${bestCard.name} (${bestCard.stars}⭐ ${rLabel}) exp=${(bestCard.expectedScore ?? 0).toFixed(0)} [cardId: ${bestCard.cardId}] → ${totalStars}⭐`);
@@ -1387,7 +2521,7 @@ class FantasyDeckBuilder {
       }
     }
 
-    if (selected.length < targetCount) {
+    if (selected.length < targetCount || rules.deficit(counts) > 0) {
       console.error(`❌ Only found ${selected.length}/${targetCount} cards`);
       return null;
     }
@@ -1508,11 +2642,79 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
   
+  if (request.action === 'buildMultiDeck') {
+    (async () => {
+      try {
+        console.log('📨 Received buildMultiDeck message from popup');
+        sendResponse(await builder.buildMultiDeck(request.config));
+      } catch (error) {
+        console.error('❌ Error in buildMultiDeck handler:', error);
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      }
+    })();
+    
+    return true;
+  }
+  
+  if (request.action === 'runBacktestDecks') {
+    (async () => {
+      try {
+        console.log('📨 Received runBacktestDecks message from popup');
+        sendResponse(await builder.runBacktestDecks(request.options));
+      } catch (error) {
+        console.error('❌ Error in runBacktestDecks handler:', error);
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      }
+    })();
+    
+    return true;
+  }
+  
+  if (request.action === 'simulateDecks') {
+    (async () => {
+      try {
+        console.log('📨 Received simulateDecks message from popup');
+        sendResponse(await builder.simulateDecks(request.indices || [0], request.options));
+      } catch (error) {
+        console.error('❌ Error in simulateDecks handler:', error);
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      }
+    })();
+    
+    return true;
+  }
+  
+  if (request.action === 'applyDeck') {
+    (async () => {
+      try {
+        console.log('📨 Received applyDeck message from popup');
+        sendResponse(await builder.applyDeck(request.index));
+      } catch (error) {
+        console.error('❌ Error in applyDeck handler:', error);
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      }
+    })();
+    
+    return true;
+  }
+  
   if (request.action === 'refreshData') {
     (async () => {
       try {
         console.log('📨 Received refreshData message from popup');
-        await builder.scrapeAllHistoricalData();
+        await builder.scrapeAllHistoricalData('popup');
         sendResponse({
           success: true,
           cardCount: Object.keys(builder.historicalData).length
@@ -1534,6 +2736,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       try {
         console.log('📨 Received calculateScores message from popup');
         await builder.loadHistoricalData();
+        builder.setHistoryOptions(request.config);
         
         // Calculate scores for all heroes
         const heroCount = await builder.saveCalculatedScores(request.config);
@@ -0,0 +1,165 @@
+// Shared RFC 4180 CSV parser (streaming). Loaded by the service worker, the content script and the popup
+// before history.js; also requireable from Node for tests (node --test tests/).
+// Handles a leading BOM, CRLF / LF / lone CR line endings (also split across chunks), "" escaped quotes
+// and quoted fields containing commas or newlines. Malformed input is read leniently: a quote inside an
+// unquoted field is kept as text, text after a closing quote is appended, and an unterminated quoted
+// field runs to the end of input (reported in parser.errors).
+(function (root) {
+  // Incremental parser: push(chunk) any number of times, then end(). onRecord(fields, line) gets each
+  // record with the 1-based line it starts on. A blank line is a record of one empty field.
+  function createParser(onRecord, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteClosed = false; // just read the closing quote of a quoted field
+    let pendingCR = false; // chunk ended on \r: a following \n belongs to the same line break
+    let lastChar = ''; // last character of the previous chunk
+    let started = false; // BOM check happens once, on the first character
+    let line = 1;
+    let recordLine = 1;
+    let fieldQuotedAtLine = 0;
+
+    function endField() {
+      fields.push(field);
+      field = '';
+      quoteClosed = false;
+    }
+
+    function endRecord() {
+      endField();
+      onRecord(fields, recordLine);
+      fields = [];
+    }
+
+    function push(chunk) {
+      let i = 0;
+      if (!started && chunk.length > 0) {
+        started = true;
+        if (chunk.charCodeAt(0) === 0xfeff) i = 1;
+      }
+      if (pendingCR && chunk.length > i) {
+        pendingCR = false;
+        if (chunk[i] === '\n') i++;
+      }
+
+      for (; i < chunk.length; i++) {
+        const char = chunk[i];
+
+        if (inQuotes) {
+          if (char === '"') {
+            if (i + 1 < chunk.length) {
+              if (chunk[i + 1] === '"') {
+                field += '"';
+                i++;
+              } else {
+                inQuotes = false;
+                quoteClosed = true;
+              }
+            } else {
+              // Quote at the end of the chunk: decide on the next character
+              inQuotes = false;
+              quoteClosed = true;
+            }
+          } else {
+            const prev = i > 0 ? chunk[i - 1] : lastChar;
+            if (char === '\r' || (char === '\n' && prev !== '\r')) line++;
+            field += char;
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          if (quoteClosed) {
+            // "" split across chunks: the quote we closed on was the first half of an escape
+            field += '"';
+            inQuotes = true;
+            quoteClosed = false;
+          } else if (field === '') {
+            inQuotes = true;
+            fieldQuotedAtLine = line;
+          } else {
+            field += char;
+          }
+        } else if (char === delimiter) {
+          endField();
+        } else if (char === '\r' || char === '\n') {
+          endRecord();
+          line++;
+          recordLine = line;
+          if (char === '\r') {
+            if (i + 1 < chunk.length) {
+              if (chunk[i + 1] === '\n') i++;
+            } else {
+              pendingCR = true;
+            }
+          }
+        } else {
+          field += char;
+          quoteClosed = false;
+        }
+      }
+      if (chunk.length > 0) lastChar = chunk[chunk.length - 1];
+    }
+
+    function end() {
+      if (inQuotes) {
+        errors.push({ line: fieldQuotedAtLine, message: `Unterminated quoted field starting on line ${fieldQuotedAtLine}` });
+        inQuotes = false;
+      }
+      // No record for the empty remainder after a final line break
+      if (fields.length > 0 || field !== '' || quoteClosed) endRecord();
+    }
+
+    return { push, end, errors };
+  }
+
+  // Whole text -> [{ fields, line }]
+  function parseRecords(text, options = {}) {
+    const records = [];
+    const parser = createParser((fields, line) => records.push({ fields, line }), options);
+    parser.push(text);
+    parser.end();
+    return records;
+  }
+
+  // Whole text -> rows of fields
+  function parse(text, options = {}) {
+    return parseRecords(text, options).map(record => record.fields);
+  }
+
+  // One line of CSV -> fields (kept for callers that already split lines)
+  function parseLine(line, options = {}) {
+    return parse(line, options)[0] || [''];
+  }
+
+  // Parse a fetch Response body as it streams in. Returns { records, errors, bytes }.
+  async function parseStream(response, options = {}) {
+    const records = [];
+    const parser = createParser((fields, line) => records.push({ fields, line }), options);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let bytes = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytes += value.length;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+    return { records, errors: parser.errors, bytes };
+  }
+
+  const FantasyCSV = {
+    createParser,
+    parseRecords,
+    parse,
+    parseLine,
+    parseStream
+  };
+
+  root.FantasyCSV = FantasyCSV;
+  if (typeof module !== 'undefined' && module.exports) module.exports = FantasyCSV;
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,885 @@
+// Shared historical data import. Loaded by the service worker, the content script and the popup so every
+// surface reads the same source through the same column mapping. The built-in source is Molt's Fantasy
+// Sheet; a user sheet URL, an uploaded CSV/JSON file or a JSON URL can replace it (stored under dataSource).
+(function (root) {
+  // RFC 4180 parser (csv.js is loaded first in the extension; required directly under Node)
+  const FantasyCSV = root.FantasyCSV || (typeof require === 'function' ? require('./csv.js') : null);
+
+  const SHEET_ID = '10GdAFNpvbCQD5stPiyPDatiWhRW6MAizYwRazLyuSy0';
+  const SHEET_GID = '0';
+
+  const SOURCE_STORAGE_KEY = 'dataSource';
+  const FILE_STORAGE_KEY = 'dataSourceFile'; // { name, text } of the uploaded file
+
+  // Format of historicalDataCache. 1 (unset): bare score arrays with missed weeks dropped;
+  // 2: week entries with explicit nulls (see parseTable)
+  const DATA_VERSION_KEY = 'historyDataVersion';
+  const DATA_VERSION = 2;
+
+  // Scheduled refresh (service worker alarm REFRESH_ALARM). schedule = { mode, day (0 = Sunday, weekly only),
+  // hour, minute } in local time. The default (Mondays 12:00) is meant to land after the weekly tournament
+  // closes; the popup lets users move it.
+  const SCHEDULE_STORAGE_KEY = 'refreshSchedule';
+  const REFRESH_LOG_STORAGE_KEY = 'refreshHistory'; // [{ timestamp, trigger, success, heroes?, error? }], newest first
+  const REFRESH_ALARM = 'historyRefresh';
+  const REFRESH_MODES = { off: 'Off', daily: 'Daily', weekly: 'Weekly' };
+  const DEFAULT_SCHEDULE = { mode: 'weekly', day: 1, hour: 12, minute: 0 };
+  const MAX_REFRESH_LOG = 20;
+
+  // Snapshots of past imports, one storage key each (historySnapshot:<id> -> a packed import, see
+  // packSnapshot) plus an index [{ id, timestamp, source, heroes, weeks, summary, checkedAt? }], newest first.
+  // A refresh that changes nothing only sets checkedAt on the latest. pinnedSnapshotId makes loadHistoryCache
+  // serve that snapshot instead of the live cache (builds, scores and backtests all follow it). When storage
+  // runs out, the oldest unpinned snapshots make room (see setWithSnapshotEviction).
+  const SNAPSHOT_INDEX_KEY = 'historySnapshots';
+  const SNAPSHOT_KEY_PREFIX = 'historySnapshot:';
+  const PINNED_SNAPSHOT_KEY = 'pinnedSnapshotId';
+  const MAX_SNAPSHOTS = 5; // a pinned snapshot is kept on top of these
+  const SNAPSHOT_FORMAT = 2; // packed; snapshots without a format are full copies (first release)
+
+  // Providers: each yields a { headers, rows } table that is read through a header-name column mapping
+  const PROVIDERS = {
+    molt: { label: "Molt's Fantasy Sheet (built-in)" },
+    sheet: { label: 'Google Sheet URL' },
+    file: { label: 'CSV / JSON file' },
+    json: { label: 'JSON URL' }
+  };
+
+  // source = { provider, url, gid, headerRow (1-based line of the header, CSV only), mapping }
+  // mapping = { name, handle, stars, scoresFrom, scoresCount, starsFrom } by header name; null = detect from the
+  // headers. starsFrom (optional) is the first of the per-week star columns, in the same week order as the scores.
+  const DEFAULT_SOURCE = { provider: 'molt', headerRow: 2, mapping: null };
+
+  // Built-in sheet fallback when its headers can't be detected (0-indexed): E = name, F = handle, P = stars,
+  // tournaments from 75 (most recent first)
+  const COLUMNS = {
+    name: 4,
+    handle: 5,
+    stars: 15,
+    firstTournament: 75,
+    tournamentCount: 53
+  };
+
+  // Header names recognised by detectColumns (compared lower-case, trimmed)
+  const HEADER_PATTERNS = {
+    name: /^(hero|name|hero name|player)$/,
+    handle: /^(handle|twitter|x handle|username|@)$/,
+    stars: /^(stars?|⭐|star rating|rating)$/,
+    weekStars: /^(stars?|⭐)\s*[-:(]?\s*(main|t|w|wk|week|tournament|tourney|gw|round)?\s*#?\s*\d+/,
+    score: /^((scores?|points?|main|t|w|wk|week|tournament|tourney|gw|round)\s*#?\s*\d+(\s*[([]?\s*\d{1,4}[/.-]\d{1,2}([/.-]\d{1,4})?\s*[)\]]?)?|\d{1,4}[/.-]\d{1,2}([/.-]\d{1,4})?)$/
+  };
+  const DATE_PATTERN = /\d{1,4}[/.-]\d{1,2}(?:[/.-]\d{1,4})?/;
+
+  // Score column header -> { label, number, date }: "Main 85 (10/12)" -> { label, number: 85, date: '10/12' }.
+  // number/date are null when the header doesn't carry them.
+  function parseWeekHeader(header) {
+    const label = String(header || '').trim();
+    const date = label.match(DATE_PATTERN)?.[0] || null;
+    const number = label.replace(DATE_PATTERN, ' ').match(/\d+/)?.[0];
+    return { label, number: number ? Number(number) : null, date };
+  }
+
+  // Single CSV line -> fields (see csv.js; whole files go through tableFromCSV)
+  function parseCSVLine(line) {
+    return FantasyCSV.parseLine(line);
+  }
+
+  // Parsed CSV records ({ fields, line }) -> { headers, rows, lineNumbers } with the header on record
+  // headerRow (1-based, blank lines count); blank records dropped
+  function tableFromRecords(records, headerRow = DEFAULT_SOURCE.headerRow) {
+    const headers = records[headerRow - 1]?.fields || [];
+    const rows = [];
+    const lineNumbers = []; // 1-based sheet line each data row starts on, for the import report
+    records.slice(headerRow).forEach(record => {
+      if (record.fields.length === 1 && record.fields[0].trim() === '') return;
+      rows.push(record.fields);
+      lineNumbers.push(record.line);
+    });
+    return { headers, rows, lineNumbers };
+  }
+
+  // CSV text -> { headers, rows, lineNumbers }
+  function tableFromCSV(csvText, headerRow = DEFAULT_SOURCE.headerRow) {
+    const records = FantasyCSV.parseRecords(csvText);
+    console.log(`📄 Parsed ${records.length} CSV records`);
+    return tableFromRecords(records, headerRow);
+  }
+
+  // JSON text -> { headers, rows }. Accepts an array of arrays (first = header) or of objects, optionally
+  // wrapped in an object ({ heroes: [...] }). Array fields become numbered columns: scores: [a, b] ->
+  // "scores 1", "scores 2".
+  function tableFromJSON(jsonText) {
+    let data = JSON.parse(jsonText);
+    if (!Array.isArray(data) && data && typeof data === 'object') {
+      data = Object.values(data).find(Array.isArray) || [];
+    }
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('JSON must contain an array of rows');
+    }
+    if (Array.isArray(data[0])) {
+      return { headers: data[0].map(String), rows: data.slice(1).map(row => row.map(v => (v == null ? '' : String(v)))) };
+    }
+
+    const headers = [];
+    const flatRows = data.filter(item => item && typeof item === 'object').map(item => {
+      const flat = {};
+      for (const [key, value] of Object.entries(item)) {
+        if (Array.isArray(value)) {
+          value.forEach((v, i) => { flat[`${key} ${i + 1}`] = v; });
+        } else {
+          flat[key] = value;
+        }
+      }
+      Object.keys(flat).forEach(key => { if (!headers.includes(key)) headers.push(key); });
+      return flat;
+    });
+    return { headers, rows: flatRows.map(flat => headers.map(h => (flat[h] == null ? '' : String(flat[h])))) };
+  }
+
+  // Longest run of adjacent headers matching pattern: { start, length } (start -1 when none)
+  function longestRun(clean, pattern) {
+    let best = { start: -1, length: 0 };
+    let runStart = -1;
+    clean.forEach((h, i) => {
+      if (pattern.test(h.toLowerCase())) {
+        if (runStart < 0) runStart = i;
+        if (i - runStart + 1 > best.length) best = { start: runStart, length: i - runStart + 1 };
+      } else {
+        runStart = -1;
+      }
+    });
+    return best;
+  }
+
+  // Mapping guessed from header names. Scores (and per-week stars) are the longest run of adjacent
+  // score-like (star-like) headers.
+  function detectColumns(headers) {
+    const clean = headers.map(h => String(h || '').trim());
+    const find = pattern => clean.find(h => pattern.test(h.toLowerCase())) || null;
+    const scores = longestRun(clean, HEADER_PATTERNS.score);
+    const stars = longestRun(clean, HEADER_PATTERNS.weekStars);
+
+    return {
+      name: find(HEADER_PATTERNS.name),
+      handle: find(HEADER_PATTERNS.handle),
+      stars: find(HEADER_PATTERNS.stars),
+      scoresFrom: scores.length > 0 ? clean[scores.start] : null,
+      scoresCount: scores.length,
+      starsFrom: stars.length > 0 ? clean[stars.start] : null
+    };
+  }
+
+  // Header-name mapping -> column indexes for this header row. fallback (index-based COLUMNS) fills fields
+  // the mapping can't place (listed in columns.fallbackUsed); throws naming whatever is still missing.
+  function resolveColumns(headers, mapping, fallback = null) {
+    const clean = headers.map(h => String(h || '').trim().toLowerCase());
+    const indexOf = name => (name ? clean.indexOf(String(name).trim().toLowerCase()) : -1);
+
+    const columns = {
+      name: indexOf(mapping?.name),
+      handle: indexOf(mapping?.handle),
+      stars: indexOf(mapping?.stars),
+      scores: [],
+      weekStars: [], // weekStars[i] = star column for scores[i] (may be shorter than scores)
+      fallbackUsed: []
+    };
+    const from = indexOf(mapping?.scoresFrom);
+    if (from >= 0) {
+      const count = Math.max(1, parseInt(mapping.scoresCount) || headers.length - from);
+      columns.scores = Array.from({ length: Math.min(count, headers.length - from) }, (_, i) => from + i);
+    }
+    const starsFrom = indexOf(mapping?.starsFrom);
+    if (starsFrom >= 0 && columns.scores.length > 0) {
+      columns.weekStars = Array.from({ length: Math.min(columns.scores.length, headers.length - starsFrom) }, (_, i) => starsFrom + i);
+    }
+
+    if (fallback) {
+      if (columns.name < 0 && columns.handle < 0) {
+        columns.name = fallback.name;
+        columns.handle = fallback.handle;
+        columns.fallbackUsed.push('name', 'handle');
+      }
+      if (columns.stars < 0) {
+        columns.stars = fallback.stars;
+        columns.fallbackUsed.push('stars');
+      }
+      if (columns.scores.length === 0) {
+        columns.scores = Array.from({ length: fallback.tournamentCount }, (_, i) => fallback.firstTournament + i);
+        columns.fallbackUsed.push('scores');
+      }
+    }
+
+    const missing = [];
+    if (columns.name < 0 && columns.handle < 0) missing.push('name or handle');
+    if (columns.stars < 0) missing.push('stars');
+    if (columns.scores.length === 0) missing.push('scores');
+    if (missing.length > 0) {
+      throw new Error(`Couldn't find the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''} — set them in the column mapping`);
+    }
+    return columns;
+  }
+
+  const REPORT_EXAMPLES = 10; // non-numeric cells / duplicates listed by name in the report
+
+  // Table + column indexes -> { historicalData: heroKey -> entries, weekLabels: [{ label, number, date }],
+  // cardData: [{ heroKey, handle, name, stars, tierChange? }], report }. entries[i] is { week: label, score,
+  // stars? } for week weekLabels[i] (most recent first) or null when the hero has no score that week; stars is
+  // the hero's tier that week when the source has per-week star columns. Weeks before the hero's first score
+  // are trimmed, and weeks nobody scored in (e.g. the current, unplayed one) are dropped.
+  // report = { heroes, rows, weeks, emptyWeeks, starHistory, missingColumns, positionalColumns,
+  //            skipped: { reason: count }, nonNumeric: { count, examples }, duplicates: [{ heroKey, rows }] }
+  function parseTable({ headers, rows, lineNumbers }, columns) {
+    const historicalData = {};
+    const weekStars = {}; // heroKey -> per-column stars (null where unknown)
+    const cardData = [];
+    const allWeekLabels = columns.scores.map(col => parseWeekHeader(headers[col]));
+    const weekScored = allWeekLabels.map(() => false);
+    const skipped = {};
+    const skip = reason => { skipped[reason] = (skipped[reason] || 0) + 1; };
+    const nonNumeric = { count: 0, examples: [] };
+    const firstRow = {}; // heroKey -> sheet row, for duplicate reporting
+    const duplicates = {};
+    let processedRows = 0;
+
+    rows.forEach((row, r) => {
+      const rowNumber = lineNumbers ? lineNumbers[r] : r + 1;
+      const name = columns.name >= 0 ? (row[columns.name] || '').trim() : '';
+      const handle = columns.handle >= 0 ? (row[columns.handle] || '').trim() : '';
+      const heroKey = (handle || name).toUpperCase();
+      const starsRaw = row[columns.stars]?.trim();
+      const stars = parseInt(starsRaw);
+
+      if (!heroKey || heroKey.length < 2) {
+        skip('no hero name');
+        return;
+      }
+      if (isNaN(stars)) {
+        skip(starsRaw ? 'stars not a number' : 'no stars');
+        return;
+      }
+      if (firstRow[heroKey] !== undefined) {
+        duplicates[heroKey] = duplicates[heroKey] || [firstRow[heroKey]];
+        duplicates[heroKey].push(rowNumber);
+        skip('duplicate hero (first row kept)');
+        return;
+      }
+
+      // Extract tournament scores (most recent first), null for weeks without one
+      const scores = columns.scores.map((colIndex, week) => {
+        const raw = row[colIndex]?.trim() || '';
+        const score = parseInt(raw.replace(/,/g, '')); // "1,050" (quoted, thousands separator)
+        if (!isNaN(score) && score >= 0) { // Include 0 scores (heroes with tournament history but scored 0)
+          weekScored[week] = true;
+          return score;
+        }
+        if (raw !== '') {
+          nonNumeric.count++;
+          if (nonNumeric.examples.length < REPORT_EXAMPLES) {
+            nonNumeric.examples.push({ heroKey, row: rowNumber, column: allWeekLabels[week].label, value: raw });
+          }
+        }
+        return null;
+      });
+
+      if (scores.some(score => score !== null)) {
+        historicalData[heroKey] = scores;
+        weekStars[heroKey] = columns.scores.map((col, week) => {
+          const tier = parseInt(row[columns.weekStars?.[week]]);
+          return isNaN(tier) ? null : tier;
+        });
+        cardData.push({ heroKey, handle, name: name || handle, stars });
+        firstRow[heroKey] = rowNumber;
+        processedRows++;
+      } else {
+        skip('no scores');
+      }
+    });
+
+    // Keep only weeks somebody scored in, then turn each hero's scores into week entries
+    const kept = allWeekLabels.map((label, week) => week).filter(week => weekScored[week]);
+    const weekLabels = kept.map(week => allWeekLabels[week]);
+    for (const [heroKey, scores] of Object.entries(historicalData)) {
+      const entries = kept.map(week => {
+        if (scores[week] === null) return null;
+        const entry = { week: allWeekLabels[week].label, score: scores[week] };
+        if (weekStars[heroKey][week] !== null) entry.stars = weekStars[heroKey][week];
+        return entry;
+      });
+      while (entries.length > 0 && entries[entries.length - 1] === null) entries.pop();
+      historicalData[heroKey] = entries;
+    }
+    cardData.forEach(card => {
+      const change = tierChange(historicalData[card.heroKey], card.stars);
+      if (change) card.tierChange = change;
+    });
+
+    const skippedRows = Object.values(skipped).reduce((a, b) => a + b, 0);
+    const report = {
+      heroes: processedRows,
+      rows: rows.length,
+      weeks: weekLabels.length,
+      emptyWeeks: allWeekLabels.length - weekLabels.length,
+      starHistory: (columns.weekStars || []).length > 0,
+      firstWeek: weekLabels[0]?.label || null,
+      lastWeek: weekLabels[weekLabels.length - 1]?.label || null,
+      missingColumns: [
+        columns.name < 0 ? 'name' : null,
+        columns.handle < 0 ? 'handle' : null
+      ].filter(Boolean),
+      positionalColumns: columns.fallbackUsed || [],
+      skipped,
+      nonNumeric,
+      duplicates: Object.entries(duplicates).slice(0, REPORT_EXAMPLES).map(([heroKey, dupRows]) => ({ heroKey, rows: dupRows })),
+      duplicateCount: Object.keys(duplicates).length
+    };
+
+    console.log('✅ === PARSING COMPLETE ===');
+    console.log(`   ✓ ${processedRows} heroes successfully processed`);
+    console.log(`   ⏭️ ${skippedRows} rows skipped`, skipped);
+    if (nonNumeric.count > 0) console.log(`   ⚠️ ${nonNumeric.count} non-numeric score cells`);
+
+    return { historicalData, weekLabels, cardData, processedRows, skippedRows, report };
+  }
+
+  // Most recent tier change: { from, weeksAgo } when the hero's stars differ from an entry within the last
+  // RECENT_TIER_CHANGE_WEEKS weeks (weeksAgo = weeks played at the current tier), else null
+  const RECENT_TIER_CHANGE_WEEKS = 4;
+  function tierChange(entries, currentStars) {
+    const recent = (entries || []).slice(0, RECENT_TIER_CHANGE_WEEKS);
+    const weeksAgo = recent.findIndex(entry => entry?.stars != null && entry.stars !== currentStars);
+    return weeksAgo < 0 ? null : { from: recent[weeksAgo].stars, weeksAgo };
+  }
+
+  // One-line summary of an import report (popup status and logs)
+  function summarizeReport(report) {
+    const parts = [`${report.heroes} heroes`, `${report.weeks} weeks${report.firstWeek ? ` (${report.firstWeek} … ${report.lastWeek})` : ''}`];
+    const skippedRows = Object.values(report.skipped || {}).reduce((a, b) => a + b, 0);
+    if (skippedRows > 0) parts.push(`${skippedRows} rows skipped`);
+    if (report.nonNumeric?.count > 0) parts.push(`${report.nonNumeric.count} non-numeric cells`);
+    if (report.starHistory) parts.push('star history');
+    if (report.emptyWeeks > 0) parts.push(`${report.emptyWeeks} empty week column${report.emptyWeeks > 1 ? 's' : ''} dropped`);
+    if (report.duplicateCount > 0) parts.push(`${report.duplicateCount} duplicate hero${report.duplicateCount > 1 ? 'es' : ''}`);
+    return parts.join(' · ');
+  }
+
+  // Parse sheet CSV (header on line 2 by default) through a mapping, or detected headers when none is given
+  function parseHistoricalCSV(csvText, options = {}) {
+    const table = tableFromCSV(csvText, options.headerRow);
+    console.log(`📋 Found ${table.headers.length} header columns`);
+    const columns = resolveColumns(table.headers, options.mapping || detectColumns(table.headers), options.fallback);
+    return parseTable(table, columns);
+  }
+
+  // Version-1 cache (heroKey -> scores[] with missed weeks dropped) -> entries. Heroes with a week-index list
+  // in historicalWeeks (the v1 weeks cache) get their gaps back as nulls; without one the scores stay
+  // consecutive, since which weeks were missed is unknown.
+  function migrateHistoricalData(historicalData, historicalWeeks = {}, weekLabels = []) {
+    const hasWeeks = (heroKey, scores) => Array.isArray(historicalWeeks?.[heroKey]) && historicalWeeks[heroKey].length === scores.length;
+    // Week columns somebody scored in (the rest were dropped by parseTable in v2)
+    const used = new Set();
+    for (const [heroKey, scores] of Object.entries(historicalData || {})) {
+      if (Array.isArray(scores) && hasWeeks(heroKey, scores)) historicalWeeks[heroKey].forEach(week => used.add(week));
+    }
+    const kept = [...used].sort((a, b) => a - b);
+    const label = week => weekLabels?.[week]?.label ?? null;
+
+    const migrated = {};
+    for (const [heroKey, scores] of Object.entries(historicalData || {})) {
+      if (!Array.isArray(scores) || scores.some(s => s != null && typeof s === 'object')) {
+        migrated[heroKey] = scores || []; // already entries
+      } else if (hasWeeks(heroKey, scores)) {
+        const byWeek = new Map(historicalWeeks[heroKey].map((week, i) => [week, scores[i]]));
+        const entries = kept.map(week => (byWeek.has(week) ? { week: label(week), score: byWeek.get(week) } : null));
+        while (entries.length > 0 && entries[entries.length - 1] === null) entries.pop();
+        migrated[heroKey] = entries;
+      } else {
+        migrated[heroKey] = scores.map(score => ({ week: null, score }));
+      }
+    }
+    return migrated;
+  }
+
+  // Upgrade a stored version-1 cache in place (extension update, or first read after it)
+  async function migrateHistoryCache() {
+    const stored = await chrome.storage.local.get(['historicalDataCache', 'historicalWeeksCache', 'weekLabelsCache', DATA_VERSION_KEY]);
+    if ((stored[DATA_VERSION_KEY] || 1) >= DATA_VERSION) return false;
+    if (stored.historicalDataCache) {
+      const update = {
+        historicalDataCache: migrateHistoricalData(stored.historicalDataCache, stored.historicalWeeksCache, stored.weekLabelsCache)
+      };
+      // weekLabelsCache must describe the same (non-empty) weeks as the entries
+      if (stored.historicalWeeksCache && stored.weekLabelsCache) {
+        const used = new Set(Object.values(stored.historicalWeeksCache).flat());
+        update.weekLabelsCache = stored.weekLabelsCache.filter((label, week) => used.has(week));
+      }
+      await chrome.storage.local.set(update);
+      console.log(`🔄 Migrated history cache for ${Object.keys(stored.historicalDataCache).length} heroes to week entries`);
+    }
+    await chrome.storage.local.set({ [DATA_VERSION_KEY]: DATA_VERSION });
+    await chrome.storage.local.remove(['historicalWeeksCache']);
+    return true;
+  }
+
+  // Cached history (migrated first if needed) plus any extra storage keys: { historicalDataCache, ... }.
+  // With a pinned snapshot, historicalDataCache / cardDataCache / weekLabelsCache come from it and
+  // pinnedSnapshot holds its index entry.
+  async function loadHistoryCache(keys = []) {
+    await migrateHistoryCache();
+    const result = await chrome.storage.local.get(['historicalDataCache', PINNED_SNAPSHOT_KEY, ...keys]);
+    const pinnedId = result[PINNED_SNAPSHOT_KEY];
+    delete result[PINNED_SNAPSHOT_KEY];
+    if (!pinnedId) return result;
+    const snapshot = await loadSnapshot(pinnedId);
+    if (!snapshot) return result;
+    result.historicalDataCache = snapshot.historicalData;
+    if (keys.includes('cardDataCache')) result.cardDataCache = snapshot.cardData;
+    if (keys.includes('weekLabelsCache')) result.weekLabelsCache = snapshot.weekLabels;
+    result.pinnedSnapshot = (await listSnapshots()).find(entry => entry.id === pinnedId) || { id: pinnedId };
+    return result;
+  }
+
+  // Two imports ({ historicalData, cardData }) -> { added, removed, starChanges: [{ heroKey, from, to }],
+  // newWeeks: [{ week, scores }], changedScores: [{ heroKey, week, from, to }] }. Weeks are matched by label;
+  // changedScores catches edits to weeks both imports have (to / from null = score removed / filled in).
+  function diffSnapshots(before, after) {
+    const weekScores = data => {
+      const map = new Map(); // week label -> Map(heroKey -> score)
+      Object.entries(data.historicalData || {}).forEach(([heroKey, entries]) => {
+        (entries || []).forEach(entry => {
+          if (!entry || entry.week == null) return;
+          if (!map.has(entry.week)) map.set(entry.week, new Map());
+          map.get(entry.week).set(heroKey, entry.score);
+        });
+      });
+      return map;
+    };
+    const beforeHeroes = new Set(Object.keys(before.historicalData || {}));
+    const afterHeroes = new Set(Object.keys(after.historicalData || {}));
+    const beforeStars = Object.fromEntries((before.cardData || []).map(card => [card.heroKey, card.stars]));
+    const beforeWeeks = weekScores(before);
+    const afterWeeks = weekScores(after);
+
+    const newWeeks = [];
+    const changedScores = [];
+    afterWeeks.forEach((scores, week) => {
+      const old = beforeWeeks.get(week);
+      if (!old) {
+        newWeeks.push({ week, scores: scores.size });
+        return;
+      }
+      new Set([...old.keys(), ...scores.keys()]).forEach(heroKey => {
+        if (!beforeHeroes.has(heroKey) || !afterHeroes.has(heroKey)) return; // added / removed heroes are listed as such
+        const from = old.get(heroKey) ?? null;
+        const to = scores.get(heroKey) ?? null;
+        if (from !== to) changedScores.push({ heroKey, week, from, to });
+      });
+    });
+
+    return {
+      added: [...afterHeroes].filter(heroKey => !beforeHeroes.has(heroKey)),
+      removed: [...beforeHeroes].filter(heroKey => !afterHeroes.has(heroKey)),
+      starChanges: (after.cardData || [])
+        .filter(card => beforeStars[card.heroKey] != null && card.stars != null && beforeStars[card.heroKey] !== card.stars)
+        .map(card => ({ heroKey: card.heroKey, from: beforeStars[card.heroKey], to: card.stars })),
+      newWeeks,
+      changedScores
+    };
+  }
+
+  function isEmptyDiff(diff) {
+    return ['added', 'removed', 'starChanges', 'newWeeks', 'changedScores'].every(field => diff[field].length === 0);
+  }
+
+  // "+2 heroes · 3 star changes · 1 new week (120 scores) · 2 edited scores" or "no changes"
+  function summarizeSnapshotDiff(diff) {
+    const count = (n, word, plural = `${word}s`) => `${n} ${n === 1 ? word : plural}`;
+    const parts = [];
+    if (diff.added.length > 0) parts.push(`+${count(diff.added.length, 'hero', 'heroes')}`);
+    if (diff.removed.length > 0) parts.push(`−${count(diff.removed.length, 'hero', 'heroes')}`);
+    if (diff.starChanges.length > 0) parts.push(count(diff.starChanges.length, 'star change'));
+    if (diff.newWeeks.length > 0) {
+      parts.push(`${count(diff.newWeeks.length, 'new week')} (${diff.newWeeks.reduce((sum, w) => sum + w.scores, 0)} scores)`);
+    }
+    if (diff.changedScores.length > 0) parts.push(count(diff.changedScores.length, 'edited score'));
+    return parts.length > 0 ? parts.join(' · ') : 'no changes';
+  }
+
+  // Import ({ historicalData, cardData, weekLabels }) -> stored snapshot. Entries line up with weekLabels,
+  // so the week labels are kept once and each hero gets a score array (null = missed week) plus a star
+  // array when the source has star history. A hero whose entries don't line up (caches migrated from
+  // version 1) is kept as is under raw.
+  function packSnapshot(data) {
+    const labels = (data.weekLabels || []).map(w => w.label);
+    const scores = {};
+    const stars = {};
+    const raw = {};
+    for (const [heroKey, entries] of Object.entries(data.historicalData || {})) {
+      if (!(entries || []).every((entry, week) => entry == null || entry.week === labels[week])) {
+        raw[heroKey] = entries;
+        continue;
+      }
+      scores[heroKey] = entries.map(entry => entry?.score ?? null);
+      if (entries.some(entry => entry?.stars != null)) stars[heroKey] = entries.map(entry => entry?.stars ?? null);
+    }
+    return { format: SNAPSHOT_FORMAT, weekLabels: data.weekLabels, cardData: data.cardData, scores, stars, raw };
+  }
+
+  // Stored snapshot -> { historicalData, cardData, weekLabels } (full copies pass through)
+  function unpackSnapshot(stored) {
+    if (stored.format !== SNAPSHOT_FORMAT) return stored;
+    const historicalData = {};
+    for (const [heroKey, scores] of Object.entries(stored.scores)) {
+      const stars = stored.stars[heroKey];
+      historicalData[heroKey] = scores.map((score, week) => {
+        if (score == null) return null;
+        const entry = { week: stored.weekLabels[week].label, score };
+        if (stars?.[week] != null) entry.stars = stars[week];
+        return entry;
+      });
+    }
+    Object.assign(historicalData, stored.raw);
+    return { historicalData, cardData: stored.cardData, weekLabels: stored.weekLabels };
+  }
+
+  async function listSnapshots() {
+    const result = await chrome.storage.local.get([SNAPSHOT_INDEX_KEY]);
+    return result[SNAPSHOT_INDEX_KEY] || [];
+  }
+
+  async function loadSnapshot(id) {
+    const key = SNAPSHOT_KEY_PREFIX + id;
+    const stored = (await chrome.storage.local.get([key]))[key];
+    return stored ? unpackSnapshot(stored) : null;
+  }
+
+  function isQuotaError(error) {
+    return /quota/i.test(error?.message || '');
+  }
+
+  // Drop the oldest snapshot that is neither pinned nor in keepIds. Returns false when there is none.
+  async function dropOldestSnapshot(keepIds = []) {
+    const index = await listSnapshots();
+    const pinnedId = (await chrome.storage.local.get([PINNED_SNAPSHOT_KEY]))[PINNED_SNAPSHOT_KEY];
+    const oldest = [...index].reverse().find(s => s.id !== pinnedId && !keepIds.includes(s.id));
+    if (!oldest) return false;
+    await chrome.storage.local.remove([SNAPSHOT_KEY_PREFIX + oldest.id]);
+    await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: index.filter(s => s !== oldest) });
+    console.warn(`🧹 Storage full: dropped the snapshot of ${new Date(oldest.timestamp).toLocaleString()}`);
+    return true;
+  }
+
+  // chrome.storage.local.set that frees space on a quota error by dropping the oldest unpinned snapshots
+  // (never those in keepIds), retrying until it fits or nothing is left to drop
+  async function setWithSnapshotEviction(items, keepIds = []) {
+    for (;;) {
+      try {
+        await chrome.storage.local.set(items);
+        return;
+      } catch (error) {
+        if (!isQuotaError(error) || !(await dropOldestSnapshot(keepIds))) throw error;
+      }
+    }
+  }
+
+  // Store an import as the newest snapshot (data = { historicalData, cardData, weekLabels }; meta = { source,
+  // timestamp }) unless it matches the latest one. Drops the oldest unpinned snapshots beyond MAX_SNAPSHOTS.
+  // Returns the index entry (summary = changes against the previous snapshot).
+  async function saveSnapshot(data, meta = {}) {
+    const index = await listSnapshots();
+    const latest = index.length > 0 ? await loadSnapshot(index[0].id) : null;
+    const diff = latest ? diffSnapshots(latest, data) : null;
+    const timestamp = meta.timestamp || Date.now();
+    if (diff && isEmptyDiff(diff)) {
+      index[0] = { ...index[0], checkedAt: timestamp };
+      await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: index });
+      return index[0];
+    }
+
+    const entry = {
+      id: String(timestamp),
+      timestamp,
+      source: meta.source || null,
+      heroes: Object.keys(data.historicalData || {}).length,
+      weeks: data.weekLabels?.length || 0,
+      summary: diff ? summarizeSnapshotDiff(diff) : 'first snapshot'
+    };
+    const pinnedId = (await chrome.storage.local.get([PINNED_SNAPSHOT_KEY]))[PINNED_SNAPSHOT_KEY];
+    const all = [entry, ...index.filter(s => s.id !== entry.id)];
+    const kept = all.filter((s, i) => i < MAX_SNAPSHOTS || s.id === pinnedId);
+    const dropped = all.filter(s => !kept.includes(s));
+    if (dropped.length > 0) {
+      await chrome.storage.local.remove(dropped.map(s => SNAPSHOT_KEY_PREFIX + s.id));
+      await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: kept.slice(1) });
+    }
+    // Data first, then the index, so an index entry never points at a snapshot that didn't fit
+    await setWithSnapshotEviction({ [SNAPSHOT_KEY_PREFIX + entry.id]: packSnapshot(data) });
+    const stored = await listSnapshots();
+    await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: [entry, ...stored.filter(s => s.id !== entry.id)] });
+    return entry;
+  }
+
+  // saveSnapshot for the refresh path: a snapshot that can't be stored is logged and skipped (null) rather
+  // than failing a refresh whose cache is already written
+  async function saveSnapshotSafely(data, meta) {
+    try {
+      return await saveSnapshot(data, meta);
+    } catch (error) {
+      console.warn('⚠️ Could not store a history snapshot:', error.message);
+      return null;
+    }
+  }
+
+  // Pin builds to a snapshot (null = follow the live cache again)
+  async function pinSnapshot(id) {
+    if (id == null) {
+      await chrome.storage.local.remove([PINNED_SNAPSHOT_KEY]);
+      return;
+    }
+    if (!(await listSnapshots()).some(entry => entry.id === id)) throw new Error('Snapshot not found');
+    await chrome.storage.local.set({ [PINNED_SNAPSHOT_KEY]: id });
+  }
+
+  // Every snapshot storage key (index, pin and data) for clearing and size reporting
+  async function snapshotStorageKeys() {
+    return [SNAPSHOT_INDEX_KEY, PINNED_SNAPSHOT_KEY, ...(await listSnapshots()).map(entry => SNAPSHOT_KEY_PREFIX + entry.id)];
+  }
+
+  // Google Sheets CSV export URL from a sheet link (edit/share URL or bare id); gid from the link unless given
+  function sheetCsvUrl(url, gid) {
+    const id = String(url || '').match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/)?.[1] ||
+      (/^[a-zA-Z0-9_-]{20,}$/.test(String(url || '').trim()) ? String(url).trim() : null);
+    if (!id) throw new Error('Not a Google Sheets link');
+    const sheetGid = gid || String(url).match(/[#&?]gid=(\d+)/)?.[1] || '0';
+    return `https://docs.google.com/spreadsheets/d/${id}/export?format=csv&gid=${sheetGid}`;
+  }
+
+  async function fetchOk(url) {
+    console.log('📡 Fetching:', url);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response;
+  }
+
+  async function fetchText(url) {
+    const text = await (await fetchOk(url)).text();
+    console.log(`✅ Received ${(text.length / 1024).toFixed(1)}KB of data`);
+    return text;
+  }
+
+  // CSV parsed while the body streams in (no full-text split)
+  async function fetchCSVTable(url, headerRow) {
+    const { records, errors, bytes } = await FantasyCSV.parseStream(await fetchOk(url));
+    console.log(`✅ Received ${(bytes / 1024).toFixed(1)}KB, ${records.length} CSV records`);
+    errors.forEach(error => console.warn(`⚠️ ${error.message}`));
+    return tableFromRecords(records, headerRow);
+  }
+
+  // Saved schedule with bad or missing fields replaced by the defaults
+  function normalizeSchedule(schedule) {
+    const s = { ...DEFAULT_SCHEDULE, ...(schedule || {}) };
+    const int = (value, min, max, fallback) => Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+    return {
+      mode: REFRESH_MODES[s.mode] ? s.mode : DEFAULT_SCHEDULE.mode,
+      day: int(s.day, 0, 6, DEFAULT_SCHEDULE.day),
+      hour: int(s.hour, 0, 23, DEFAULT_SCHEDULE.hour),
+      minute: int(s.minute, 0, 59, DEFAULT_SCHEDULE.minute)
+    };
+  }
+
+  // First scheduled time strictly after `from` (ms); null when the schedule is off
+  function nextRefreshTime(schedule, from = Date.now()) {
+    const s = normalizeSchedule(schedule);
+    if (s.mode === 'off') return null;
+    const date = new Date(from);
+    date.setHours(s.hour, s.minute, 0, 0);
+    if (s.mode === 'weekly') date.setDate(date.getDate() + ((s.day - date.getDay() + 7) % 7));
+    while (date.getTime() <= from) date.setDate(date.getDate() + (s.mode === 'weekly' ? 7 : 1));
+    return date.getTime();
+  }
+
+  // Last scheduled time at or before `from`; a cache older than this missed a run (browser closed, asleep)
+  function previousRefreshTime(schedule, from = Date.now()) {
+    const next = nextRefreshTime(schedule, from);
+    if (next == null) return null;
+    const date = new Date(next);
+    date.setDate(date.getDate() - (normalizeSchedule(schedule).mode === 'weekly' ? 7 : 1));
+    return date.getTime();
+  }
+
+  async function loadSchedule() {
+    const result = await chrome.storage.local.get([SCHEDULE_STORAGE_KEY]);
+    return normalizeSchedule(result[SCHEDULE_STORAGE_KEY]);
+  }
+
+  async function saveSchedule(schedule) {
+    if (!REFRESH_MODES[schedule?.mode]) throw new Error(`Unknown refresh schedule "${schedule?.mode}"`);
+    await chrome.storage.local.set({ [SCHEDULE_STORAGE_KEY]: normalizeSchedule(schedule) });
+  }
+
+  // Append to the refresh history (newest first, capped)
+  async function recordRefresh(entry) {
+    const result = await chrome.storage.local.get([REFRESH_LOG_STORAGE_KEY]);
+    const log = [entry, ...(result[REFRESH_LOG_STORAGE_KEY] || [])].slice(0, MAX_REFRESH_LOG);
+    await chrome.storage.local.set({ [REFRESH_LOG_STORAGE_KEY]: log });
+  }
+
+  async function loadSource() {
+    const result = await chrome.storage.local.get([SOURCE_STORAGE_KEY]);
+    return { ...DEFAULT_SOURCE, ...(result[SOURCE_STORAGE_KEY] || {}) };
+  }
+
+  async function saveSource(source) {
+    if (!PROVIDERS[source.provider]) throw new Error(`Unknown data source "${source.provider}"`);
+    await chrome.storage.local.set({ [SOURCE_STORAGE_KEY]: source });
+  }
+
+  // Raw table for a source. file: { name, text } overrides the stored upload (used for previews).
+  async function readTable(source, file = null) {
+    switch (source.provider) {
+      case 'molt':
+        return fetchCSVTable(`https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${SHEET_GID}`, source.headerRow || DEFAULT_SOURCE.headerRow);
+      case 'sheet':
+        return fetchCSVTable(sheetCsvUrl(source.url, source.gid), source.headerRow || 1);
+      case 'json':
+        return tableFromJSON(await fetchText(source.url));
+      case 'file': {
+        const upload = file || (await chrome.storage.local.get([FILE_STORAGE_KEY]))[FILE_STORAGE_KEY];
+        if (!upload?.text) throw new Error('No file uploaded');
+        return /\.json$/i.test(upload.name || '') ? tableFromJSON(upload.text) : tableFromCSV(upload.text, source.headerRow || 1);
+      }
+      default:
+        throw new Error(`Unknown data source "${source.provider}"`);
+    }
+  }
+
+  // Headers plus detected and effective mapping for the popup's column-mapping form
+  async function previewSource(source, file = null) {
+    const table = await readTable(source, file);
+    const detected = detectColumns(table.headers);
+    return { headers: table.headers, rowCount: table.rows.length, detected, mapping: source.mapping || detected };
+  }
+
+  // Fetch, parse and cache the configured source. Returns the parsed { historicalData, cardData, report } plus
+  // the snapshot index entry; the report is also stored (importReport), even when the import fails for lack
+  // of heroes. A failed refresh leaves the cached data untouched. Every attempt goes into the refresh history with
+  // options.trigger ('popup', 'build', 'schedule', 'retry', 'startup').
+  async function fetchHistoricalData(options = {}) {
+    const trigger = options.trigger || 'popup';
+    const timestamp = Date.now();
+    try {
+      const result = await fetchAndCacheSource();
+      await recordRefresh({ timestamp, trigger, success: true, heroes: Object.keys(result.historicalData).length });
+      return result;
+    } catch (error) {
+      await recordRefresh({ timestamp, trigger, success: false, error: error.message });
+      throw error;
+    }
+  }
+
+  async function fetchAndCacheSource() {
+    const source = await loadSource();
+    const label = PROVIDERS[source.provider]?.label || source.provider;
+    console.log(`🌐 Fetching historical data from ${label}...`);
+
+    try {
+      const table = await readTable(source);
+      console.log(`📋 Found ${table.headers.length} header columns`);
+      const mapping = source.mapping || detectColumns(table.headers);
+      const columns = resolveColumns(table.headers, mapping, source.provider === 'molt' ? COLUMNS : null);
+      const { historicalData, weekLabels, cardData, report } = parseTable(table, columns);
+      await chrome.storage.local.set({ importReport: { ...report, source: label, timestamp: Date.now() } });
+      if (Object.keys(historicalData).length === 0) {
+        throw new Error('No heroes with scores found — check the column mapping');
+      }
+
+      // First refresh with snapshots: keep the cache being replaced as the first one, so there is a diff
+      if ((await listSnapshots()).length === 0) {
+        await migrateHistoryCache();
+        const previous = await chrome.storage.local.get(['historicalDataCache', 'cardDataCache', 'weekLabelsCache', 'cacheTimestamp']);
+        if (previous.historicalDataCache) {
+          await saveSnapshotSafely(
+            { historicalData: previous.historicalDataCache, cardData: previous.cardDataCache, weekLabels: previous.weekLabelsCache },
+            { timestamp: previous.cacheTimestamp, source: 'previous cache' }
+          );
+        }
+      }
+
+      // Snapshots give way to the live cache when storage is full
+      await setWithSnapshotEviction({
+        historicalDataCache: historicalData,
+        weekLabelsCache: weekLabels,
+        cardDataCache: cardData,
+        cacheTimestamp: Date.now(),
+        [DATA_VERSION_KEY]: DATA_VERSION
+      });
+
+      console.log(`💾 Historical data cached for ${Object.keys(historicalData).length} heroes`);
+      const snapshot = await saveSnapshotSafely({ historicalData, cardData, weekLabels }, { source: label });
+      if (snapshot) console.log(`📸 Snapshot: ${snapshot.summary}`);
+      return { historicalData, cardData, report, snapshot };
+    } catch (error) {
+      console.error(`❌ Error fetching from ${label}:`, error);
+      throw new Error(`Failed to load data from ${label}: ${error.message}`);
+    }
+  }
+
+  const FantasyHistory = {
+    SHEET_ID,
+    SHEET_GID,
+    SOURCE_STORAGE_KEY,
+    FILE_STORAGE_KEY,
+    DATA_VERSION_KEY,
+    DATA_VERSION,
+    SCHEDULE_STORAGE_KEY,
+    REFRESH_LOG_STORAGE_KEY,
+    REFRESH_ALARM,
+    REFRESH_MODES,
+    DEFAULT_SCHEDULE,
+    SNAPSHOT_INDEX_KEY,
+    PINNED_SNAPSHOT_KEY,
+    MAX_SNAPSHOTS,
+    PROVIDERS,
+    DEFAULT_SOURCE,
+    COLUMNS,
+    parseCSVLine,
+    parseWeekHeader,
+    tableFromRecords,
+    tableFromCSV,
+    tableFromJSON,
+    detectColumns,
+    resolveColumns,
+    parseTable,
+    RECENT_TIER_CHANGE_WEEKS,
+    tierChange,
+    summarizeReport,
+    parseHistoricalCSV,
+    migrateHistoricalData,
+    migrateHistoryCache,
+    loadHistoryCache,
+    diffSnapshots,
+    isEmptyDiff,
+    summarizeSnapshotDiff,
+    listSnapshots,
+    loadSnapshot,
+    saveSnapshot,
+    pinSnapshot,
+    snapshotStorageKeys,
+    sheetCsvUrl,
+    normalizeSchedule,
+    nextRefreshTime,
+    previousRefreshTime,
+    loadSchedule,
+    saveSchedule,
+    recordRefresh,
+    loadSource,
+    saveSource,
+    readTable,
+    previewSource,
+    fetchHistoricalData
+  };
+
+  root.FantasyHistory = FantasyHistory;
+  if (typeof module !== 'undefined' && module.exports) module.exports = FantasyHistory;
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -81,50 +81,640 @@ async function updateWhitelistStatus() {
 
 // Update cache info on popup open
 async function updateCacheInfo() {
-  const result = await chrome.storage.local.get(['historicalDataCache', 'cacheTimestamp', 'lastCalculatedScores', 'cardDataCache']);
+  const result = await FantasyHistory.loadHistoryCache(['cacheTimestamp', 'lastCalculatedScores', 'cardDataCache', 'importReport', FantasyPortfolio.DIFF_STORAGE_KEY, FantasyHistory.REFRESH_LOG_STORAGE_KEY]);
   const cacheInfo = document.getElementById('cacheInfo');
+  renderImportReport(result.importReport);
+  renderPortfolioDiff(result[FantasyPortfolio.DIFF_STORAGE_KEY]);
+  const refreshLog = result[FantasyHistory.REFRESH_LOG_STORAGE_KEY] || [];
+  renderRefreshHistory(refreshLog);
+  const nextAlarm = await chrome.alarms.get(FantasyHistory.REFRESH_ALARM);
   
   if (result.cacheTimestamp) {
-    const cacheDate = new Date(result.cacheTimestamp);
-    const now = new Date();
-    const ageMs = now - cacheDate;
-    const ageDays = Math.floor(ageMs / (1000 * 60 * 60 * 24));
-    const ageHours = Math.floor(ageMs / (1000 * 60 * 60));
+    const ageDays = Math.floor((Date.now() - result.cacheTimestamp) / (1000 * 60 * 60 * 24));
     const cardCount = result.historicalDataCache ? Object.keys(result.historicalDataCache).length : 0;
-    const ageStr = ageDays > 0 ? `${ageDays}d old` : `${ageHours}h old`;
-    cacheInfo.textContent = `${cardCount} heroes, ${ageStr}`;
-    cacheInfo.style.color = ageDays >= 7 ? '#ff6b6b' : '#888';
+    const next = nextAlarm ? ` · next ${formatRefreshTime(nextAlarm.scheduledTime)}` : ' · no refresh scheduled';
+    cacheInfo.textContent = `${cardCount} heroes · refreshed ${formatAge(result.cacheTimestamp)}${next}`;
+    cacheInfo.title = '';
+    if (result.pinnedSnapshot) {
+      cacheInfo.textContent = `📌 Pinned to the ${formatSnapshotTime(result.pinnedSnapshot.timestamp)} snapshot (${cardCount} heroes) · latest refreshed ${formatAge(result.cacheTimestamp)}${next}`;
+    }
+    // A failed refresh after the cached one: the data shown is the previous snapshot
+    const last = refreshLog[0];
+    const failed = last && !last.success && last.timestamp > result.cacheTimestamp;
+    if (failed) {
+      cacheInfo.textContent += ` · last refresh failed ${formatAge(last.timestamp)}`;
+      cacheInfo.title = last.error || '';
+    }
+    cacheInfo.style.color = ageDays >= 7 || failed ? '#ff6b6b' : '#888';
     if (ageDays >= 7) cacheInfo.textContent += ' — refresh recommended';
     
     // Populate hero list for dropdown with scores and stars
     if (result.historicalDataCache && result.cardDataCache) {
-      populateHeroList(result.cardDataCache, result.lastCalculatedScores);
+      populateHeroList(result.cardDataCache, result.lastCalculatedScores, result.historicalDataCache);
     }
   } else {
     cacheInfo.textContent = 'Not loaded — click Refresh data';
   }
+  await renderSnapshotList(result.pinnedSnapshot?.id);
+  await renderCachePanel();
+}
+
+function formatSnapshotTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+const SNAPSHOT_DIFF_LINES = 50;
+
+// Changes between a snapshot and the one before it (history.js diffSnapshots), one line per change
+async function snapshotDiffLines(entry, previous) {
+  if (!previous) return ['First snapshot — nothing to compare with'];
+  const [after, before] = await Promise.all([FantasyHistory.loadSnapshot(entry.id), FantasyHistory.loadSnapshot(previous.id)]);
+  if (!after || !before) return ['Snapshot data missing'];
+  const diff = FantasyHistory.diffSnapshots(before, after);
+  const score = value => value ?? '—';
+  const lines = [
+    ...diff.added.map(heroKey => `+ ${heroKey} added`),
+    ...diff.removed.map(heroKey => `− ${heroKey} removed`),
+    ...diff.starChanges.map(c => `${c.heroKey} ${c.from}⭐ → ${c.to}⭐`),
+    ...diff.newWeeks.map(w => `New week ${w.week}: ${w.scores} scores`),
+    ...diff.changedScores.map(c => `${c.heroKey} ${c.week}: ${score(c.from)} → ${score(c.to)} (edited)`)
+  ];
+  if (lines.length === 0) return ['No changes'];
+  return lines.length > SNAPSHOT_DIFF_LINES
+    ? [...lines.slice(0, SNAPSHOT_DIFF_LINES), `… ${lines.length - SNAPSHOT_DIFF_LINES} more`]
+    : lines;
+}
+
+// Snapshot list: each import with its changes, a diff against the previous one and pin / unpin
+async function renderSnapshotList(pinnedId) {
+  const container = document.getElementById('snapshotList');
+  const snapshots = await FantasyHistory.listSnapshots();
+  if (snapshots.length === 0) {
+    container.textContent = 'No snapshots yet — one is kept per refresh that changes the data';
+    return;
+  }
+  const rows = snapshots.map((entry, i) => {
+    const block = document.createElement('div');
+    const row = document.createElement('div');
+    row.className = `cache-row snapshot-row${entry.id === pinnedId ? ' pinned' : ''}`;
+    const info = document.createElement('div');
+    info.className = 'cache-row-info';
+    const label = document.createElement('div');
+    label.className = 'cache-row-label';
+    label.textContent = `${entry.id === pinnedId ? '📌 ' : ''}${formatSnapshotTime(entry.timestamp)}${entry.source ? ` · ${entry.source}` : ''}`;
+    const detail = document.createElement('div');
+    detail.textContent = `${entry.heroes} heroes, ${entry.weeks} weeks · ${entry.summary}`;
+    if (entry.checkedAt) detail.title = `Unchanged at ${formatSnapshotTime(entry.checkedAt)}`;
+    info.append(label, detail);
+
+    const diffList = document.createElement('ul');
+    diffList.className = 'snapshot-diff hidden';
+    const diffButton = document.createElement('button');
+    diffButton.className = 'btn-secondary';
+    diffButton.textContent = 'Diff';
+    diffButton.title = 'Changes since the previous snapshot';
+    diffButton.addEventListener('click', async () => {
+      if (diffList.classList.toggle('hidden')) return;
+      diffList.innerHTML = '';
+      (await snapshotDiffLines(entry, snapshots[i + 1])).forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        diffList.appendChild(li);
+      });
+    });
+
+    const pinButton = document.createElement('button');
+    pinButton.className = 'btn-secondary';
+    pinButton.textContent = entry.id === pinnedId ? 'Unpin' : 'Pin';
+    pinButton.title = entry.id === pinnedId ? 'Build from the latest data again' : 'Build, score and backtest from this snapshot';
+    pinButton.addEventListener('click', async () => {
+      await FantasyHistory.pinSnapshot(entry.id === pinnedId ? null : entry.id);
+      // Expected scores in the hero list follow the pinned data
+      await calculateScoresAutomatically();
+      await updateCacheInfo();
+      showPopupStatus(entry.id === pinnedId ? '✓ Using the latest data' : `✓ Pinned to the ${formatSnapshotTime(entry.timestamp)} snapshot`);
+    });
+
+    row.append(info, diffButton, pinButton);
+    block.append(row, diffList);
+    return block;
+  });
+  container.replaceChildren(...rows);
+}
+
+// "Mon 12:00" style local time for refresh times
+function formatRefreshTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+const REFRESH_TRIGGER_LABEL = { popup: 'manual', build: 'at build', schedule: 'scheduled', retry: 'retry', startup: 'missed run' };
+
+// Refresh history (history.js recordRefresh), newest first
+function renderRefreshHistory(log) {
+  const list = document.getElementById('refreshHistory');
+  list.innerHTML = '';
+  log.slice(0, 10).forEach(entry => {
+    const li = document.createElement('li');
+    const when = new Date(entry.timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const trigger = REFRESH_TRIGGER_LABEL[entry.trigger] || entry.trigger;
+    li.textContent = entry.success
+      ? `${when} · ${trigger} · ${entry.heroes} heroes`
+      : `${when} · ${trigger} · failed: ${entry.error}`;
+    if (!entry.success) li.className = 'failed';
+    list.appendChild(li);
+  });
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 48 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+}
+
+function showPopupStatus(text, kind = 'success') {
+  const status = document.getElementById('status');
+  status.className = `status ${kind}`;
+  status.textContent = text;
+  status.classList.remove('hidden');
+  setTimeout(() => {
+    status.classList.add('hidden');
+  }, 2000);
 }
 
+// Cache panel: what each stored cache holds and how old it is, with per-cache refresh / clear.
+// describe(stored) returns null when the cache is empty; storageKeys() (optional) lists keys that vary, for
+// size and clear.
+const CACHE_PANELS = [
+  {
+    label: 'Historical data',
+    keys: ['historicalDataCache', 'weekLabelsCache', 'cardDataCache', 'cacheTimestamp', 'importReport'],
+    describe: stored => stored.cacheTimestamp
+      ? `${Object.keys(stored.historicalDataCache || {}).length} heroes, ${stored.weekLabelsCache?.length || 0} weeks · fetched ${formatAge(stored.cacheTimestamp)}`
+      : null,
+    refreshTitle: 'Fetch from the data source again',
+    refresh: async () => document.getElementById('refreshData').click()
+  },
+  {
+    label: 'Card metadata',
+    keys: [FantasyPortfolio.META_STORAGE_KEY, FantasyPortfolio.IDS_STORAGE_KEY, FantasyPortfolio.DIFF_STORAGE_KEY, FantasyPortfolio.FETCH_REPORT_STORAGE_KEY],
+    describe: stored => {
+      const stats = FantasyPortfolio.metaStats(stored[FantasyPortfolio.META_STORAGE_KEY]);
+      if (stats.count === 0) return null;
+      const owned = stored[FantasyPortfolio.IDS_STORAGE_KEY]?.length || 0;
+      const oldest = stats.oldestFetch ? ` · oldest fetched ${formatAge(stats.oldestFetch)}` : '';
+      const failed = stored[FantasyPortfolio.FETCH_REPORT_STORAGE_KEY]?.failed?.length || 0;
+      return `${stats.count} cards (${owned} owned), ${stats.stale} stale${oldest}${failed > 0 ? ` · ${failed} failed at the last load` : ''}`;
+    },
+    refreshTitle: 'Mark every card stale: metadata is refetched at the next build',
+    refresh: async () => {
+      const stored = await chrome.storage.local.get([FantasyPortfolio.META_STORAGE_KEY]);
+      const meta = stored[FantasyPortfolio.META_STORAGE_KEY] || {};
+      Object.values(meta).forEach(entry => {
+        entry.fetchedAt = 0;
+      });
+      await chrome.storage.local.set({ [FantasyPortfolio.META_STORAGE_KEY]: meta });
+      showPopupStatus(`✓ ${Object.keys(meta).length} cards will be refetched at the next build`);
+    }
+  },
+  {
+    label: 'History snapshots',
+    keys: [FantasyHistory.SNAPSHOT_INDEX_KEY, FantasyHistory.PINNED_SNAPSHOT_KEY],
+    storageKeys: () => FantasyHistory.snapshotStorageKeys(),
+    describe: stored => {
+      const snapshots = stored[FantasyHistory.SNAPSHOT_INDEX_KEY] || [];
+      if (snapshots.length === 0) return null;
+      const pinned = stored[FantasyHistory.PINNED_SNAPSHOT_KEY] ? ' (one pinned)' : '';
+      return `${snapshots.length} of ${FantasyHistory.MAX_SNAPSHOTS} kept${pinned} · newest ${formatAge(snapshots[0].timestamp)}`;
+    },
+    refreshTitle: 'Fetch from the data source again (a snapshot is added if the data changed)',
+    refresh: async () => document.getElementById('refreshData').click()
+  },
+  {
+    label: 'Calculated scores',
+    keys: ['lastCalculatedScores', 'scoresTimestamp'],
+    describe: stored => stored.lastCalculatedScores
+      ? `${Object.keys(stored.lastCalculatedScores).length} heroes · ${stored.scoresTimestamp ? `calculated ${formatAge(stored.scoresTimestamp)}` : 'age unknown'}`
+      : null,
+    refreshTitle: 'Recalculate with the selected algorithm',
+    refresh: async () => {
+      if (await calculateScoresAutomatically()) {
+        showPopupStatus('✓ Expected scores recalculated');
+      } else {
+        showPopupStatus('✗ Could not calculate scores — refresh historical data first', 'error');
+      }
+    }
+  }
+];
+
+async function renderCachePanel() {
+  const list = document.getElementById('cacheList');
+  const stored = await chrome.storage.local.get(CACHE_PANELS.flatMap(panel => panel.keys));
+  const rows = await Promise.all(CACHE_PANELS.map(async panel => {
+    const row = document.createElement('div');
+    row.className = 'cache-row';
+    const info = document.createElement('div');
+    info.className = 'cache-row-info';
+    const label = document.createElement('div');
+    label.className = 'cache-row-label';
+    label.textContent = panel.label;
+    const detail = document.createElement('div');
+    const description = panel.describe(stored);
+    const keys = panel.storageKeys ? await panel.storageKeys() : panel.keys;
+    const bytes = await chrome.storage.local.getBytesInUse(keys);
+    detail.textContent = description ? `${description} · ${(bytes / 1024).toFixed(0)} KB` : 'Empty';
+    info.append(label, detail);
+
+    const refresh = document.createElement('button');
+    refresh.className = 'btn-secondary';
+    refresh.textContent = 'Refresh';
+    refresh.title = panel.refreshTitle;
+    refresh.addEventListener('click', async () => {
+      refresh.disabled = true;
+      try {
+        await panel.refresh();
+      } finally {
+        refresh.disabled = false;
+        await renderCachePanel();
+      }
+    });
+
+    const clear = document.createElement('button');
+    clear.className = 'btn-secondary';
+    clear.textContent = 'Clear';
+    clear.title = `Delete the stored ${panel.label.toLowerCase()}`;
+    clear.disabled = !description;
+    clear.addEventListener('click', async () => {
+      if (!confirm(`Clear the ${panel.label.toLowerCase()} cache?`)) return;
+      await chrome.storage.local.remove(panel.storageKeys ? await panel.storageKeys() : panel.keys);
+      showPopupStatus(`✓ ${panel.label} cleared`);
+      await updateCacheInfo();
+    });
+
+    row.append(info, refresh, clear);
+    return row;
+  }));
+  list.replaceChildren(...rows);
+}
+
+// Cards acquired / sold at the last portfolio load (portfolio.js diffPortfolio, saved by the content script)
+function renderPortfolioDiff(diff) {
+  const container = document.getElementById('portfolioDiff');
+  container.innerHTML = '';
+  if (!diff) return;
+
+  const lines = [
+    ...diff.acquired.map(c => `+ ${c.heroKey || 'unknown hero'} #${c.cardId}`),
+    ...(diff.sold || []).map(c => `− ${c.heroKey || 'unknown hero'} #${c.cardId}`)
+  ];
+  if (diff.sold === null && !diff.first) lines.push('Sold cards are only tracked with a portfolio endpoint (the page may not render every card)');
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `Portfolio (${diff.source}): ${FantasyPortfolio.summarizeDiff(diff)}`;
+  details.appendChild(summary);
+  const list = document.createElement('ul');
+  (lines.length > 0 ? lines : ['No changes since the last load']).forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+  container.appendChild(details);
+}
+
+// Import report from the last refresh (history.js parseTable): one summary line, details on expand
+function renderImportReport(report) {
+  const container = document.getElementById('importReport');
+  container.innerHTML = '';
+  if (!report) return;
+
+  const lines = [];
+  if (report.positionalColumns?.length > 0) {
+    lines.push(`Headers not recognised for ${report.positionalColumns.join(', ')} — read by built-in position; check the column mapping`);
+  }
+  if (report.missingColumns?.length > 0) lines.push(`Missing columns: ${report.missingColumns.join(', ')}`);
+  Object.entries(report.skipped || {}).forEach(([reason, count]) => lines.push(`${count} row${count > 1 ? 's' : ''} skipped: ${reason}`));
+  if (report.nonNumeric?.count > 0) {
+    const examples = report.nonNumeric.examples.map(e => `${e.heroKey} ${e.column} "${e.value}" (row ${e.row})`).join(', ');
+    lines.push(`${report.nonNumeric.count} non-numeric score cells ignored, e.g. ${examples}`);
+  }
+  (report.duplicates || []).forEach(d => lines.push(`Duplicate ${d.heroKey} on rows ${d.rows.join(', ')} (first kept)`));
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `Last import: ${FantasyHistory.summarizeReport(report)}`;
+  const warns = (report.positionalColumns?.length || 0) + (report.nonNumeric?.count || 0) + (report.duplicateCount || 0);
+  if (warns > 0) summary.className = 'warn';
+  details.appendChild(summary);
+  const list = document.createElement('ul');
+  (lines.length > 0 ? lines : ['No problems found']).forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+  container.appendChild(details);
+}
+
+// Data source (history.js providers): provider, URL or file, header row and a header-name column mapping.
+// Saving stores lastConfig-independent dataSource (+ the uploaded file) and runs a normal refresh.
+const COLUMN_MAPPING_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'handle', label: 'Handle' },
+  { key: 'stars', label: 'Stars' },
+  { key: 'scoresFrom', label: 'Latest score' },
+  { key: 'starsFrom', label: 'Latest week stars' }
+];
+let pendingSourceFile = null; // { name, text } picked but not saved yet
+
+function populateDataSourceProviders() {
+  const select = document.getElementById('dataSourceProvider');
+  Object.entries(FantasyHistory.PROVIDERS).forEach(([id, provider]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = provider.label;
+    select.appendChild(option);
+  });
+}
+populateDataSourceProviders();
+
+function updateDataSourceInputs() {
+  const provider = document.getElementById('dataSourceProvider').value;
+  const url = document.getElementById('dataSourceUrl');
+  url.classList.toggle('hidden', provider !== 'sheet' && provider !== 'json');
+  url.placeholder = provider === 'json' ? 'https://example.com/heroes.json' : 'https://docs.google.com/spreadsheets/d/…/edit#gid=0';
+  document.getElementById('dataSourceFile').classList.toggle('hidden', provider !== 'file');
+  document.getElementById('dataSourceHeaderRow').closest('label').classList.toggle('hidden', provider === 'json');
+}
+
+function renderColumnMapping(headers, mapping) {
+  const container = document.getElementById('columnMapping');
+  container.innerHTML = '';
+  COLUMN_MAPPING_FIELDS.forEach(field => {
+    const label = document.createElement('span');
+    label.textContent = field.label;
+    const select = document.createElement('select');
+    select.dataset.field = field.key;
+    ['', ...headers].forEach(header => {
+      const option = document.createElement('option');
+      option.value = header;
+      option.textContent = header || '—';
+      select.appendChild(option);
+    });
+    select.value = headers.includes(mapping?.[field.key]) ? mapping[field.key] : '';
+    container.appendChild(label);
+    container.appendChild(select);
+  });
+  const countLabel = document.createElement('span');
+  countLabel.textContent = 'Score columns';
+  const count = document.createElement('input');
+  count.type = 'number';
+  count.min = '1';
+  count.dataset.field = 'scoresCount';
+  count.value = mapping?.scoresCount || '';
+  count.title = 'How many columns from "Latest score" onward hold weekly scores (most recent first)';
+  container.appendChild(countLabel);
+  container.appendChild(count);
+}
+
+function readDataSourceForm() {
+  const provider = document.getElementById('dataSourceProvider').value;
+  const source = {
+    provider,
+    url: document.getElementById('dataSourceUrl').value.trim(),
+    headerRow: Math.max(1, parseInt(document.getElementById('dataSourceHeaderRow').value) || 1),
+    mapping: null
+  };
+  const fields = document.querySelectorAll('#columnMapping [data-field]');
+  if (fields.length > 0) {
+    source.mapping = {};
+    fields.forEach(el => {
+      source.mapping[el.dataset.field] = el.dataset.field === 'scoresCount' ? (parseInt(el.value) || 0) : (el.value || null);
+    });
+  }
+  return source;
+}
+
+async function loadDataSourceForm() {
+  const source = await FantasyHistory.loadSource();
+  document.getElementById('dataSourceLabel').textContent = source.provider === 'molt'
+    ? "Molt's Fantasy Sheets"
+    : FantasyHistory.PROVIDERS[source.provider]?.label || source.provider;
+  document.getElementById('dataSourceProvider').value = source.provider;
+  document.getElementById('dataSourceUrl').value = source.url || '';
+  document.getElementById('dataSourceHeaderRow').value = source.headerRow || 1;
+  updateDataSourceInputs();
+  // Saved mapping without fetching: each select offers just its saved header until Detect columns reads the source
+  if (source.mapping) {
+    const saved = COLUMN_MAPPING_FIELDS.map(f => source.mapping[f.key]).filter(Boolean);
+    renderColumnMapping([...new Set(saved)], source.mapping);
+  }
+}
+
+// URL sources outside fantasy.top need the origin granted (optional host permission, asked on click)
+async function ensureSourcePermission(source) {
+  if (source.provider !== 'json' && source.provider !== 'sheet') return;
+  const origin = `${new URL(source.provider === 'sheet' ? FantasyHistory.sheetCsvUrl(source.url) : source.url).origin}/*`;
+  if (!(await chrome.permissions.request({ origins: [origin] }))) {
+    throw new Error(`Access to ${origin} was not granted`);
+  }
+}
+
+document.getElementById('dataSourceProvider').addEventListener('change', () => {
+  const provider = document.getElementById('dataSourceProvider').value;
+  document.getElementById('dataSourceHeaderRow').value = provider === 'molt' ? FantasyHistory.DEFAULT_SOURCE.headerRow : 1;
+  document.getElementById('columnMapping').innerHTML = '';
+  updateDataSourceInputs();
+});
+
+document.getElementById('dataSourceFile').addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  pendingSourceFile = file ? { name: file.name, text: await file.text() } : null;
+  document.getElementById('columnMapping').innerHTML = '';
+});
+
+document.getElementById('detectColumns').addEventListener('click', async () => {
+  const errors = document.getElementById('dataSourceErrors');
+  errors.textContent = '';
+  try {
+    const source = { ...readDataSourceForm(), mapping: null };
+    await ensureSourcePermission(source);
+    const preview = await FantasyHistory.previewSource(source, source.provider === 'file' ? pendingSourceFile : null);
+    renderColumnMapping(preview.headers, preview.detected);
+    const missing = COLUMN_MAPPING_FIELDS.filter(f => f.key !== 'handle' && !preview.detected[f.key]).map(f => f.label);
+    if (missing.length > 0) errors.textContent = `Not detected: ${missing.join(', ')} — pick them above`;
+  } catch (error) {
+    errors.textContent = error.message;
+  }
+});
+
+document.getElementById('saveDataSource').addEventListener('click', async () => {
+  const errors = document.getElementById('dataSourceErrors');
+  errors.textContent = '';
+  try {
+    const source = readDataSourceForm();
+    if ((source.provider === 'sheet' || source.provider === 'json') && !source.url) {
+      throw new Error('Enter a URL');
+    }
+    if (source.provider === 'file') {
+      if (pendingSourceFile) {
+        await chrome.storage.local.set({ [FantasyHistory.FILE_STORAGE_KEY]: pendingSourceFile });
+        pendingSourceFile = null;
+      } else if (!(await chrome.storage.local.get([FantasyHistory.FILE_STORAGE_KEY]))[FantasyHistory.FILE_STORAGE_KEY]) {
+        throw new Error('Choose a CSV or JSON file');
+      }
+    }
+    await ensureSourcePermission(source);
+    await FantasyHistory.saveSource(source);
+    await loadDataSourceForm();
+    document.getElementById('refreshData').click();
+  } catch (error) {
+    errors.textContent = error.message;
+  }
+});
+
+loadDataSourceForm();
+
+// Refresh schedule (history.js); the service worker re-creates its alarm on save
+function populateScheduleForm(schedule) {
+  const mode = document.getElementById('refreshMode');
+  if (mode.options.length === 0) {
+    populateOptionSelect('refreshMode', FantasyHistory.REFRESH_MODES, schedule.mode);
+    const days = Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map(day => [day, new Date(2024, 0, 7 + day).toLocaleDateString(undefined, { weekday: 'long' })]));
+    populateOptionSelect('refreshDay', days, String(schedule.day));
+  }
+  mode.value = schedule.mode;
+  document.getElementById('refreshDay').value = String(schedule.day);
+  document.getElementById('refreshTime').value = `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`;
+  updateScheduleInputs();
+}
+
+function updateScheduleInputs() {
+  const mode = document.getElementById('refreshMode').value;
+  document.getElementById('refreshDay').classList.toggle('hidden', mode !== 'weekly');
+  document.getElementById('refreshTime').classList.toggle('hidden', mode === 'off');
+}
+
+FantasyHistory.loadSchedule().then(populateScheduleForm);
+document.getElementById('refreshMode').addEventListener('change', updateScheduleInputs);
+
+document.getElementById('saveRefreshSchedule').addEventListener('click', async () => {
+  const [hour, minute] = (document.getElementById('refreshTime').value || '').split(':').map(Number);
+  const schedule = FantasyHistory.normalizeSchedule({
+    mode: document.getElementById('refreshMode').value,
+    day: Number(document.getElementById('refreshDay').value),
+    hour,
+    minute
+  });
+  await FantasyHistory.saveSchedule(schedule);
+  populateScheduleForm(schedule);
+  const response = await chrome.runtime.sendMessage({ action: 'scheduleRefresh' });
+  if (response?.success) {
+    showPopupStatus(response.next ? `✓ Next refresh ${formatRefreshTime(response.next)}` : '✓ Scheduled refresh off');
+  } else {
+    showPopupStatus(`✗ ${response?.error || 'Could not schedule the refresh'}`, 'error');
+  }
+  await updateCacheInfo();
+});
+
+// Portfolio endpoint (portfolio.js): URL template for owned card IDs; empty = read the cards rendered on the page
+chrome.storage.local.get([FantasyPortfolio.ENDPOINT_STORAGE_KEY], (result) => {
+  document.getElementById('portfolioEndpoint').value = result[FantasyPortfolio.ENDPOINT_STORAGE_KEY] || '';
+});
+
+document.getElementById('savePortfolioEndpoint').addEventListener('click', async () => {
+  const errors = document.getElementById('portfolioEndpointErrors');
+  errors.textContent = '';
+  try {
+    const template = document.getElementById('portfolioEndpoint').value.trim();
+    if (template) {
+      if (!template.includes('{wallet}')) throw new Error('The URL needs a {wallet} placeholder');
+      const origin = `${new URL(FantasyPortfolio.endpointUrl(template, '0x0')).origin}/*`;
+      if (!(await chrome.permissions.request({ origins: [origin] }))) {
+        throw new Error(`Access to ${origin} was not granted`);
+      }
+      await chrome.storage.local.set({ [FantasyPortfolio.ENDPOINT_STORAGE_KEY]: template });
+    } else {
+      await chrome.storage.local.remove([FantasyPortfolio.ENDPOINT_STORAGE_KEY]);
+    }
+    showPopupStatus(template ? '✓ Portfolio endpoint saved' : '✓ Portfolio will be read from the page');
+  } catch (error) {
+    errors.textContent = error.message;
+  }
+});
+
 let allHeroOptions = []; // Store all hero options for filtering
 let currentOverrides = {};
+// Hard solver constraints: lock = must include, ban = must exclude. Keys are heroKeys or '#<cardId>'.
+let currentConstraints = { mustInclude: { heroes: [], cards: [] }, mustExclude: { heroes: [], cards: [] } };
 let selectedIndex = -1;
 
+function constraintTarget(key) {
+  return key.startsWith('#') ? { list: 'cards', value: key.slice(1) } : { list: 'heroes', value: key };
+}
+
+function hasConstraint(kind, key) {
+  const { list, value } = constraintTarget(key);
+  return currentConstraints[kind][list].includes(value);
+}
+
+function constraintKeys() {
+  const keys = [];
+  ['mustInclude', 'mustExclude'].forEach(kind => {
+    currentConstraints[kind].heroes.forEach(h => keys.push(h));
+    currentConstraints[kind].cards.forEach(id => keys.push(`#${id}`));
+  });
+  return Array.from(new Set(keys));
+}
+
+// Lock and ban are exclusive: turning one on clears the other for the same key
+async function setConstraint(key, kind, enabled) {
+  const { list, value } = constraintTarget(key);
+  ['mustInclude', 'mustExclude'].forEach(k => {
+    currentConstraints[k][list] = currentConstraints[k][list].filter(v => v !== value);
+  });
+  if (enabled) currentConstraints[kind][list].push(value);
+  const result = await chrome.storage.local.get(['lastConfig']);
+  const config = result.lastConfig || { algorithm: 'exponentialSmoothing', scoreOverrides: {} };
+  config.mustInclude = currentConstraints.mustInclude;
+  config.mustExclude = currentConstraints.mustExclude;
+  await chrome.storage.local.set({ lastConfig: config });
+  await renderOverrides();
+}
+
+function constraintToggles(key) {
+  const toggles = [];
+  [['mustInclude', '🔒', 'Lock: always in the deck'], ['mustExclude', '🚫', 'Ban: never in the deck']].forEach(([kind, icon, title]) => {
+    const active = hasConstraint(kind, key);
+    const btn = document.createElement('button');
+    btn.className = `override-toggle${active ? ' active' : ''}`;
+    btn.textContent = icon;
+    btn.title = active ? `${title} (click to clear)` : title;
+    btn.onclick = () => setConstraint(key, kind, !active);
+    toggles.push(btn);
+  });
+  return toggles;
+}
+
 function validateOverrideScore(score) {
   if (typeof score !== 'number' || score < 0 || score > 1000) {
     throw new Error('Score override must be between 0 and 1000 (inclusive)');
   }
 }
 
-let sortColumn = 'heroKey'; // 'heroKey' | 'stars' | 'score' | 'scorePerStar'
+let sortColumn = 'heroKey'; // 'heroKey' | 'stars' | 'score' | 'scorePerStar' | 'momentum' | 'slope' | 'volatility' | 'weeks'
 let sortDirection = 'asc'; // 'asc' or 'desc'
 
-function populateHeroList(cardData, calculatedScores = {}) {
-  // cardData is an array of { heroKey, handle, name, stars }
+function populateHeroList(cardData, calculatedScores = {}, historicalData = {}) {
+  // cardData is an array of { heroKey, handle, name, stars }; historicalData (week entries) feeds the trend columns
   // Create a map of heroKey -> stars
   const heroStarsMap = new Map();
+  const tierChangeMap = new Map(); // heroKey -> { from, weeksAgo } for recent star changes (history.js)
   cardData.forEach(card => {
     if (!heroStarsMap.has(card.heroKey)) {
       heroStarsMap.set(card.heroKey, card.stars);
+      if (card.tierChange) tierChangeMap.set(card.heroKey, card.tierChange);
     }
   });
   
@@ -138,12 +728,21 @@ function populateHeroList(cardData, calculatedScores = {}) {
     const hasOverride = currentOverrides.hasOwnProperty(heroKey);
     const score = hasOverride ? currentOverrides[heroKey] : (heroKey === '0XMAKESY' ? makesyExpectedScore(stars, currentOverrides['0XMAKESY']) : algorithmScore);
     const scorePerStar = (stars > 0 && score !== undefined) ? score / stars : undefined;
+    const trend = FantasyScoring.trendStats(FantasyScoring.weeklyScores(historicalData[heroKey]));
     return {
       heroKey: heroKey,
       score: score,
       algorithmScore: algorithmScore,
       stars: stars,
-      scorePerStar: scorePerStar
+      tierChange: tierChangeMap.get(heroKey),
+      scorePerStar: scorePerStar,
+      components: hasOverride || heroKey === '0XMAKESY' ? undefined : scoreData?.components,
+      prior: hasOverride || heroKey === '0XMAKESY' ? undefined : scoreData?.prior,
+      sparkline: trend.sparkline,
+      momentum: trend.momentum ?? undefined,
+      slope: trend.slope ?? undefined,
+      volatility: trend.volatility ?? undefined,
+      weeks: trend.weeks
     };
   });
   
@@ -167,19 +766,48 @@ function sortHeroes(heroes) {
       comparison = a.heroKey.localeCompare(b.heroKey);
     } else if (sortColumn === 'stars') {
       comparison = (a.stars || 0) - (b.stars || 0);
-    } else if (sortColumn === 'score') {
-      const scoreA = a.score !== undefined ? a.score : -Infinity;
-      const scoreB = b.score !== undefined ? b.score : -Infinity;
-      comparison = scoreA - scoreB;
-    } else if (sortColumn === 'scorePerStar') {
-      const aVal = a.scorePerStar !== undefined ? a.scorePerStar : -Infinity;
-      const bVal = b.scorePerStar !== undefined ? b.scorePerStar : -Infinity;
+    } else {
+      // Numeric columns (score, scorePerStar and the trend columns); missing values sort lowest
+      const aVal = a[sortColumn] !== undefined ? a[sortColumn] : -Infinity;
+      const bVal = b[sortColumn] !== undefined ? b[sortColumn] : -Infinity;
       comparison = aVal - bVal;
     }
     return sortDirection === 'asc' ? comparison : -comparison;
   });
 }
 
+// Last TREND_WEEKS weekly scores as block characters (oldest first); · marks a missed week
+function sparklineText(values) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const played = values.filter(v => v != null);
+  if (played.length === 0) return '';
+  const min = Math.min(...played);
+  const range = Math.max(...played) - min || 1;
+  return values.map(v => (v == null ? '·' : bars[Math.round((v - min) / range * (bars.length - 1))])).join('');
+}
+
+// Heroes whose score leans on the star-tier prior at least this much get a note under their row
+const PRIOR_NOTE_SHARE = 0.2;
+
+function priorText(prior, stars) {
+  const weeks = `${prior.weeks} week${prior.weeks === 1 ? '' : 's'}`;
+  return `${(prior.share * 100).toFixed(0)}% from the ${stars}⭐ prior (tier avg ${prior.baseline.toFixed(0)}), ` +
+    `${((1 - prior.share) * 100).toFixed(0)}% from ${weeks} of history (${prior.observed.toFixed(0)})`;
+}
+
+// Ensemble heroes: one line with each component's contribution (score × normalized weight)
+function componentBreakdownElement(components) {
+  const line = document.createElement('span');
+  line.className = 'hero-dropdown-breakdown';
+  line.textContent = components
+    .map(c => `${FantasyScoring.getAlgorithm(c.id).shortLabel || c.id} ${c.contribution.toFixed(0)}`)
+    .join(' · ');
+  line.title = components
+    .map(c => `${FantasyScoring.getAlgorithm(c.id).label}: ${c.score.toFixed(0)} × ${(c.weight * 100).toFixed(0)}% = ${c.contribution.toFixed(0)}`)
+    .join('\n');
+  return line;
+}
+
 function updateHeroListFilter(searchText) {
   const dropdown = document.getElementById('heroDropdown');
   dropdown.innerHTML = '';
@@ -230,6 +858,11 @@ function updateHeroListFilter(searchText) {
     header.appendChild(makeHeader('heroKey', 'Hero', 'Sort by hero name', 'asc'));
     header.appendChild(makeHeader('score', 'Score', 'Sort by expected score', 'desc'));
     header.appendChild(makeHeader('scorePerStar', 'Exp/⭐', 'Sort by expected score per star', 'desc'));
+    // Second row: trend over the last TREND_WEEKS weeks
+    header.appendChild(makeHeader('weeks', 'Wks', 'Sort by weeks of history', 'desc'));
+    header.appendChild(makeHeader('momentum', `Last ${FantasyScoring.TREND_WEEKS}`, 'Sort by momentum (last 3 weeks vs the sparkline average)', 'desc'));
+    header.appendChild(makeHeader('slope', 'Slope', 'Sort by trend slope (points per week)', 'desc'));
+    header.appendChild(makeHeader('volatility', 'σ', 'Sort by volatility (standard deviation)', 'desc'));
     dropdown.appendChild(header);
     
     // Add all filtered items (scrollable)
@@ -243,6 +876,15 @@ function updateHeroListFilter(searchText) {
       starsSpan.className = 'hero-dropdown-score';
       starsSpan.textContent = hero.stars ? `${hero.stars}⭐` : '—';
       if (!hero.stars) starsSpan.style.color = '#808080';
+      if (hero.tierChange && hero.stars) {
+        const up = hero.stars > hero.tierChange.from;
+        const flag = document.createElement('span');
+        flag.className = `tier-change ${up ? 'up' : 'down'}`;
+        flag.textContent = up ? '▲' : '▼';
+        const weeks = hero.tierChange.weeksAgo;
+        starsSpan.title = `Was ${hero.tierChange.from}⭐ ${weeks === 0 ? 'last week' : `${weeks + 1} weeks ago`}: older scores were earned at that tier`;
+        starsSpan.appendChild(flag);
+      }
       item.appendChild(starsSpan);
       const nameSpan = document.createElement('span');
       nameSpan.className = 'hero-dropdown-name';
@@ -259,6 +901,7 @@ function updateHeroListFilter(searchText) {
         scoreSpan.textContent = makesyScore !== undefined ? makesyScore.toFixed(0) : '—';
       } else if (hero.score !== undefined) {
         scoreSpan.textContent = hero.score.toFixed(0);
+        if (hero.prior) scoreSpan.title = priorText(hero.prior, hero.stars);
       } else {
         scoreSpan.textContent = '—';
         scoreSpan.style.color = '#808080';
@@ -273,6 +916,29 @@ function updateHeroListFilter(searchText) {
         perStarSpan.style.color = '#808080';
       }
       item.appendChild(perStarSpan);
+      const trendSpan = (text, className = '') => {
+        const span = document.createElement('span');
+        span.className = `hero-dropdown-trend ${className}`.trim();
+        span.textContent = text;
+        item.appendChild(span);
+        return span;
+      };
+      trendSpan(hero.weeks ? `${hero.weeks}w` : '—');
+      const spark = trendSpan(sparklineText(hero.sparkline) || '—', 'hero-dropdown-spark');
+      if (hero.momentum !== undefined) spark.title = `Last 3 weeks ${hero.momentum >= 0 ? '+' : ''}${hero.momentum.toFixed(0)} vs the ${FantasyScoring.TREND_WEEKS}-week average`;
+      const slope = trendSpan(hero.slope !== undefined ? `${hero.slope >= 0 ? '+' : ''}${hero.slope.toFixed(0)}/wk` : '—');
+      if (hero.slope > 0) slope.classList.add('rising');
+      if (hero.slope < 0) slope.classList.add('falling');
+      trendSpan(hero.volatility !== undefined ? hero.volatility.toFixed(0) : '—');
+      if (hero.components && hero.components.length > 0) {
+        item.appendChild(componentBreakdownElement(hero.components));
+      }
+      if (hero.prior && hero.prior.share >= PRIOR_NOTE_SHARE) {
+        const note = document.createElement('span');
+        note.className = 'hero-dropdown-breakdown';
+        note.textContent = priorText(hero.prior, hero.stars);
+        item.appendChild(note);
+      }
       
       item.addEventListener('click', () => {
         selectHero(hero.heroKey);
@@ -426,6 +1092,7 @@ async function renderOverrides() {
       await renderOverrides();
     };
     
+    constraintToggles(hero).forEach(btn => buttonGroup.appendChild(btn));
     buttonGroup.appendChild(editBtn);
     buttonGroup.appendChild(removeBtn);
     
@@ -433,6 +1100,30 @@ async function renderOverrides() {
     item.appendChild(buttonGroup);
     overrideList.appendChild(item);
   });
+
+  // Locked/banned heroes and cards without a score override
+  constraintKeys().filter(key => !currentOverrides.hasOwnProperty(key)).forEach(key => {
+    const item = document.createElement('div');
+    item.className = 'override-item';
+    const stars = heroStarsMap.get(key);
+    const locked = hasConstraint('mustInclude', key);
+    const text = document.createElement('span');
+    text.innerHTML = `<span class="override-hero">${stars ? stars + '⭐ ' : ''}${key}</span> → <span class="override-score ${locked ? '' : 'blacklist'}">${locked ? 'locked' : 'banned'}</span>`;
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'override-buttons';
+    constraintToggles(key).forEach(btn => buttonGroup.appendChild(btn));
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'override-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove lock/ban';
+    removeBtn.onclick = () => setConstraint(key, 'mustInclude', false);
+    buttonGroup.appendChild(removeBtn);
+
+    item.appendChild(text);
+    item.appendChild(buttonGroup);
+    overrideList.appendChild(item);
+  });
 }
 
 // Filter hero dropdown as user types
@@ -543,6 +1234,26 @@ document.getElementById('addOverride').addEventListener('click', async () => {
 });
 
 
+// Lock / ban buttons next to Add: hero from the search box, or '#<cardId>' for one specific card
+async function addConstraintFromInput(kind) {
+  const heroInput = document.getElementById('heroSearch');
+  const key = heroInput.value.trim().toUpperCase();
+  if (!key) {
+    alert('Please enter a hero name/handle, or #cardId for a specific card');
+    return;
+  }
+  if (key.startsWith('#') && !/^#\d+$/.test(key)) {
+    alert('Card IDs are numbers, e.g. #200590');
+    return;
+  }
+  heroInput.value = '';
+  document.getElementById('heroDropdown').classList.add('hidden');
+  await setConstraint(key, kind, true);
+}
+
+document.getElementById('lockHero').addEventListener('click', () => addConstraintFromInput('mustInclude'));
+document.getElementById('banHero').addEventListener('click', () => addConstraintFromInput('mustExclude'));
+
 document.getElementById('refreshData').addEventListener('click', async () => {
   const button = document.getElementById('refreshData');
   const status = document.getElementById('status');
@@ -574,18 +1285,21 @@ document.getElementById('refreshData').addEventListener('click', async () => {
       
       const scoreSuccess = await calculateScoresAutomatically();
       
+      const changes = response.snapshot ? ` (${response.snapshot.summary})` : '';
+      const imported = (response.report ? FantasyHistory.summarizeReport(response.report) : `${response.cardCount} cards`) + changes;
       if (scoreSuccess) {
         status.className = 'status success';
-        status.textContent = `✓ Data refreshed! ${response.cardCount} cards, expected scores calculated`;
+        status.textContent = `✓ Data refreshed! ${imported}, expected scores calculated`;
       } else {
         status.className = 'status success';
-        status.textContent = `✓ Data refreshed! ${response.cardCount} cards loaded (scores will calculate on fantasy.top)`;
+        status.textContent = `✓ Data refreshed! ${imported} (scores will calculate on fantasy.top)`;
       }
       
       await updateCacheInfo();
     } else {
       status.className = 'status error';
       status.textContent = `✗ ${response?.error || 'Unknown error'}`;
+      await updateCacheInfo(); // failed imports still leave a report
     }
   } catch (error) {
     status.className = 'status error';
@@ -603,7 +1317,9 @@ async function calculateScoresAutomatically(showStatus = false) {
     const response = await chrome.runtime.sendMessage({
       action: 'calculateScores',
       config: {
-        algorithm: algorithm
+        algorithm: algorithm,
+        algorithmParams: currentAlgorithmParams,
+        ...readHistoryOptions()
       }
     });
     
@@ -625,21 +1341,207 @@ function makesyExpectedScore(stars, userOverride) {
   return userOverride !== undefined ? userOverride : DEFAULT_MAKESY_1STAR;
 }
 
+// Algorithm options come from the shared scoring registry (scoring.js)
+function populateAlgorithmSelect() {
+  const select = document.getElementById('algorithm');
+  select.innerHTML = '';
+  Object.entries(FantasyScoring.ALGORITHMS).forEach(([id, algo]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = algo.label;
+    select.appendChild(option);
+  });
+  select.value = FantasyScoring.DEFAULT_ALGORITHM;
+}
+populateAlgorithmSelect();
+
+// Missing-week and star-tier handling options (scoring.js)
+function populateOptionSelect(id, options, selected) {
+  const select = document.getElementById(id);
+  Object.entries(options).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = selected;
+}
+populateOptionSelect('missingWeeks', FantasyScoring.MISSING_WEEK_MODES, FantasyScoring.DEFAULT_MISSING_WEEKS);
+populateOptionSelect('starNormalization', FantasyScoring.STAR_NORMALIZATION, FantasyScoring.DEFAULT_STAR_NORMALIZATION);
+
+// { missingWeeks, starNormalization } as sent with score, build and backtest requests
+function readHistoryOptions() {
+  return {
+    missingWeeks: document.getElementById('missingWeeks').value,
+    starNormalization: document.getElementById('starNormalization').value
+  };
+}
+
+// Tournament options, multi-deck entries and the rules editor come from the shared definitions
+// (tournaments.js); saved edits replace the built-in tournaments until reset
+let currentTournaments = FantasyTournaments.defaultTournaments();
+
+function tournamentName(id) {
+  return currentTournaments[id]?.name || id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+function populateTournamentSelect(selected) {
+  const select = document.getElementById('tournament');
+  select.innerHTML = '';
+  Object.entries(currentTournaments).forEach(([id, def]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = def.label;
+    select.appendChild(option);
+  });
+  select.value = currentTournaments[selected] ? selected : Object.keys(currentTournaments)[0];
+}
+populateTournamentSelect(FantasyTournaments.DEFAULT_TOURNAMENT);
+
+function renderTournamentRules(errors = []) {
+  document.getElementById('tournamentRules').value = JSON.stringify(currentTournaments, null, 2);
+  document.getElementById('tournamentRulesErrors').textContent = errors.join('\n');
+}
+
+// Swap in new definitions, keeping the selected tournament and multi-deck counts where the ids survive
+async function applyTournamentDefinitions(tournaments) {
+  const entries = document.querySelector('#multiDeckEntries input') ? readMultiDeckEntries() : [];
+  currentTournaments = tournaments;
+  populateTournamentSelect(document.getElementById('tournament').value);
+  renderMultiDeckEntries(entries);
+  renderTournamentRules();
+  await saveConfigFromForm();
+}
+
+async function saveTournamentRulesText(text) {
+  const errorsEl = document.getElementById('tournamentRulesErrors');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    errorsEl.textContent = `Invalid JSON: ${error.message}`;
+    return false;
+  }
+  const { tournaments, errors } = await FantasyTournaments.saveTournaments(parsed);
+  if (errors.length > 0) {
+    errorsEl.textContent = errors.join('\n');
+    return false;
+  }
+  await applyTournamentDefinitions(tournaments);
+  showPopupStatus(`✓ Saved ${Object.keys(tournaments).length} tournaments`);
+  return true;
+}
+
+document.getElementById('saveTournamentRules').addEventListener('click', () => {
+  saveTournamentRulesText(document.getElementById('tournamentRules').value);
+});
+
+document.getElementById('importTournamentRules').addEventListener('click', () => {
+  document.getElementById('tournamentRulesFile').click();
+});
+
+document.getElementById('tournamentRulesFile').addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  const text = await file.text();
+  document.getElementById('tournamentRules').value = text;
+  await saveTournamentRulesText(text);
+});
+
+document.getElementById('resetTournamentRules').addEventListener('click', async () => {
+  if (!confirm('Replace your tournament rules with the built-in defaults?')) return;
+  await applyTournamentDefinitions(await FantasyTournaments.resetTournaments());
+});
+
+// Per-algorithm parameter values keyed by algorithm id (lastConfig.algorithmParams); missing = schema default
+let currentAlgorithmParams = {};
+
+function formatParamValue(spec, value) {
+  return spec.type === 'weights' ? value.join(', ') : String(value);
+}
+
+// Inputs for the selected algorithm's parameter schema
+function renderAlgorithmParams() {
+  const container = document.getElementById('algorithmParams');
+  const algorithm = document.getElementById('algorithm').value;
+  const schema = FantasyScoring.paramSchema(algorithm);
+  const values = FantasyScoring.resolveParams(algorithm, currentAlgorithmParams[algorithm]);
+  container.innerHTML = '';
+  if (Object.keys(schema).length === 0) return;
+
+  Object.entries(schema).forEach(([name, spec]) => {
+    const wrap = document.createElement('label');
+    wrap.className = `algorithm-param${spec.type === 'weights' ? ' wide' : ''}`;
+    wrap.textContent = spec.label || name;
+    const input = document.createElement('input');
+    if (spec.type === 'weights') {
+      input.type = 'text';
+    } else {
+      input.type = 'number';
+      if (spec.min != null) input.min = spec.min;
+      if (spec.max != null) input.max = spec.max;
+      if (spec.step != null) input.step = spec.step;
+    }
+    input.value = formatParamValue(spec, values[name]);
+    input.addEventListener('change', async () => {
+      const resolved = FantasyScoring.resolveParams(algorithm, { ...currentAlgorithmParams[algorithm], [name]: input.value });
+      input.value = formatParamValue(spec, resolved[name]);
+      currentAlgorithmParams = { ...currentAlgorithmParams, [algorithm]: resolved };
+      await saveConfigFromForm();
+      await recalculateScoresWithStatus();
+    });
+    wrap.appendChild(input);
+    container.appendChild(wrap);
+  });
+
+  const reset = document.createElement('button');
+  reset.className = 'algorithm-params-reset';
+  reset.textContent = 'Defaults';
+  reset.title = 'Reset this algorithm to its default parameters';
+  reset.addEventListener('click', async () => {
+    const { [algorithm]: _removed, ...rest } = currentAlgorithmParams;
+    currentAlgorithmParams = rest;
+    renderAlgorithmParams();
+    await saveConfigFromForm();
+    await recalculateScoresWithStatus();
+  });
+  container.appendChild(reset);
+}
+
 // Load saved config
 chrome.storage.local.get(['lastConfig'], async (result) => {
+  currentTournaments = await FantasyTournaments.loadTournaments();
+  renderTournamentRules();
   if (result.lastConfig) {
     const config = result.lastConfig;
-    document.getElementById('tournament').value = config.tournament || 'bronze';
+    populateTournamentSelect(config.tournament || FantasyTournaments.DEFAULT_TOURNAMENT);
     document.getElementById('algorithm').value = config.algorithm || 'exponentialSmoothing';
+    document.getElementById('deckCount').value = config.deckCount || DEFAULT_DECK_COUNT;
+    document.getElementById('riskAversion').value = config.riskAversion || 0;
+    document.getElementById('solver').value = config.solver || 'exact';
+    updateRiskLabel();
+    currentAlgorithmParams = { ...(config.algorithmParams || {}) };
+    document.getElementById('missingWeeks').value = config.missingWeeks || FantasyScoring.DEFAULT_MISSING_WEEKS;
+    document.getElementById('starNormalization').value = config.starNormalization || FantasyScoring.DEFAULT_STAR_NORMALIZATION;
+    renderAlgorithmParams();
+    renderMultiDeckEntries(config.multiDeck || []);
     currentOverrides = { ...(config.scoreOverrides || {}) };
+    currentConstraints = {
+      mustInclude: { heroes: [], cards: [], ...(config.mustInclude || {}) },
+      mustExclude: { heroes: [], cards: [], ...(config.mustExclude || {}) }
+    };
     await renderOverrides();
   } else {
-    document.getElementById('tournament').value = 'bronze';
+    populateTournamentSelect(FantasyTournaments.DEFAULT_TOURNAMENT);
     document.getElementById('algorithm').value = 'exponentialSmoothing';
+    document.getElementById('deckCount').value = DEFAULT_DECK_COUNT;
+    renderAlgorithmParams();
+    renderMultiDeckEntries();
     currentOverrides = { '0XMAKESY': DEFAULT_MAKESY_1STAR };
     await chrome.storage.local.set({
       lastConfig: {
-        tournament: 'bronze',
+        tournament: FantasyTournaments.DEFAULT_TOURNAMENT,
         algorithm: 'exponentialSmoothing',
         scoreOverrides: currentOverrides
       }
@@ -651,20 +1553,28 @@ chrome.storage.local.get(['lastConfig'], async (result) => {
 // Save config when tournament or algorithm changes
 function saveConfigFromForm() {
   return chrome.storage.local.get(['lastConfig']).then(result => {
-    const config = result.lastConfig || { tournament: 'bronze', algorithm: 'exponentialSmoothing', scoreOverrides: {} };
+    const config = result.lastConfig || { tournament: FantasyTournaments.DEFAULT_TOURNAMENT, algorithm: 'exponentialSmoothing', scoreOverrides: {} };
     config.tournament = document.getElementById('tournament').value;
     config.algorithm = document.getElementById('algorithm').value;
+    config.deckCount = readDeckCount();
+    config.riskAversion = readRiskAversion();
+    config.solver = document.getElementById('solver').value;
+    config.algorithmParams = currentAlgorithmParams;
+    Object.assign(config, readHistoryOptions());
+    if (document.querySelector('#multiDeckEntries input')) config.multiDeck = readMultiDeckEntries();
     config.scoreOverrides = currentOverrides;
     return chrome.storage.local.set({ lastConfig: config });
   });
 }
 
 document.getElementById('tournament').addEventListener('change', saveConfigFromForm);
+document.getElementById('deckCount').addEventListener('change', saveConfigFromForm);
+document.getElementById('solver').addEventListener('change', saveConfigFromForm);
+document.getElementById('riskAversion').addEventListener('input', updateRiskLabel);
+document.getElementById('riskAversion').addEventListener('change', saveConfigFromForm);
 
-document.getElementById('algorithm').addEventListener('change', async () => {
-  await saveConfigFromForm();
-  
-  // Automatically recalculate scores
+// Recalculate expected scores after an algorithm or parameter change, with a short status message
+async function recalculateScoresWithStatus() {
   const status = document.getElementById('status');
   status.className = 'status info';
   status.textContent = 'Recalculating expected scores...';
@@ -685,6 +1595,21 @@ document.getElementById('algorithm').addEventListener('change', async () => {
       status.classList.add('hidden');
     }, 3000);
   }
+}
+
+document.getElementById('algorithm').addEventListener('change', async () => {
+  renderAlgorithmParams();
+  await saveConfigFromForm();
+  
+  // Automatically recalculate scores
+  await recalculateScoresWithStatus();
+});
+
+['missingWeeks', 'starNormalization'].forEach(id => {
+  document.getElementById(id).addEventListener('change', async () => {
+    await saveConfigFromForm();
+    await recalculateScoresWithStatus();
+  });
 });
 
 // Verify ownership button handler
@@ -747,6 +1672,225 @@ document.getElementById('verifyButton').addEventListener('click', async () => {
   }
 });
 
+const RARITY_LABEL = { 1: 'Leg', 2: 'Epic', 3: 'Rare', 4: '' };
+
+// Risk slider: -1 = chase upside (P90), 0 = expected score, +1 = protect the floor (P25)
+function readRiskAversion() {
+  const value = parseFloat(document.getElementById('riskAversion').value);
+  return Number.isFinite(value) ? Math.min(1, Math.max(-1, value)) : 0;
+}
+
+function updateRiskLabel() {
+  const r = readRiskAversion();
+  const label = document.getElementById('riskAversionLabel');
+  if (r === 0) label.textContent = 'Mean (expected score)';
+  else if (r > 0) label.textContent = `Floor ${Math.round(r * 100)}% (toward P25)`;
+  else label.textContent = `Upside ${Math.round(-r * 100)}% (toward P90)`;
+}
+
+// How the content script's solver produced the deck (response.method)
+const SOLVE_METHOD_LABEL = {
+  exact: 'proven optimal',
+  'exact-limit': 'best found, search limit hit (not proven optimal)',
+  dp: 'pruned search (not proven optimal)',
+  greedy: 'greedy fallback (not optimal)'
+};
+
+// Estimated deck total range from the content script's normal approximation
+function distributionLine(d) {
+  if (!d) return '';
+  if (!(d.stdDev > 0)) return `Range: ${d.p50.toFixed(0)} (no week-to-week spread)`;
+  return `Range: P10 ${d.p10.toFixed(0)} · P25 ${d.p25.toFixed(0)} · P50 ${d.p50.toFixed(0)} · P75 ${d.p75.toFixed(0)} · P90 ${d.p90.toFixed(0)} (σ ${d.stdDev.toFixed(0)})`;
+}
+const DEFAULT_DECK_COUNT = 5;
+
+function readDeckCount() {
+  const value = parseInt(document.getElementById('deckCount').value);
+  return isNaN(value) ? DEFAULT_DECK_COUNT : Math.min(10, Math.max(1, value));
+}
+
+function deckCardLine(c) {
+  const score = (c.expectedScore ?? 0).toFixed(0);
+  const modifiers = (c.modifiers || [])
+    .filter(m => m.multiplier !== 1)
+    .map(m => `${m.label} ×${Number(m.multiplier.toFixed(2))}`)
+    .join(' · ');
+  if (modifiers) return `${c.name} (${score}: ${modifiers})`;
+  const label = RARITY_LABEL[c.rarity ?? 4] || '';
+  return `${c.name} (${score}${label ? ' ' + label : ''})`;
+}
+
+// Multi-deck entry inputs: one count per tournament definition
+function renderMultiDeckEntries(saved = []) {
+  const container = document.getElementById('multiDeckEntries');
+  container.innerHTML = '';
+  Array.from(document.getElementById('tournament').options).forEach(option => {
+    const entry = document.createElement('label');
+    entry.className = 'multi-deck-entry';
+    const name = tournamentName(option.value);
+    entry.title = option.textContent;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.max = '5';
+    input.dataset.tournament = option.value;
+    input.value = saved.find(e => e.tournament === option.value)?.count || 0;
+    input.addEventListener('change', saveConfigFromForm);
+    entry.appendChild(input);
+    entry.appendChild(document.createTextNode(name));
+    container.appendChild(entry);
+  });
+}
+
+function readMultiDeckEntries() {
+  return Array.from(document.querySelectorAll('#multiDeckEntries input'))
+    .map(input => ({ tournament: input.dataset.tournament, count: Math.min(5, Math.max(0, parseInt(input.value) || 0)) }))
+    .filter(e => e.count > 0);
+}
+
+// Show the applied deck in the status box, plus the alternatives with click-to-apply.
+// Multi-deck responses list every tournament deck; appliedIndex is null until one is applied.
+function renderDeckResult(response, appliedIndex) {
+  const status = document.getElementById('status');
+  // Cards left out because their metadata could not be loaded (content script fetch report) or by the
+  // solver (response.notes), and a history pinned to a snapshot
+  const warnings = [response.excluded, ...(response.notes || [])].filter(Boolean).map(note => `\n⚠️ ${note}`).join('');
+  const pinned = response.pinnedSnapshot ? `\n📌 History pinned to the snapshot of ${new Date(response.pinnedSnapshot).toLocaleString()}` : '';
+  const notes = `${warnings}${pinned}`;
+  const solver = SOLVE_METHOD_LABEL[response.method] ? `\nSolver: ${SOLVE_METHOD_LABEL[response.method]}` : '';
+  if (response.multi) {
+    const blocks = response.decks.map(d => d.infeasible
+      ? `${d.label}: no valid deck with the remaining cards`
+      : `${d.label} — ${d.totalStars}⭐, expected ${d.totalExpected.toFixed(0)}\n${d.cards.map(deckCardLine).join('\n')}`);
+    const applied = appliedIndex != null ? ` ${response.decks[appliedIndex].label} applied.` : '';
+    status.className = 'status success';
+    status.textContent = `✓ ${response.decks.length} decks, no card used twice. Total expected: ${response.totalExpected.toFixed(0)}.${applied}${solver}${notes}\n\n${blocks.join('\n\n')}`;
+    status.appendChild(deckListElement(response, response.decks, appliedIndex));
+    status.appendChild(simulateElement(response.decks, response.decks.map((d, i) => i).filter(i => !response.decks[i].infeasible)));
+    return;
+  }
+  const decks = response.decks && response.decks.length > 0
+    ? response.decks
+    : [{ cards: response.cards || [], totalStars: response.totalStars, totalExpected: response.totalExpected }];
+  const deck = decks[appliedIndex] || decks[0];
+  const totalExp = deck.totalExpected != null ? deck.totalExpected.toFixed(0) : '—';
+  const title = appliedIndex > 0 ? `✓ Deck #${appliedIndex + 1} applied!` : '✓ Deck built!';
+  status.className = 'status success';
+  const range = deck.distribution ? `\n${distributionLine(deck.distribution)}` : '';
+  status.textContent = `${title} ${deck.cards.length} cards (${deck.totalStars}⭐). Total expected: ${totalExp}${range}${solver}${notes}\n\n${deck.cards.map(deckCardLine).join('\n')}`;
+
+  if (decks.length > 1) status.appendChild(deckListElement(response, decks, appliedIndex));
+  status.appendChild(simulateElement(decks, [appliedIndex ?? 0]));
+}
+
+// Simulate block: cash line per tournament + method; the content script runs the Monte Carlo on its
+// copy of the last build (same deck indices) and remembers the cash lines
+function simulateElement(decks, indices) {
+  const block = document.createElement('div');
+  block.className = 'deck-simulate';
+  const tournaments = [...new Set(indices.map(i => decks[i]?.tournament || FantasyTournaments.DEFAULT_TOURNAMENT))];
+  const inputs = {};
+  chrome.storage.local.get(['lastConfig']).then(({ lastConfig }) => {
+    for (const [tournament, input] of Object.entries(inputs)) {
+      const saved = lastConfig?.cashLines?.[tournament];
+      if (saved != null && input.value === '') input.value = saved;
+    }
+  });
+  tournaments.forEach(tournament => {
+    const row = document.createElement('label');
+    row.className = 'deck-simulate-row';
+    row.textContent = `${tournamentName(tournament)} cash line`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.placeholder = 'optional';
+    row.appendChild(input);
+    block.appendChild(row);
+    inputs[tournament] = input;
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'deck-simulate-actions';
+  const method = document.createElement('select');
+  [['bootstrap', 'Resample weeks'], ['normal', 'Fitted normal']].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    method.appendChild(option);
+  });
+  const button = document.createElement('button');
+  button.className = 'deck-alt-apply';
+  button.textContent = 'Simulate';
+  actions.appendChild(method);
+  actions.appendChild(button);
+  block.appendChild(actions);
+
+  const output = document.createElement('div');
+  output.className = 'deck-simulate-output';
+  block.appendChild(output);
+
+  button.addEventListener('click', async () => {
+    const thresholds = {};
+    for (const [tournament, input] of Object.entries(inputs)) {
+      if (input.value !== '') thresholds[tournament] = Number(input.value);
+    }
+    button.disabled = true;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const result = await chrome.tabs.sendMessage(tab.id, { action: 'simulateDecks', indices, options: { thresholds, method: method.value } });
+      output.textContent = result && result.success
+        ? result.simulations.map(sim => FantasyScoring.simulationSummary(sim, indices.length > 1)).join('\n\n')
+        : `✗ ${result?.error || 'Simulation failed'}`;
+    } catch (error) {
+      output.textContent = `✗ ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return block;
+}
+
+// One row per deck (label, totals, rarity mix) with an Apply button for the ones not on the page
+function deckListElement(response, decks, appliedIndex) {
+  const list = document.createElement('div');
+  list.className = 'deck-alternatives';
+  decks.forEach((d, i) => {
+    const row = document.createElement('div');
+    row.className = `deck-alt${i === appliedIndex ? ' active' : ''}`;
+    const label = document.createElement('span');
+    const name = d.label || `#${i + 1}`;
+    label.textContent = d.infeasible ? `${name} — infeasible` : `${name} ${d.totalStars}⭐ · ${d.totalExpected.toFixed(0)} · ${d.rarityMix}`;
+    label.title = d.cards.map(deckCardLine).join('\n');
+    row.appendChild(label);
+    if (i !== appliedIndex && !d.infeasible) {
+      const apply = document.createElement('button');
+      apply.className = 'deck-alt-apply';
+      apply.textContent = 'Apply';
+      apply.addEventListener('click', () => applyDeckFromPopup(response, i));
+      row.appendChild(apply);
+    }
+    list.appendChild(row);
+  });
+  return list;
+}
+
+async function applyDeckFromPopup(response, index) {
+  const status = document.getElementById('status');
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const applied = await chrome.tabs.sendMessage(tab.id, { action: 'applyDeck', index });
+    if (applied && applied.success) {
+      renderDeckResult(response, index);
+    } else {
+      status.className = 'status error';
+      status.textContent = `✗ ${applied?.error || 'Could not apply deck'}`;
+    }
+  } catch (error) {
+    status.className = 'status error';
+    status.textContent = `✗ Error: ${error.message}`;
+  }
+}
+
 // Build deck button handler
 document.getElementById('buildDeck').addEventListener('click', async () => {
   const button = document.getElementById('buildDeck');
@@ -760,7 +1904,14 @@ document.getElementById('buildDeck').addEventListener('click', async () => {
   const config = {
     tournament: document.getElementById('tournament').value,
     algorithm: document.getElementById('algorithm').value,
-    scoreOverrides: currentOverrides
+    algorithmParams: currentAlgorithmParams,
+    ...readHistoryOptions(),
+    riskAversion: readRiskAversion(),
+    solver: document.getElementById('solver').value,
+    deckCount: readDeckCount(),
+    scoreOverrides: currentOverrides,
+    mustInclude: currentConstraints.mustInclude,
+    mustExclude: currentConstraints.mustExclude
   };
 
   try {
@@ -788,18 +1939,11 @@ document.getElementById('buildDeck').addEventListener('click', async () => {
     });
 
     if (response.success) {
-      status.className = 'status success';
-      const RARITY_LABEL = { 1: 'Leg', 2: 'Epic', 3: 'Rare', 4: '' };
-      const deckLines = (response.cards || []).map(c => {
-        const score = (c.expectedScore ?? 0).toFixed(0);
-        const label = RARITY_LABEL[c.rarity ?? 4] || '';
-        return `${c.name} (${score}${label ? ' ' + label : ''})`;
-      }).join('\n');
-      const totalExp = response.totalExpected != null ? response.totalExpected.toFixed(0) : '—';
-      status.textContent = `✓ Deck built! ${response.cards.length} cards (${response.totalStars}⭐). Total expected: ${totalExp}\n\n${deckLines}`;
+      renderDeckResult(response, response.appliedIndex ?? 0);
       
-      // Save config for next time
-      chrome.storage.local.set({ lastConfig: config });
+      // Save config for next time (merge so locks, params etc. stored elsewhere survive)
+      const saved = await chrome.storage.local.get(['lastConfig']);
+      chrome.storage.local.set({ lastConfig: { ...(saved.lastConfig || {}), ...config } });
       
       await updateCacheInfo();
     } else {
@@ -818,6 +1962,157 @@ document.getElementById('buildDeck').addEventListener('click', async () => {
   }
 });
 
+// Build all button handler: one deck per multi-deck entry, no card reused
+document.getElementById('buildMultiDeck').addEventListener('click', async () => {
+  const button = document.getElementById('buildMultiDeck');
+  const status = document.getElementById('status');
+  const multiDeck = readMultiDeckEntries();
+  status.classList.remove('hidden');
+
+  if (multiDeck.length === 0) {
+    status.className = 'status error';
+    status.textContent = '✗ Set at least one tournament entry above';
+    return;
+  }
+
+  button.disabled = true;
+  status.className = 'status info';
+  status.textContent = 'Building decks...';
+
+  const config = {
+    algorithm: document.getElementById('algorithm').value,
+    algorithmParams: currentAlgorithmParams,
+    ...readHistoryOptions(),
+    riskAversion: readRiskAversion(),
+    multiDeck,
+    scoreOverrides: currentOverrides,
+    mustExclude: currentConstraints.mustExclude
+  };
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab.url || !tab.url.includes('fantasy.top') || (!tab.url.includes('/player/') && !tab.url.includes('/deckbuilder'))) {
+      status.className = 'status error';
+      status.textContent = '✗ Please navigate to your portfolio page or deck builder page';
+      return;
+    }
+
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'buildMultiDeck',
+      config: config
+    });
+
+    if (response.success) {
+      renderDeckResult(response, null);
+      await saveConfigFromForm();
+      await updateCacheInfo();
+    } else {
+      status.className = 'status error';
+      status.textContent = `✗ ${response.error}`;
+    }
+  } catch (error) {
+    status.className = 'status error';
+    if (error.message.includes('Receiving end does not exist')) {
+      status.textContent = '✗ Please refresh the fantasy.top page';
+    } else {
+      status.textContent = `✗ Error: ${error.message}`;
+    }
+  } finally {
+    button.disabled = false;
+  }
+});
+
+// Backtest: error metrics come from the background (sheet data only); deck scores per tier need the
+// portfolio, so they are only added when the fantasy.top tab answers (one column per tournament definition).
+
+function renderBacktestTable(metrics, decks) {
+  const container = document.getElementById('backtestResults');
+  const ids = Object.keys(metrics.algorithms);
+  const tiers = decks ? Object.keys(decks.tournaments) : [];
+  const columns = [
+    { title: 'MAE', value: id => metrics.algorithms[id].mae, lowerIsBetter: true, digits: 1 },
+    { title: 'RMSE', value: id => metrics.algorithms[id].rmse, lowerIsBetter: true, digits: 1 },
+    { title: 'ρ', value: id => metrics.algorithms[id].rankCorrelation, digits: 3 },
+    ...tiers.map(t => ({
+      title: tournamentName(t).slice(0, 4),
+      value: id => decks.tournaments[t][id]?.average ?? null,
+      digits: 0
+    }))
+  ];
+
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  ['Algorithm', ...columns.map(c => c.title)].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  ids.forEach(id => {
+    const row = body.insertRow();
+    const name = row.insertCell();
+    name.textContent = metrics.algorithms[id].label;
+    name.title = `${metrics.algorithms[id].samples} predictions`;
+    columns.forEach(col => {
+      const cell = row.insertCell();
+      const v = col.value(id);
+      cell.textContent = v == null ? '—' : v.toFixed(col.digits);
+      const values = ids.map(col.value).filter(x => x != null);
+      const best = col.lowerIsBetter ? Math.min(...values) : Math.max(...values);
+      if (v != null && v === best) cell.className = 'best';
+    });
+  });
+
+  container.innerHTML = '';
+  container.appendChild(table);
+  const note = document.createElement('div');
+  note.className = 'backtest-note';
+  note.textContent = decks
+    ? `Last ${metrics.weeks} weeks. Tier columns: average actual score of the deck each algorithm would have built from your current cards.`
+    : `Last ${metrics.weeks} weeks. Open your fantasy.top portfolio or deck builder to also compare deck scores per tier.`;
+  container.appendChild(note);
+  container.classList.remove('hidden');
+}
+
+document.getElementById('runBacktest').addEventListener('click', async () => {
+  const button = document.getElementById('runBacktest');
+  const status = document.getElementById('status');
+  const weeks = Math.min(26, Math.max(1, parseInt(document.getElementById('backtestWeeks').value) || 8));
+
+  button.disabled = true;
+  status.className = 'status info';
+  status.textContent = `Backtesting ${weeks} weeks...`;
+  status.classList.remove('hidden');
+
+  try {
+    const metrics = await chrome.runtime.sendMessage({ action: 'runBacktest', options: { weeks, algorithmParams: currentAlgorithmParams, ...readHistoryOptions() } });
+    if (!metrics || !metrics.success) {
+      throw new Error(metrics?.error || 'Backtest failed');
+    }
+
+    let decks = null;
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.url && tab.url.includes('fantasy.top') && (tab.url.includes('/player/') || tab.url.includes('/deckbuilder'))) {
+      status.textContent = 'Replaying decks per tier...';
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'runBacktestDecks', options: { weeks, algorithmParams: currentAlgorithmParams, ...readHistoryOptions() } });
+        if (response && response.success) decks = response;
+      } catch (error) {
+        console.log('Deck backtest unavailable:', error.message);
+      }
+    }
+
+    renderBacktestTable(metrics, decks);
+    status.className = 'status success';
+    status.textContent = '✓ Backtest complete';
+  } catch (error) {
+    status.className = 'status error';
+    status.textContent = `✗ ${error.message}`;
+  } finally {
+    button.disabled = false;
+  }
+});
+
 // Update whitelist status and cache info on load
 updateWhitelistStatus();
 updateCacheInfo();
\ No newline at end of file
@@ -0,0 +1,219 @@
+// Shared portfolio loading. Loaded by the service worker, the content script and the popup; also
+// requireable from Node for tests. Owned card IDs come from a user-configured data endpoint when one is set
+// (fetched by the service worker, which holds the host permission); the content script falls back to the
+// card images rendered on the page.
+(function (root) {
+  const ENDPOINT_STORAGE_KEY = 'portfolioEndpoint'; // URL template, see endpointUrl
+  const WALLET_STORAGE_KEY = 'portfolioWallet'; // last wallet seen on a /player/0x… page
+  const DIFF_STORAGE_KEY = 'portfolioDiff';
+  // Card metadata cache: { [cardId]: { heroKey, rarity, attributes, fetchedAt, seenAt } } plus the owned IDs
+  const META_STORAGE_KEY = 'portfolioCardMeta';
+  const IDS_STORAGE_KEY = 'portfolioCardIds';
+  const FETCH_REPORT_STORAGE_KEY = 'portfolioFetchReport'; // last metadata run, see summarizeFetchFailures
+
+  const META_TTL_MS = 7 * 24 * 60 * 60 * 1000; // refetch after a week (editions and specials can change)
+  const MAX_META_ENTRIES = 2000; // unowned cards kept, least recently seen evicted beyond this
+  const MAX_PAGES = 50;
+  const MAX_BACKOFF_MS = 30000;
+  // Array fields searched for the card list when the response is an object (also one level down, e.g. data.cards)
+  const LIST_FIELDS = ['cards', 'items', 'results', 'tokens', 'nfts', 'data'];
+  const ID_FIELDS = ['card_id', 'cardId', 'token_id', 'tokenId', 'id'];
+
+  // Template -> URL: {wallet} is the address (lower-case), {page} the 1-based page for paginated endpoints
+  function endpointUrl(template, wallet, page = 1) {
+    return String(template)
+      .replace(/\{wallet\}/g, encodeURIComponent(String(wallet).toLowerCase()))
+      .replace(/\{page\}/g, String(page));
+  }
+
+  function findList(json) {
+    if (Array.isArray(json)) return json;
+    if (!json || typeof json !== 'object') return [];
+    for (const field of LIST_FIELDS) {
+      if (Array.isArray(json[field])) return json[field];
+    }
+    for (const field of LIST_FIELDS) {
+      if (json[field] && typeof json[field] === 'object') {
+        const nested = findList(json[field]);
+        if (nested.length > 0) return nested;
+      }
+    }
+    return [];
+  }
+
+  // Endpoint response -> card IDs (strings of digits, deduplicated). Accepts a bare array of IDs or of card
+  // objects (card_id / cardId / token_id / tokenId / id), either at the top level or under one of LIST_FIELDS.
+  function extractCardIds(json) {
+    const ids = findList(json).map(item => {
+      if (typeof item === 'number' || typeof item === 'string') return String(item).trim();
+      const field = ID_FIELDS.find(f => item?.[f] != null);
+      return field ? String(item[field]).trim() : '';
+    });
+    return [...new Set(ids.filter(id => /^\d+$/.test(id)))];
+  }
+
+  // Every owned card ID for a wallet. Templates with {page} are read page by page until a page adds nothing.
+  async function fetchOwnedCardIds(template, wallet) {
+    if (!template) throw new Error('No portfolio endpoint configured');
+    if (!/^0x[a-fA-F0-9]+$/.test(wallet || '')) throw new Error('No wallet address known — open your /player/ page once');
+    const paged = /\{page\}/.test(template);
+    const ids = new Set();
+    for (let page = 1; page <= (paged ? MAX_PAGES : 1); page++) {
+      const response = await fetch(endpointUrl(template, wallet, page));
+      if (!response.ok) throw new Error(`Portfolio endpoint returned HTTP ${response.status}`);
+      const before = ids.size;
+      extractCardIds(await response.json()).forEach(id => ids.add(id));
+      if (ids.size === before) break;
+    }
+    return [...ids];
+  }
+
+  // Previous vs current card IDs -> { acquired, sold, first }. meta maps cardId -> { heroKey } for naming.
+  // sold is null when the current list may be incomplete (the DOM only has the cards it rendered).
+  function diffPortfolio(previousIds, currentIds, meta = {}, complete = true) {
+    const before = new Set((previousIds || []).map(String));
+    const after = new Set((currentIds || []).map(String));
+    const named = cardId => ({ cardId, heroKey: meta[cardId]?.heroKey || null });
+    return {
+      first: before.size === 0,
+      acquired: before.size === 0 ? [] : [...after].filter(id => !before.has(id)).map(named),
+      sold: complete && before.size > 0 ? [...before].filter(id => !after.has(id)).map(named) : null
+    };
+  }
+
+  // "+2 acquired (A, B) · −1 sold (C)" style summary for logs and the popup
+  function summarizeDiff(diff) {
+    if (!diff) return '';
+    const cards = `${diff.total} card${diff.total === 1 ? '' : 's'}`;
+    if (diff.first) return `${cards} (first run)`;
+    const heroes = list => [...new Set(list.map(c => c.heroKey || `#${c.cardId}`))].join(', ');
+    const parts = [];
+    if (diff.acquired.length > 0) parts.push(`+${diff.acquired.length} acquired (${heroes(diff.acquired)})`);
+    if (diff.sold?.length > 0) parts.push(`−${diff.sold.length} sold (${heroes(diff.sold)})`);
+    if (parts.length === 0) parts.push('no changes');
+    return `${cards} · ${parts.join(' · ')}`;
+  }
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  const retryable = status => status === 429 || status >= 500;
+
+  // Delay before retry n (0-based): baseDelayMs doubled per retry, capped; a longer Retry-After wins
+  function backoffDelay(retry, baseDelayMs, retryAfter = null) {
+    const exponential = Math.min(baseDelayMs * 2 ** retry, MAX_BACKOFF_MS);
+    const seconds = Number(retryAfter);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.max(exponential, Math.min(seconds * 1000, MAX_BACKOFF_MS)) : exponential;
+  }
+
+  // fetch with exponential backoff on 429, 5xx and network errors. gate ({ until }) is shared by the requests
+  // of one queue: a 429 pauses all of them, not just the one that hit it. Resolves with the last response
+  // (ok or not retryable / out of retries) and throws only if the last attempt was a network error.
+  // onRetry(attempt, reason) is told about each retry.
+  async function fetchWithBackoff(url, { retries = 4, baseDelayMs = 500, gate = { until: 0 }, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const wait = gate.until - Date.now();
+      if (wait > 0) await sleep(wait);
+      let response = null;
+      let reason;
+      try {
+        response = await fetch(url);
+        if (!retryable(response.status)) return response;
+        reason = `HTTP ${response.status}`;
+      } catch (error) {
+        reason = `network error: ${error.message}`;
+        if (attempt >= retries) throw new Error(`${reason} after ${retries} retries`);
+      }
+      if (attempt >= retries) return response;
+      const delay = backoffDelay(attempt, baseDelayMs, response?.headers?.get('Retry-After'));
+      if (response?.status === 429) gate.until = Math.max(gate.until, Date.now() + delay);
+      onRetry(attempt + 1, reason);
+      await sleep(delay);
+    }
+  }
+
+  // Run worker(item, index) over items with at most `concurrency` in flight; results keep the input order
+  async function runQueue(items, worker, { concurrency = 5 } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    const lane = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+    return results;
+  }
+
+  // "2 cards left out: card metadata could not be loaded (#12 HTTP 404, #34 HTTP 503)" for the deck result;
+  // '' when nothing was excluded. report.failed: [{ cardId, reason, stale }] (stale = kept from the cache).
+  function summarizeFetchFailures(report) {
+    const excluded = (report?.failed || []).filter(f => !f.stale);
+    if (excluded.length === 0) return '';
+    const examples = excluded.slice(0, 5).map(f => `#${f.cardId} ${f.reason}`).join(', ');
+    const more = excluded.length > 5 ? `, +${excluded.length - 5} more` : '';
+    return `${excluded.length} card${excluded.length === 1 ? '' : 's'} left out: card metadata could not be loaded (${examples}${more})`;
+  }
+
+  // Cached metadata usable without refetching: complete (hero, rarity, attributes) and younger than the TTL.
+  // Rarity 5 is the API's "no rarity" answer (parseRarityFromApi), a real value that a refetch won't change.
+  function isMetaFresh(entry, now = Date.now(), ttl = META_TTL_MS) {
+    if (!entry || !entry.heroKey || !String(entry.heroKey).trim()) return false;
+    if (!(entry.rarity >= 1 && entry.rarity <= 5) || entry.attributes === undefined) return false;
+    return now - (entry.fetchedAt || 0) < ttl;
+  }
+
+  // Drop cards no longer owned and cap the cache size. With a complete owned list (endpoint) unowned cards
+  // go at once; the page may not render every card, so there they go once unseen for a TTL. Owned cards are
+  // always kept; maxEntries caps the unowned ones, evicting the least recently seen. Returns { meta, removed }.
+  function pruneMeta(meta, ownedIds, { complete = false, now = Date.now(), ttl = META_TTL_MS, maxEntries = MAX_META_ENTRIES } = {}) {
+    const owned = new Set((ownedIds || []).map(String));
+    const entries = Object.entries(meta || {});
+    const unowned = entries
+      .filter(([cardId, entry]) => !owned.has(cardId) && !complete && now - (entry.seenAt || 0) < ttl)
+      .sort((a, b) => (b[1].seenAt || 0) - (a[1].seenAt || 0))
+      .slice(0, maxEntries);
+    const kept = [...entries.filter(([cardId]) => owned.has(cardId)), ...unowned];
+    return { meta: Object.fromEntries(kept), removed: entries.length - kept.length };
+  }
+
+  // Counts and ages for the popup's cache panel: { count, stale, oldestFetch, lastSeen } (timestamps or null;
+  // oldestFetch ignores expired entries, which are counted in stale)
+  function metaStats(meta, now = Date.now()) {
+    const entries = Object.values(meta || {});
+    const fetched = entries.map(e => e.fetchedAt || 0).filter(Boolean);
+    return {
+      count: entries.length,
+      stale: entries.filter(e => !isMetaFresh(e, now)).length,
+      oldestFetch: fetched.length > 0 ? Math.min(...fetched) : null,
+      lastSeen: entries.length > 0 ? Math.max(...entries.map(e => e.seenAt || 0)) || null : null
+    };
+  }
+
+  const FantasyPortfolio = {
+    ENDPOINT_STORAGE_KEY,
+    WALLET_STORAGE_KEY,
+    DIFF_STORAGE_KEY,
+    META_STORAGE_KEY,
+    IDS_STORAGE_KEY,
+    FETCH_REPORT_STORAGE_KEY,
+    META_TTL_MS,
+    MAX_META_ENTRIES,
+    MAX_PAGES,
+    endpointUrl,
+    extractCardIds,
+    fetchOwnedCardIds,
+    diffPortfolio,
+    summarizeDiff,
+    backoffDelay,
+    fetchWithBackoff,
+    runQueue,
+    summarizeFetchFailures,
+    isMetaFresh,
+    pruneMeta,
+    metaStats
+  };
+
+  root.FantasyPortfolio = FantasyPortfolio;
+  if (typeof module !== 'undefined' && module.exports) module.exports = FantasyPortfolio;
+})(typeof globalThis !== 'undefined' ? globalThis : self);
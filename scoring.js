@@ -0,0 +1,676 @@
+// Shared scoring engine: loaded by the service worker (importScripts), the content script
+// (manifest content_scripts) and the popup, so every expected score comes from the same math.
+// Historical score arrays have one slot per week, most recent first; null = the hero has no score that
+// week (see weeklyScores). Windows count calendar weeks, so a missed week never pulls older scores forward.
+(function (root) {
+  // How a week without a score is treated: skipped (windows just hold fewer scores) or counted as a 0
+  const MISSING_WEEK_MODES = {
+    skip: 'Skip the week',
+    zero: 'Count as 0'
+  };
+  const DEFAULT_MISSING_WEEKS = 'skip';
+
+  // Heroes move between star tiers; 'tier' rescales each week's score by how that week's tier scored on
+  // average, so scores earned at an old tier don't skew the hero's expected score at the current one
+  const STAR_NORMALIZATION = {
+    none: 'Raw scores',
+    tier: 'Relative to star tier'
+  };
+  const DEFAULT_STAR_NORMALIZATION = 'none';
+
+  // Stored history entries ([{ week, score, stars? } | null], most recent first) -> per-week scores for the
+  // algorithms: numbers, with nulls left in ('skip') or replaced by 0 ('zero'). Pre-migration number
+  // arrays pass through unchanged. scale(entry, week) optionally multiplies each recorded score.
+  function weeklyScores(entries, missingWeeks = DEFAULT_MISSING_WEEKS, scale = null) {
+    return (entries || []).map((entry, week) => {
+      if (entry == null) return missingWeeks === 'zero' ? 0 : null;
+      if (typeof entry === 'number') return entry;
+      return scale ? entry.score * scale(entry, week) : entry.score;
+    });
+  }
+
+  // Average score per star tier, per week and overall, from entries that record the hero's tier:
+  // { byWeek: [{ stars: average }], overall: { stars: average of the weekly averages } }
+  function tierAverages(historicalData) {
+    const sums = [];
+    for (const entries of Object.values(historicalData || {})) {
+      (entries || []).forEach((entry, week) => {
+        if (entry?.stars == null) return;
+        sums[week] = sums[week] || {};
+        const slot = sums[week][entry.stars] = sums[week][entry.stars] || { total: 0, count: 0 };
+        slot.total += entry.score;
+        slot.count++;
+      });
+    }
+    const byWeek = Array.from(sums, week => Object.fromEntries(
+      Object.entries(week || {}).map(([stars, slot]) => [stars, slot.total / slot.count])
+    ));
+    const overallSums = {};
+    byWeek.forEach(week => {
+      for (const [stars, avg] of Object.entries(week)) {
+        overallSums[stars] = overallSums[stars] || [];
+        overallSums[stars].push(avg);
+      }
+    });
+    const overall = Object.fromEntries(Object.entries(overallSums).map(([stars, avgs]) => [stars, averageScore(avgs)]));
+    return { byWeek, overall };
+  }
+
+  // heroKey -> entries  =>  heroKey -> weekly scores.
+  // options: { normalize: 'none' | 'tier', stars: { heroKey: current stars } }. With 'tier', a score earned
+  // at N stars is divided by the N-star average that week and scaled to the current tier's overall average.
+  // Weeks without a recorded tier (sources with no star history) are left as they are.
+  function weeklyData(historicalData, missingWeeks = DEFAULT_MISSING_WEEKS, options = {}) {
+    const tiers = options.normalize === 'tier' ? tierAverages(historicalData) : null;
+    const data = {};
+    for (const [heroKey, entries] of Object.entries(historicalData || {})) {
+      const current = options.stars?.[heroKey];
+      const scale = tiers && tiers.overall[current] > 0
+        ? (entry, week) => {
+          const then = entry.stars != null ? tiers.byWeek[week]?.[entry.stars] : null;
+          return then > 0 ? tiers.overall[current] / then : 1;
+        }
+        : null;
+      data[heroKey] = weeklyScores(entries, missingWeeks, scale);
+    }
+    return data;
+  }
+
+  // heroKey -> entries  =>  heroKey -> [true where the week has a recorded score]. With missingWeeks 'zero'
+  // a missed week and a real 0 look the same in the weekly scores, so the prior counts weeks from this.
+  function playedWeeks(historicalData) {
+    const played = {};
+    for (const [heroKey, entries] of Object.entries(historicalData || {})) {
+      played[heroKey] = (entries || []).map(entry => entry != null);
+    }
+    return played;
+  }
+
+  // Scores actually recorded (missing weeks dropped)
+  function present(scores) {
+    return scores.filter(s => s != null);
+  }
+
+  function averageScore(scores) {
+    if (scores.length === 0) return 0;
+    return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  }
+
+  // Trim numToExclude extremes: floor(n/2) from the bottom, the rest from the top (n=1 drops the best week)
+  function averageExcludingOutliers(scores, numToExclude) {
+    if (scores.length <= numToExclude) {
+      return averageScore(scores);
+    }
+    const sorted = [...scores].sort((a, b) => a - b);
+    const toRemoveEachEnd = Math.floor(numToExclude / 2);
+    const remaining = sorted.slice(toRemoveEachEnd, sorted.length - (numToExclude - toRemoveEachEnd));
+    return averageScore(remaining);
+  }
+
+  const DEFAULT_WEIGHTS = [0.3, 0.2, 0.175, 0.15, 0.125];
+
+  // Weights apply to the most recent weeks in order; history beyond weights.length is ignored. A missing
+  // week drops out with its weight (the rest are renormalized).
+  function weightedScore(scores, weights = DEFAULT_WEIGHTS) {
+    if (scores.length === 0) return 0;
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (let i = 0; i < Math.min(scores.length, weights.length); i++) {
+      if (scores[i] == null) continue;
+      weightedSum += scores[i] * weights[i];
+      totalWeight += weights[i];
+    }
+
+    return totalWeight > 0 ? weightedSum / totalWeight : 0;
+  }
+
+  function consistencyFloor(scores) {
+    if (scores.length === 0) return 0;
+    return Math.min(...scores);
+  }
+
+  function consistencyMedian(scores) {
+    if (scores.length === 0) return 0;
+    const sorted = [...scores].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+
+  function exponentialSmoothing(scores, alpha) {
+    if (scores.length === 0) return 0;
+
+    // Exponential smoothing: S_t = alpha * X_t + (1 - alpha) * S_{t-1}
+    // Start with the first value, then smooth forward through all historical data
+    let smoothed = scores[0];
+    for (let i = 1; i < scores.length; i++) {
+      smoothed = alpha * scores[i] + (1 - alpha) * smoothed;
+    }
+    return smoothed;
+  }
+
+  // Shared parameter specs. type: 'number' | 'integer' | 'weights' (comma-separated list, most recent first)
+  const windowParam = (weeks) => ({ label: 'Weeks', type: 'integer', default: weeks, min: 1, max: 53, step: 1 });
+  const excludeParam = { label: 'Outliers dropped', type: 'integer', default: 1, min: 0, max: 10, step: 1 };
+
+  // Algorithm registry: id -> { label, shortLabel, params (schema), score(scores, params), breakdown? }.
+  // score() always receives fully resolved params (defaults filled in) and weekly scores that may contain
+  // nulls for missed weeks. Popup <select> options and param inputs are built from this.
+  const ALGORITHMS = {
+    exponentialSmoothing: {
+      shortLabel: 'ExpSmooth',
+      label: 'Exponential smoothing',
+      params: { alpha: { label: 'Smoothing α', type: 'number', default: 0.3, min: 0.01, max: 1, step: 0.05 } },
+      score: (scores, p) => exponentialSmoothing(present(scores), p.alpha)
+    },
+    recent6weeks: {
+      shortLabel: 'Last 6',
+      label: 'Last 6 weeks average',
+      params: { window: windowParam(6) },
+      score: (scores, p) => averageScore(present(scores.slice(0, p.window)))
+    },
+    recent4weeks: {
+      shortLabel: 'Last 4',
+      label: 'Last 4 weeks average',
+      params: { window: windowParam(4) },
+      score: (scores, p) => averageScore(present(scores.slice(0, p.window)))
+    },
+    recent6exclude1: {
+      shortLabel: 'Last 6−1',
+      label: 'Last 6 weeks (exclude outlier)',
+      params: { window: windowParam(6), exclude: excludeParam },
+      score: (scores, p) => averageExcludingOutliers(present(scores.slice(0, p.window)), p.exclude)
+    },
+    recent4exclude1: {
+      shortLabel: 'Last 4−1',
+      label: 'Last 4 weeks (exclude outlier)',
+      params: { window: windowParam(4), exclude: excludeParam },
+      score: (scores, p) => averageExcludingOutliers(present(scores.slice(0, p.window)), p.exclude)
+    },
+    weighted: {
+      shortLabel: 'Weighted',
+      label: 'Weighted recent',
+      params: { weights: { label: 'Weights (most recent first)', type: 'weights', default: DEFAULT_WEIGHTS } },
+      score: (scores, p) => weightedScore(scores, p.weights)
+    },
+    consistencyFloor: {
+      shortLabel: 'Floor',
+      label: 'Consistency (floor)',
+      params: { window: windowParam(6) },
+      score: (scores, p) => consistencyFloor(present(scores.slice(0, p.window)))
+    },
+    consistencyMedian: {
+      shortLabel: 'Median',
+      label: 'Consistency (median)',
+      params: { window: windowParam(6) },
+      score: (scores, p) => consistencyMedian(present(scores.slice(0, p.window)))
+    }
+  };
+
+  // Ensemble: weighted blend of the algorithms above, each with the user's parameters for it (p.components,
+  // see paramsFor; defaults when absent). One weight param per component; weights are normalized, and
+  // all-zero falls back to the default blend.
+  const ENSEMBLE_DEFAULT_WEIGHTS = { exponentialSmoothing: 0.5, consistencyMedian: 0.3, recent4weeks: 0.2 };
+  const ENSEMBLE_COMPONENTS = Object.keys(ALGORITHMS);
+
+  // [{ id, weight (normalized), score, contribution }] for components with a non-zero weight
+  function ensembleBreakdown(scores, weights) {
+    const total = ENSEMBLE_COMPONENTS.reduce((sum, id) => sum + (weights[id] || 0), 0);
+    const effective = total > 0 ? weights : ENSEMBLE_DEFAULT_WEIGHTS;
+    const effectiveTotal = total > 0 ? total : ENSEMBLE_COMPONENTS.reduce((sum, id) => sum + (effective[id] || 0), 0);
+    return ENSEMBLE_COMPONENTS
+      .filter(id => effective[id] > 0)
+      .map(id => {
+        const weight = effective[id] / effectiveTotal;
+        const score = calculateScore(scores, id, weights.components?.[id]);
+        return { id, weight, score, contribution: weight * score };
+      });
+  }
+
+  ALGORITHMS.ensemble = {
+    shortLabel: 'Ensemble',
+    label: 'Ensemble (blend of algorithms)',
+    components: ENSEMBLE_COMPONENTS,
+    params: Object.fromEntries(ENSEMBLE_COMPONENTS.map(id => [id, {
+      label: `${ALGORITHMS[id].shortLabel} weight`,
+      type: 'number',
+      default: ENSEMBLE_DEFAULT_WEIGHTS[id] || 0,
+      min: 0,
+      max: 1,
+      step: 0.05
+    }])),
+    score: (scores, p) => ensembleBreakdown(scores, p).reduce((sum, c) => sum + c.contribution, 0),
+    breakdown: (scores, p) => ensembleBreakdown(scores, p)
+  };
+
+  const DEFAULT_ALGORITHM = 'exponentialSmoothing';
+
+  // Parameters every algorithm takes on top of its own. priorWeeks = k in the star-tier prior: a hero with n
+  // weeks played keeps n/(n+k) of their own score and takes k/(n+k) from their tier's baseline (0 = off).
+  const COMMON_PARAMS = {
+    priorWeeks: { label: 'Prior (weeks)', type: 'integer', default: 0, min: 0, max: 26, step: 1 }
+  };
+
+  function registerAlgorithm(id, definition) {
+    if (!id || typeof definition?.score !== 'function') {
+      throw new Error(`Invalid scoring algorithm: ${id}`);
+    }
+    ALGORITHMS[id] = { label: definition.label || id, params: {}, ...definition };
+  }
+
+  function getAlgorithm(id) {
+    return ALGORITHMS[id] || ALGORITHMS[DEFAULT_ALGORITHM];
+  }
+
+  // Coerce one user-supplied value to its spec; anything unusable falls back to the default
+  function normalizeParam(spec, value) {
+    if (spec.type === 'weights') {
+      const list = (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .filter(w => String(w).trim() !== '')
+        .map(Number);
+      return list.length > 0 && list.every(w => Number.isFinite(w) && w >= 0) && list.some(w => w > 0)
+        ? list
+        : [...spec.default];
+    }
+    let n = value === '' || value == null ? NaN : Number(value);
+    if (!Number.isFinite(n)) return spec.default;
+    if (spec.type === 'integer') n = Math.round(n);
+    if (spec.min != null) n = Math.max(spec.min, n);
+    if (spec.max != null) n = Math.min(spec.max, n);
+    return n;
+  }
+
+  // Full parameter schema of an algorithm: its own params plus COMMON_PARAMS
+  function paramSchema(algorithm) {
+    return { ...(getAlgorithm(algorithm).params || {}), ...COMMON_PARAMS };
+  }
+
+  // Defaults merged with user values for one algorithm (unknown keys are dropped). For blends, a
+  // params.components map ({ id: params }, from paramsFor) is resolved per component.
+  function resolveParams(algorithm, params) {
+    const resolved = {};
+    for (const [name, spec] of Object.entries(paramSchema(algorithm))) {
+      resolved[name] = normalizeParam(spec, params?.[name]);
+    }
+    const components = getAlgorithm(algorithm).components;
+    if (components && params?.components) {
+      resolved.components = Object.fromEntries(components.map(id => [id, resolveParams(id, params.components[id])]));
+    }
+    return resolved;
+  }
+
+  // Params for one algorithm out of the per-algorithm map (lastConfig.algorithmParams). Blends also get
+  // every component's params, so a component scores the same inside the blend as on its own.
+  function paramsFor(algorithm, algorithmParams) {
+    const own = algorithmParams?.[algorithm];
+    const components = getAlgorithm(algorithm).components;
+    if (!components) return own;
+    return { ...own, components: Object.fromEntries(components.map(id => [id, algorithmParams?.[id]])) };
+  }
+
+  // Expected (pre-rarity) score for one hero. Unknown algorithm ids fall back to the default.
+  function calculateScore(historicalScores, algorithm, params) {
+    if (!historicalScores || historicalScores.length === 0) {
+      return 0;
+    }
+    return getAlgorithm(algorithm).score(historicalScores, resolveParams(algorithm, params));
+  }
+
+  // Per-component contributions for algorithms that blend others (null otherwise)
+  function scoreBreakdown(historicalScores, algorithm, params) {
+    const algo = getAlgorithm(algorithm);
+    if (typeof algo.breakdown !== 'function' || !historicalScores || historicalScores.length === 0) {
+      return null;
+    }
+    return algo.breakdown(historicalScores, resolveParams(algorithm, params));
+  }
+
+  // Weeks with a recorded score (the n in the prior's n/(n+k)). played = the hero's playedWeeks() flags,
+  // lined up with historicalScores; without it, zero-filled misses would count as played.
+  function weeksPlayed(historicalScores, played) {
+    if (played) return played.filter(Boolean).length;
+    return present(historicalScores || []).length;
+  }
+
+  // Star-tier baselines for the prior: stars -> mean score of the heroes at that tier who have history,
+  // scored by the same algorithm. stars = { heroKey: current stars } (cardDataCache); played = playedWeeks().
+  function tierBaselines(historicalData, stars, algorithm, params, played) {
+    const sums = {};
+    for (const [heroKey, historicalScores] of Object.entries(historicalData || {})) {
+      const tier = stars?.[heroKey];
+      if (!tier || weeksPlayed(historicalScores, played?.[heroKey]) === 0) continue;
+      sums[tier] = sums[tier] || [];
+      sums[tier].push(calculateScore(historicalScores, algorithm, params));
+    }
+    return Object.fromEntries(Object.entries(sums).map(([tier, scores]) => [tier, averageScore(scores)]));
+  }
+
+  // Shrink an observed score toward its tier baseline: { score, share } where share = k/(n+k) is the part
+  // that comes from the prior. No baseline or priorWeeks = 0 leaves the score as is.
+  function applyPrior(observed, weeks, baseline, priorWeeks) {
+    if (!(priorWeeks > 0) || baseline == null) return { score: observed, share: 0 };
+    const share = priorWeeks / (weeks + priorWeeks);
+    return { score: (1 - share) * observed + share * baseline, share };
+  }
+
+  // heroKey -> { score, handle, name, components?, prior? } for every hero with history, plus every hero in
+  // options.stars when the prior is on (shape of lastCalculatedScores). components = [{ id, weight, score,
+  // contribution }] for blended algorithms; prior = { share, baseline, observed, weeks } when it contributes.
+  // options: { stars: { heroKey: current stars } (needed for the prior), played: playedWeeks() of the entries }
+  function calculateAllScores(historicalData, algorithm, params, options = {}) {
+    const calculatedScores = {};
+    const priorWeeks = resolveParams(algorithm, params).priorWeeks;
+    const baselines = priorWeeks > 0 && options.stars ? tierBaselines(historicalData, options.stars, algorithm, params, options.played) : null;
+    const heroKeys = new Set(Object.keys(historicalData || {}));
+    if (baselines) Object.keys(options.stars).forEach(heroKey => heroKeys.add(heroKey));
+
+    for (const heroKey of heroKeys) {
+      const historicalScores = historicalData?.[heroKey] || [];
+      const observed = calculateScore(historicalScores, algorithm, params);
+      if (observed === null) continue;
+      const weeks = weeksPlayed(historicalScores, options.played?.[heroKey]);
+      const baseline = baselines?.[options.stars[heroKey]];
+      const prior = applyPrior(observed, weeks, baseline, priorWeeks);
+      if (weeks === 0 && prior.share === 0) continue; // no history and no prior to stand in for it
+      calculatedScores[heroKey] = { score: prior.score, handle: heroKey, name: heroKey };
+      const components = scoreBreakdown(historicalScores, algorithm, params);
+      if (components) calculatedScores[heroKey].components = components;
+      if (prior.share > 0) calculatedScores[heroKey].prior = { share: prior.share, baseline, observed, weeks };
+    }
+    return calculatedScores;
+  }
+
+  // Linear-interpolated percentile (p in 0..100) of an unsorted array
+  function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * Math.min(100, Math.max(0, p)) / 100;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  const RISK_WINDOW = 12; // weeks of history used for spread/percentiles
+  const RISK_DOWNSIDE_PERCENTILE = 25;
+  const RISK_UPSIDE_PERCENTILE = 90;
+
+  // Spread of one hero's recent weekly scores: { mean, stdDev, downside, upside, samples } where
+  // downside = mean - P25 and upside = P90 - mean (both >= 0). Missing weeks in the window are left out.
+  function scoreDistribution(historicalScores, window = RISK_WINDOW) {
+    const recent = present((historicalScores || []).slice(0, window));
+    if (recent.length === 0) return { mean: 0, stdDev: 0, downside: 0, upside: 0, samples: 0 };
+    const mean = averageScore(recent);
+    const variance = recent.length > 1
+      ? recent.reduce((sum, s) => sum + (s - mean) ** 2, 0) / (recent.length - 1)
+      : 0;
+    return {
+      mean,
+      stdDev: Math.sqrt(variance),
+      downside: Math.max(0, mean - percentile(recent, RISK_DOWNSIDE_PERCENTILE)),
+      upside: Math.max(0, percentile(recent, RISK_UPSIDE_PERCENTILE) - mean),
+      samples: recent.length
+    };
+  }
+
+  const TREND_WEEKS = 8; // weeks shown in the hero dropdown's sparkline and used for slope/volatility
+  const MOMENTUM_WEEKS = 3;
+
+  // Recent form of one hero from weekly scores (most recent first, nulls = missed weeks):
+  // { sparkline: last `window` weeks oldest -> newest (nulls kept as gaps), slope: points per week from a
+  //   least-squares fit over the played weeks (+ = rising), momentum: last MOMENTUM_WEEKS played weeks' mean
+  //   minus the window mean, volatility: standard deviation, weeks: scores in the whole history }.
+  // slope/momentum/volatility are null with fewer than 2 scores in the window.
+  function trendStats(historicalScores, window = TREND_WEEKS) {
+    const recent = (historicalScores || []).slice(0, window);
+    const played = recent.map((score, i) => ({ x: -i, y: score })).filter(p => p.y != null);
+    const stats = {
+      sparkline: [...recent].reverse(),
+      slope: null,
+      momentum: null,
+      volatility: null,
+      weeks: present(historicalScores || []).length
+    };
+    if (played.length < 2) return stats;
+
+    const meanX = averageScore(played.map(p => p.x));
+    const meanY = averageScore(played.map(p => p.y));
+    const sxx = played.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    stats.slope = played.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+    stats.momentum = averageScore(played.slice(0, MOMENTUM_WEEKS).map(p => p.y)) - meanY;
+    stats.volatility = scoreDistribution(recent, window).stdDev;
+    return stats;
+  }
+
+  // Solver objective for a risk-aversion setting in [-1, 1]: 0 = expected score, +1 = shifted down by the
+  // hero's downside gap (aims at P25, cash-line play), -1 = shifted up by the upside gap (aims at P90).
+  function riskAdjustedScore(expected, distribution, riskAversion = 0) {
+    const r = Math.min(1, Math.max(-1, Number(riskAversion) || 0));
+    if (r === 0 || !distribution) return expected;
+    const shift = r > 0 ? -r * distribution.downside : -r * distribution.upside;
+    return Math.max(0, expected + shift);
+  }
+
+  // Deck total as a normal approximation of independent cards: parts = [{ mean, stdDev }]
+  function combineDistributions(parts) {
+    const mean = parts.reduce((sum, p) => sum + (p.mean || 0), 0);
+    const stdDev = Math.sqrt(parts.reduce((sum, p) => sum + (p.stdDev || 0) ** 2, 0));
+    const at = (z) => Math.max(0, mean + z * stdDev);
+    return { mean, stdDev, p10: at(-1.2816), p25: at(-0.6745), p50: mean, p75: at(0.6745), p90: at(1.2816) };
+  }
+
+  // Standard normal draw (Box-Muller)
+  function normalSample(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  // Monte Carlo over a deck's total. parts = [{ scores, multiplier = 1 } | { fixedScore }]: each trial draws
+  // one week per card, either resampled from its recent history ('bootstrap') or from a normal fitted to
+  // it ('normal', floored at 0). Fixed scores (overrides) never vary.
+  // options: { trials = 5000 (at least 1), method = 'bootstrap', window = RISK_WINDOW, threshold, bins = 12, random }
+  // Returns { trials, method, mean, stdDev, min, max, p5..p95, winProbability (null without threshold), histogram }
+  function simulateDeck(parts, options = {}) {
+    const { method = 'bootstrap', window = RISK_WINDOW, bins = 12, random = Math.random } = options;
+    const trials = Math.max(1, Math.floor(Number(options.trials ?? 5000)) || 1);
+    const threshold = options.threshold != null && options.threshold !== '' ? Number(options.threshold) : null;
+
+    const samplers = parts.map(part => {
+      if (part.fixedScore != null) return () => part.fixedScore;
+      const recent = present((part.scores || []).slice(0, window));
+      const mult = part.multiplier ?? 1;
+      if (recent.length === 0) return () => 0;
+      if (method === 'normal') {
+        const dist = scoreDistribution(recent, window);
+        return () => Math.max(0, dist.mean + dist.stdDev * normalSample(random)) * mult;
+      }
+      return () => recent[Math.floor(random() * recent.length)] * mult;
+    });
+
+    const totals = new Array(trials);
+    let wins = 0;
+    for (let t = 0; t < trials; t++) {
+      let total = 0;
+      for (const sample of samplers) total += sample();
+      totals[t] = total;
+      if (threshold !== null && total > threshold) wins++;
+    }
+
+    totals.sort((a, b) => a - b);
+    const at = (p) => totals[Math.min(trials - 1, Math.floor(p / 100 * trials))];
+    const mean = averageScore(totals);
+    const stdDev = Math.sqrt(totals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, trials - 1));
+    const min = totals[0];
+    const max = totals[trials - 1];
+
+    const histogram = [];
+    const width = (max - min) / bins || 1;
+    for (let i = 0; i < bins; i++) histogram.push({ from: min + i * width, to: min + (i + 1) * width, count: 0 });
+    for (const v of totals) histogram[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+
+    return {
+      trials,
+      method,
+      mean,
+      stdDev,
+      min,
+      max,
+      p5: at(5),
+      p10: at(10),
+      p25: at(25),
+      p50: at(50),
+      p75: at(75),
+      p90: at(90),
+      p95: at(95),
+      threshold,
+      winProbability: threshold !== null ? wins / trials : null,
+      histogram
+    };
+  }
+
+  // Text summary of one simulateDeck result: percentiles, win probability and a sparkline histogram,
+  // prefixed with sim.label when withLabel is set
+  function simulationSummary(sim, withLabel = false) {
+    const bars = '▁▂▃▄▅▆▇█';
+    const peak = Math.max(...sim.histogram.map(b => b.count)) || 1;
+    const spark = sim.histogram.map(b => bars[Math.min(bars.length - 1, Math.floor(b.count / peak * (bars.length - 1)))]).join('');
+    const win = sim.winProbability != null ? `\nP(> ${sim.threshold.toFixed(0)}) = ${(sim.winProbability * 100).toFixed(1)}%` : '';
+    const title = withLabel ? `${sim.label}: ` : '';
+    return `${title}${sim.trials} trials, mean ${sim.mean.toFixed(0)} (σ ${sim.stdDev.toFixed(0)})\nP10 ${sim.p10.toFixed(0)} · P50 ${sim.p50.toFixed(0)} · P90 ${sim.p90.toFixed(0)}\n${sim.min.toFixed(0)} ${spark} ${sim.max.toFixed(0)}${win}`;
+  }
+
+  // Ranks (1 = lowest) with ties sharing their average rank
+  function rankValues(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+      const avg = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) ranks[order[k]] = avg;
+      i = j + 1;
+    }
+    return ranks;
+  }
+
+  // Spearman rank correlation; null when either side has no spread
+  function rankCorrelation(xs, ys) {
+    if (xs.length < 2) return null;
+    const rx = rankValues(xs);
+    const ry = rankValues(ys);
+    const mean = (rx.length + 1) / 2;
+    let cov = 0, vx = 0, vy = 0;
+    for (let i = 0; i < rx.length; i++) {
+      cov += (rx[i] - mean) * (ry[i] - mean);
+      vx += (rx[i] - mean) ** 2;
+      vy += (ry[i] - mean) ** 2;
+    }
+    return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+  }
+
+  // Walk-forward backtest: for each past week W (0 = most recent) predict every hero from the weeks
+  // after W only, then compare with the actual week-W score. Heroes without a week-W score, or with fewer
+  // than minHistory scores before it, sit that week out.
+  // options: { weeks = 8, minHistory = 3, algorithms = all registered ids, algorithmParams = { id: params },
+  //            stars = { heroKey: current stars } (applies each algorithm's prior, from the weeks after W only),
+  //            played = playedWeeks() of the entries (weeks counted for minHistory and the prior) }
+  // Returns { weeks, algorithms: { id: { label, mae, rmse, rankCorrelation, samples, perWeek[] } } }
+  function backtest(historicalData, options = {}) {
+    const { weeks = 8, minHistory = 3 } = options;
+    const algorithmIds = options.algorithms || Object.keys(ALGORITHMS);
+    const results = {};
+
+    for (const id of algorithmIds) {
+      const params = paramsFor(id, options.algorithmParams);
+      const priorWeeks = resolveParams(id, params).priorWeeks;
+      let absSum = 0, sqSum = 0, samples = 0;
+      const perWeek = [];
+      for (let week = 0; week < weeks; week++) {
+        const predicted = [];
+        const actual = [];
+        const before = {};
+        const playedBefore = options.played ? {} : null;
+        for (const [heroKey, scores] of Object.entries(historicalData || {})) {
+          before[heroKey] = (scores || []).slice(week + 1);
+          if (playedBefore) playedBefore[heroKey] = options.played[heroKey]?.slice(week + 1);
+        }
+        const baselines = priorWeeks > 0 && options.stars ? tierBaselines(before, options.stars, id, params, playedBefore) : null;
+        for (const [heroKey, scores] of Object.entries(historicalData || {})) {
+          const n = weeksPlayed(before[heroKey], playedBefore?.[heroKey]);
+          if (!scores || scores[week] == null || n < minHistory) continue;
+          const observed = calculateScore(before[heroKey], id, params);
+          predicted.push(applyPrior(observed, n, baselines?.[options.stars[heroKey]], priorWeeks).score);
+          actual.push(scores[week]);
+        }
+        if (predicted.length === 0) continue;
+        let weekAbs = 0;
+        predicted.forEach((p, i) => {
+          const err = p - actual[i];
+          weekAbs += Math.abs(err);
+          absSum += Math.abs(err);
+          sqSum += err * err;
+        });
+        samples += predicted.length;
+        perWeek.push({ week, heroes: predicted.length, mae: weekAbs / predicted.length, rankCorrelation: rankCorrelation(predicted, actual) });
+      }
+      const correlations = perWeek.map(w => w.rankCorrelation).filter(r => r !== null);
+      results[id] = {
+        label: getAlgorithm(id).label,
+        mae: samples > 0 ? absSum / samples : null,
+        rmse: samples > 0 ? Math.sqrt(sqSum / samples) : null,
+        rankCorrelation: correlations.length > 0 ? averageScore(correlations) : null,
+        samples,
+        perWeek
+      };
+    }
+
+    return { weeks, algorithms: results };
+  }
+
+  const FantasyScoring = {
+    MISSING_WEEK_MODES,
+    DEFAULT_MISSING_WEEKS,
+    STAR_NORMALIZATION,
+    DEFAULT_STAR_NORMALIZATION,
+    weeklyScores,
+    tierAverages,
+    weeklyData,
+    ALGORITHMS,
+    DEFAULT_ALGORITHM,
+    registerAlgorithm,
+    getAlgorithm,
+    COMMON_PARAMS,
+    paramSchema,
+    resolveParams,
+    paramsFor,
+    calculateScore,
+    weeksPlayed,
+    playedWeeks,
+    tierBaselines,
+    applyPrior,
+    scoreBreakdown,
+    calculateAllScores,
+    backtest,
+    rankCorrelation,
+    percentile,
+    scoreDistribution,
+    riskAdjustedScore,
+    combineDistributions,
+    TREND_WEEKS,
+    trendStats,
+    simulateDeck,
+    simulationSummary,
+    RISK_WINDOW,
+    RISK_DOWNSIDE_PERCENTILE,
+    RISK_UPSIDE_PERCENTILE,
+    averageScore,
+    averageExcludingOutliers,
+    weightedScore,
+    consistencyFloor,
+    consistencyMedian,
+    exponentialSmoothing
+  };
+
+  root.FantasyScoring = FantasyScoring;
+  if (typeof module !== 'undefined' && module.exports) module.exports = FantasyScoring;
+})(typeof globalThis !== 'undefined' ? globalThis : self);
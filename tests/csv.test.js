@@ -0,0 +1,127 @@
+// CSV parser tests (csv.js) plus the sheet import that sits on top of it (history.js).
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const FantasyCSV = require('../csv.js');
+const FantasyHistory = require('../history.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Feed text in fixed-size chunks (1 = char by char) and collect records
+function parseChunked(text, size) {
+  const records = [];
+  const parser = FantasyCSV.createParser((fields, line) => records.push({ fields, line }));
+  for (let i = 0; i < text.length; i += size) parser.push(text.slice(i, i + size));
+  parser.end();
+  return records;
+}
+
+test('splits plain fields and records', () => {
+  assert.deepEqual(FantasyCSV.parse('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+});
+
+test('keeps commas, escaped quotes and newlines inside quoted fields', () => {
+  const rows = FantasyCSV.parse(fixture('quoted.csv'));
+  assert.deepEqual(rows, [
+    ['name', 'handle', 'note'],
+    ['Smith, John', 'smith', 'He said "gm"'],
+    ['Multi\nline 🚀', 'multi', 'a,b\nc'],
+    ['', '', '', ''],
+    ['plain', 'p', 'x']
+  ]);
+});
+
+test('reports the line each record starts on', () => {
+  const lines = FantasyCSV.parseRecords(fixture('quoted.csv')).map(r => r.line);
+  assert.deepEqual(lines, [1, 2, 3, 6, 7]); // record 3 spans lines 3-5
+});
+
+test('strips a BOM and handles CRLF, including CRLF inside quotes', () => {
+  const rows = FantasyCSV.parse(fixture('crlf-bom.csv'));
+  assert.deepEqual(rows, [
+    ['name', 'stars'],
+    ['Zoë, the 🐐', '3'],
+    ['line\r\nbreak', '2'],
+    ['last', '1']
+  ]);
+});
+
+test('treats a lone CR as a line break', () => {
+  assert.deepEqual(FantasyCSV.parse('a,b\r1,2\r'), [['a', 'b'], ['1', '2']]);
+});
+
+test('no extra record after a final newline; blank lines are one empty field', () => {
+  assert.deepEqual(FantasyCSV.parse('a\n\nb\n'), [['a'], [''], ['b']]);
+  assert.deepEqual(FantasyCSV.parse('a'), [['a']]);
+  assert.deepEqual(FantasyCSV.parse(''), []);
+});
+
+test('empty quoted fields and a quoted field at end of input', () => {
+  assert.deepEqual(FantasyCSV.parse('"",""'), [['', '']]);
+  assert.deepEqual(FantasyCSV.parse('x,""'), [['x', '']]);
+});
+
+test('reads malformed quotes leniently', () => {
+  assert.deepEqual(FantasyCSV.parse('ab"c,d'), [['ab"c', 'd']]);
+  assert.deepEqual(FantasyCSV.parse('"ab"c,d'), [['abc', 'd']]);
+});
+
+test('an unterminated quote runs to the end and is reported', () => {
+  const records = [];
+  const parser = FantasyCSV.createParser(fields => records.push(fields));
+  parser.push(fixture('unterminated.csv'));
+  parser.end();
+  assert.deepEqual(records, [['a', 'b'], ['1', 'never closed\n2,3\n']]);
+  assert.equal(parser.errors.length, 1);
+  assert.equal(parser.errors[0].line, 2);
+});
+
+test('parseLine matches the first record', () => {
+  assert.deepEqual(FantasyCSV.parseLine('"a, b",c'), ['a, b', 'c']);
+  assert.deepEqual(FantasyCSV.parseLine(''), ['']);
+});
+
+test('chunk boundaries never change the result', () => {
+  for (const name of ['quoted.csv', 'crlf-bom.csv', 'sheet.csv', 'unterminated.csv']) {
+    const text = fixture(name);
+    const whole = FantasyCSV.parseRecords(text);
+    for (const size of [1, 2, 3, 5, 7, 13]) {
+      assert.deepEqual(parseChunked(text, size), whole, `${name} in chunks of ${size}`);
+    }
+  }
+});
+
+test('parseStream decodes multi-byte characters split across network chunks', async () => {
+  const bytes = new TextEncoder().encode(fixture('crlf-bom.csv'));
+  const stream = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += 3) controller.enqueue(bytes.slice(i, i + 3));
+      controller.close();
+    }
+  });
+  const { records, errors, bytes: read } = await FantasyCSV.parseStream(new Response(stream));
+  assert.deepEqual(records, FantasyCSV.parseRecords(fixture('crlf-bom.csv')));
+  assert.deepEqual(errors, []);
+  assert.equal(read, bytes.length);
+});
+
+test('sheet import keeps tricky hero names intact and reports by sheet line', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { historicalData, cardData, weekLabels, report } = FantasyHistory.parseHistoricalCSV(fixture('sheet.csv'));
+
+  assert.deepEqual(cardData.map(c => c.name), ['Doe, Jane 🌟', 'The "Real" Bob', 'Two\nLines']);
+  const scores = entries => entries.map(e => e && e.score);
+  assert.deepEqual(scores(historicalData.JANEDOE), [120, 1050, 90]);
+  assert.deepEqual(scores(historicalData.BOB), [80, null, 70]); // "n/a" week kept as a gap
+  assert.deepEqual(scores(historicalData.TWOLINES), [null, 55, 60]); // missed the latest week
+  assert.deepEqual(historicalData.BOB[0], { week: 'Main 85 (10/12)', score: 80 });
+  assert.deepEqual(weekLabels.map(w => w.number), [85, 84, 83]);
+  assert.equal(weekLabels[0].date, '10/12');
+
+  assert.equal(report.nonNumeric.count, 1);
+  assert.deepEqual(report.nonNumeric.examples[0], { heroKey: 'BOB', row: 4, column: 'Main 84', value: 'n/a' });
+  assert.deepEqual(report.duplicates, [{ heroKey: 'JANEDOE', rows: [3, 7] }]);
+});
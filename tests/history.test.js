@@ -0,0 +1,225 @@
+// Week-entry history (history.js): table parsing, cache migration, refresh schedule and snapshots.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FantasyHistory = require('../history.js');
+
+const table = (rows) => ({
+  headers: ['Name', 'Handle', 'Stars', 'Week 4', 'Week 3', 'Week 2', 'Week 1'],
+  rows
+});
+const columns = { name: 0, handle: 1, stars: 2, scores: [3, 4, 5, 6] };
+
+// In-memory chrome.storage.local for the import / snapshot functions
+function mockStorage(t, store) {
+  globalThis.chrome = { storage: { local: {
+    get: async keys => Object.fromEntries(keys.filter(k => k in store).map(k => [k, store[k]])),
+    set: async values => Object.assign(store, values),
+    remove: async keys => keys.forEach(k => delete store[k])
+  } } };
+  t.after(() => delete globalThis.chrome);
+  return store;
+}
+
+test('missed weeks stay in place as nulls; weeks before the first score are trimmed', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { historicalData } = FantasyHistory.parseTable(table([
+    ['Ann', 'ann', '3', '100', '', '80', '60'],
+    ['New', 'new', '1', '50', '40', '', '']
+  ]), columns);
+  assert.deepEqual(historicalData.ANN, [
+    { week: 'Week 4', score: 100 }, null, { week: 'Week 2', score: 80 }, { week: 'Week 1', score: 60 }
+  ]);
+  assert.deepEqual(historicalData.NEW, [{ week: 'Week 4', score: 50 }, { week: 'Week 3', score: 40 }]);
+});
+
+test('weeks nobody scored in are dropped with their labels', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { historicalData, weekLabels, report } = FantasyHistory.parseTable(table([
+    ['Ann', 'ann', '3', '', '90', '80', '60'],
+    ['Bob', 'bob', '2', '', '', '70', '50']
+  ]), columns);
+  assert.deepEqual(weekLabels.map(w => w.label), ['Week 3', 'Week 2', 'Week 1']);
+  assert.equal(report.emptyWeeks, 1);
+  assert.deepEqual(historicalData.BOB.map(e => e && e.score), [null, 70, 50]);
+});
+
+test('version-1 caches migrate, restoring gaps from the week-index cache', () => {
+  const labels = ['W4', 'W3', 'W2', 'W1'].map(label => ({ label, number: null, date: null }));
+  const migrated = FantasyHistory.migrateHistoricalData(
+    { ANN: [100, 80, 60], BOB: [90, 70], OLD: [5, 6] },
+    { ANN: [0, 2, 3], BOB: [1, 2] },
+    labels
+  );
+  assert.deepEqual(migrated.ANN.map(e => e && e.score), [100, null, 80, 60]);
+  assert.deepEqual(migrated.BOB.map(e => e && e.score), [null, 90, 70]);
+  assert.deepEqual(migrated.ANN[2], { week: 'W2', score: 80 });
+  // No week indexes: order kept, labels unknown
+  assert.deepEqual(migrated.OLD, [{ week: null, score: 5 }, { week: null, score: 6 }]);
+  // Already-migrated data passes through
+  assert.deepEqual(FantasyHistory.migrateHistoricalData(migrated), migrated);
+});
+
+test('per-week star columns are detected and stored on the entries', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const headers = ['Name', 'Handle', 'Stars', 'Main 3', 'Main 2', 'Main 1', 'Stars 3', 'Stars 2', 'Stars 1'];
+  const mapping = FantasyHistory.detectColumns(headers);
+  assert.equal(mapping.starsFrom, 'Stars 3');
+  assert.equal(mapping.scoresCount, 3);
+
+  const { historicalData, cardData, report } = FantasyHistory.parseTable({
+    headers,
+    rows: [
+      ['Ann', 'ann', '3', '300', '', '100', '3', '', '2'],
+      ['Bob', 'bob', '2', '200', '150', '120', '2', '2', '2']
+    ]
+  }, FantasyHistory.resolveColumns(headers, mapping));
+  assert.deepEqual(historicalData.ANN, [{ week: 'Main 3', score: 300, stars: 3 }, null, { week: 'Main 1', score: 100, stars: 2 }]);
+  assert.equal(report.starHistory, true);
+  assert.deepEqual(cardData.find(c => c.heroKey === 'ANN').tierChange, { from: 2, weeksAgo: 2 });
+  assert.equal(cardData.find(c => c.heroKey === 'BOB').tierChange, undefined);
+});
+
+test('refresh schedule: next and previous run in local time, off disables it', () => {
+  const weekly = { mode: 'weekly', day: 1, hour: 12, minute: 30 };
+  const sunday = new Date(2026, 9, 18, 9, 0).getTime(); // Sun 18 Oct 2026
+  assert.equal(FantasyHistory.nextRefreshTime(weekly, sunday), new Date(2026, 9, 19, 12, 30).getTime());
+  assert.equal(FantasyHistory.nextRefreshTime(weekly, new Date(2026, 9, 19, 12, 30).getTime()), new Date(2026, 9, 26, 12, 30).getTime());
+  assert.equal(FantasyHistory.previousRefreshTime(weekly, sunday), new Date(2026, 9, 12, 12, 30).getTime());
+  const daily = { mode: 'daily', hour: 6, minute: 0 };
+  assert.equal(FantasyHistory.nextRefreshTime(daily, sunday), new Date(2026, 9, 19, 6, 0).getTime());
+  assert.equal(FantasyHistory.previousRefreshTime(daily, sunday), new Date(2026, 9, 18, 6, 0).getTime());
+  assert.equal(FantasyHistory.nextRefreshTime({ mode: 'off' }, sunday), null);
+  assert.deepEqual(FantasyHistory.normalizeSchedule({ mode: 'hourly', day: 9, hour: 5 }), { ...FantasyHistory.DEFAULT_SCHEDULE, hour: 5 });
+});
+
+test('a failed refresh keeps the cached snapshot and both outcomes go into the refresh history', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const store = mockStorage(t, { historicalDataCache: { OLD: [{ week: 'W1', score: 1 }] }, dataSource: { provider: 'file', headerRow: 1, mapping: null } });
+
+  store.dataSourceFile = { name: 'empty.csv', text: 'Name,Handle,Stars,Week 1\nAnn,ann,3,\n' };
+  await assert.rejects(FantasyHistory.fetchHistoricalData({ trigger: 'schedule' }), /No heroes/);
+  assert.deepEqual(Object.keys(store.historicalDataCache), ['OLD']);
+
+  store.dataSourceFile = { name: 'ok.csv', text: 'Name,Handle,Stars,Week 1\nAnn,ann,3,50\n' };
+  await FantasyHistory.fetchHistoricalData({ trigger: 'retry' });
+  assert.deepEqual(Object.keys(store.historicalDataCache), ['ANN']);
+  const log = store[FantasyHistory.REFRESH_LOG_STORAGE_KEY];
+  assert.deepEqual(log.map(e => [e.trigger, e.success, e.heroes]), [['retry', true, 1], ['schedule', false, undefined]]);
+  assert.match(log[1].error, /No heroes/);
+});
+
+test('snapshot diff lists added / removed heroes, star changes, new weeks and edited scores', () => {
+  const before = {
+    historicalData: { ANN: [{ week: 'W2', score: 80 }, { week: 'W1', score: 60 }], BOB: [{ week: 'W2', score: 70 }], OLD: [{ week: 'W1', score: 5 }] },
+    cardData: [{ heroKey: 'ANN', stars: 3 }, { heroKey: 'BOB', stars: 2 }, { heroKey: 'OLD', stars: 1 }]
+  };
+  const after = {
+    historicalData: {
+      ANN: [{ week: 'W3', score: 90 }, { week: 'W2', score: 8 }, { week: 'W1', score: 60 }],
+      BOB: [{ week: 'W3', score: 75 }, { week: 'W2', score: 70 }],
+      NEW: [{ week: 'W3', score: 40 }]
+    },
+    cardData: [{ heroKey: 'ANN', stars: 4 }, { heroKey: 'BOB', stars: 2 }, { heroKey: 'NEW', stars: 1 }]
+  };
+  const diff = FantasyHistory.diffSnapshots(before, after);
+  assert.deepEqual(diff, {
+    added: ['NEW'],
+    removed: ['OLD'],
+    starChanges: [{ heroKey: 'ANN', from: 3, to: 4 }],
+    newWeeks: [{ week: 'W3', scores: 3 }],
+    changedScores: [{ heroKey: 'ANN', week: 'W2', from: 80, to: 8 }]
+  });
+  assert.equal(FantasyHistory.summarizeSnapshotDiff(diff), '+1 hero · −1 hero · 1 star change · 1 new week (3 scores) · 1 edited score');
+  assert.equal(FantasyHistory.isEmptyDiff(FantasyHistory.diffSnapshots(after, after)), true);
+});
+
+test('snapshots: unchanged imports are not duplicated, the oldest go first, a pinned one stays and is served', async (t) => {
+  const store = mockStorage(t, {});
+  const data = n => ({ historicalData: { ANN: [{ week: `W${n}`, score: n }] }, cardData: [{ heroKey: 'ANN', stars: 3 }], weekLabels: [] });
+
+  const first = await FantasyHistory.saveSnapshot(data(1), { timestamp: 1 });
+  assert.equal(first.summary, 'first snapshot');
+  assert.equal((await FantasyHistory.saveSnapshot(data(1), { timestamp: 2 })).checkedAt, 2);
+  assert.equal((await FantasyHistory.listSnapshots()).length, 1);
+
+  await FantasyHistory.pinSnapshot('1');
+  for (let n = 2; n <= FantasyHistory.MAX_SNAPSHOTS + 2; n++) await FantasyHistory.saveSnapshot(data(n), { timestamp: n * 10 });
+  const ids = (await FantasyHistory.listSnapshots()).map(s => s.id);
+  assert.equal(ids.length, FantasyHistory.MAX_SNAPSHOTS + 1); // newest MAX plus the pinned one
+  assert.equal(ids.at(-1), '1');
+  assert.equal('historySnapshot:20' in store, false); // dropped data is removed too
+
+  store.historicalDataCache = data(99).historicalData;
+  const pinned = await FantasyHistory.loadHistoryCache(['cardDataCache']);
+  assert.deepEqual(pinned.historicalDataCache, data(1).historicalData);
+  assert.equal(pinned.pinnedSnapshot.id, '1');
+  await FantasyHistory.pinSnapshot(null);
+  assert.deepEqual((await FantasyHistory.loadHistoryCache()).historicalDataCache, data(99).historicalData);
+  await assert.rejects(FantasyHistory.pinSnapshot('nope'), /not found/);
+});
+
+test('snapshots are stored packed (week labels once) and read back as entries', async (t) => {
+  const store = mockStorage(t, {});
+  const weekLabels = [{ label: 'W2' }, { label: 'W1' }];
+  const data = {
+    historicalData: { ANN: [{ week: 'W2', score: 40, stars: 3 }, { week: 'W1', score: 30, stars: 2 }], BOB: [null, { week: 'W1', score: 10 }], OLD: [{ week: 'X', score: 5 }] },
+    cardData: [{ heroKey: 'ANN', stars: 3 }],
+    weekLabels
+  };
+  const entry = await FantasyHistory.saveSnapshot(data, { timestamp: 1 });
+  const stored = store[`historySnapshot:${entry.id}`];
+  assert.deepEqual(stored.scores, { ANN: [40, 30], BOB: [null, 10] });
+  assert.deepEqual(stored.stars, { ANN: [3, 2] });
+  assert.deepEqual(stored.raw, { OLD: data.historicalData.OLD }); // entries not lined up with the labels
+  assert.deepEqual(await FantasyHistory.loadSnapshot(entry.id), data);
+
+  // Full copies from before packing still load
+  store['historySnapshot:0'] = { historicalData: data.historicalData, cardData: [], weekLabels };
+  assert.deepEqual((await FantasyHistory.loadSnapshot('0')).historicalData, data.historicalData);
+});
+
+test('a full storage drops the oldest unpinned snapshots to make room', async (t) => {
+  const store = mockStorage(t, {});
+  const set = globalThis.chrome.storage.local.set;
+  const limit = { bytes: Infinity };
+  globalThis.chrome.storage.local.set = async values => {
+    if (JSON.stringify({ ...store, ...values }).length > limit.bytes) throw new Error('QUOTA_BYTES quota exceeded');
+    return set(values);
+  };
+  const data = n => ({ historicalData: { ANN: [{ week: 'W1', score: n }] }, cardData: [], weekLabels: [{ label: 'W1' }] });
+  for (let n = 1; n <= 3; n++) await FantasyHistory.saveSnapshot(data(n), { timestamp: n });
+  await FantasyHistory.pinSnapshot('1');
+
+  limit.bytes = JSON.stringify(store).length + 20; // room for a little more, not for a whole snapshot
+  const entry = await FantasyHistory.saveSnapshot(data(4), { timestamp: 4 });
+  assert.deepEqual((await FantasyHistory.listSnapshots()).map(s => s.id), [entry.id, '3', '1']); // oldest unpinned dropped
+  assert.equal('historySnapshot:2' in store, false);
+
+  limit.bytes = 0; // nothing left to drop: the error comes through
+  await assert.rejects(FantasyHistory.saveSnapshot(data(5), { timestamp: 5 }), /QUOTA_BYTES/);
+});
+
+test('a refresh writes the cache even when snapshots fill the storage', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const store = mockStorage(t, { dataSource: { provider: 'file', headerRow: 1, mapping: null } });
+  const data = n => ({ historicalData: { ANN: [{ week: 'W1', score: n }] }, cardData: [], weekLabels: [{ label: 'W1' }] });
+  for (let n = 1; n <= 3; n++) await FantasyHistory.saveSnapshot(data(n), { timestamp: n });
+  const set = globalThis.chrome.storage.local.set;
+  const snapshotCount = () => Object.keys(store).filter(k => k.startsWith('historySnapshot:')).length;
+  globalThis.chrome.storage.local.set = async values => {
+    // The cache fits once a snapshot is gone; a new snapshot never does
+    const full = ('historicalDataCache' in values && snapshotCount() > 2) || Object.keys(values).some(k => k.startsWith('historySnapshot:'));
+    if (full) throw new Error('QUOTA_BYTES quota exceeded');
+    return set(values);
+  };
+
+  store.dataSourceFile = { name: 'ok.csv', text: 'Name,Handle,Stars,Week 1\nAnn,ann,3,50\n' };
+  const result = await FantasyHistory.fetchHistoricalData({ trigger: 'schedule' });
+  assert.equal(result.snapshot, null);
+  assert.equal(store.historicalDataCache.ANN[0].score, 50);
+  assert.equal(store[FantasyHistory.REFRESH_LOG_STORAGE_KEY][0].success, true);
+});
@@ -0,0 +1,143 @@
+// Portfolio endpoint parsing and run-to-run diff (portfolio.js).
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FantasyPortfolio = require('../portfolio.js');
+
+test('endpointUrl fills the wallet (lower-case) and page', () => {
+  assert.equal(
+    FantasyPortfolio.endpointUrl('https://api.example/{wallet}/cards?page={page}', '0xABC', 3),
+    'https://api.example/0xabc/cards?page=3'
+  );
+  assert.equal(FantasyPortfolio.endpointUrl('https://api.example/{wallet}', '0xabc'), 'https://api.example/0xabc');
+});
+
+test('extractCardIds reads bare arrays, card objects and nested lists', () => {
+  assert.deepEqual(FantasyPortfolio.extractCardIds([12, '34', 12]), ['12', '34']);
+  assert.deepEqual(FantasyPortfolio.extractCardIds({ cards: [{ card_id: 5 }, { tokenId: '6' }, { id: 'x' }] }), ['5', '6']);
+  assert.deepEqual(FantasyPortfolio.extractCardIds({ data: { items: [{ cardId: 7 }] } }), ['7']);
+  assert.deepEqual(FantasyPortfolio.extractCardIds({ error: 'nope' }), []);
+});
+
+test('fetchOwnedCardIds pages until a page adds nothing', async (t) => {
+  const pages = { 1: [1, 2], 2: [3], 3: [3] };
+  const requested = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    const page = Number(new URL(url).searchParams.get('page'));
+    requested.push(page);
+    return new Response(JSON.stringify(pages[page] || []));
+  });
+  const ids = await FantasyPortfolio.fetchOwnedCardIds('https://api.example/{wallet}?page={page}', '0xabc');
+  assert.deepEqual(ids, ['1', '2', '3']);
+  assert.deepEqual(requested, [1, 2, 3]);
+  await assert.rejects(FantasyPortfolio.fetchOwnedCardIds('https://api.example/{wallet}', ''), /wallet/);
+});
+
+test('diffPortfolio reports acquired and sold cards, sold only for complete lists', () => {
+  const meta = { 3: { heroKey: 'ALICE' }, 1: { heroKey: 'BOB' } };
+  const diff = FantasyPortfolio.diffPortfolio(['1', '2'], ['2', '3'], meta);
+  assert.deepEqual(diff, {
+    first: false,
+    acquired: [{ cardId: '3', heroKey: 'ALICE' }],
+    sold: [{ cardId: '1', heroKey: 'BOB' }]
+  });
+  assert.equal(FantasyPortfolio.diffPortfolio(['1', '2'], ['2', '3'], meta, false).sold, null);
+  assert.equal(
+    FantasyPortfolio.summarizeDiff({ ...diff, total: 2 }),
+    '2 cards · +1 acquired (ALICE) · −1 sold (BOB)'
+  );
+
+  const first = FantasyPortfolio.diffPortfolio([], ['1'], meta);
+  assert.deepEqual(first, { first: true, acquired: [], sold: null });
+  assert.equal(FantasyPortfolio.summarizeDiff({ ...first, total: 1 }), '1 card (first run)');
+});
+
+test('isMetaFresh needs complete metadata younger than the TTL', () => {
+  const now = 10 * FantasyPortfolio.META_TTL_MS;
+  const entry = { heroKey: 'ALICE', rarity: 3, attributes: {}, fetchedAt: now - 1000 };
+  assert.equal(FantasyPortfolio.isMetaFresh(entry, now), true);
+  assert.equal(FantasyPortfolio.isMetaFresh({ ...entry, fetchedAt: now - FantasyPortfolio.META_TTL_MS }, now), false);
+  assert.equal(FantasyPortfolio.isMetaFresh({ ...entry, fetchedAt: undefined }, now), false); // caches from before the TTL
+  assert.equal(FantasyPortfolio.isMetaFresh({ ...entry, rarity: 5 }, now), true); // unknown rarity is a cached answer
+  assert.equal(FantasyPortfolio.isMetaFresh({ ...entry, rarity: undefined }, now), false);
+  assert.equal(FantasyPortfolio.isMetaFresh({ ...entry, attributes: undefined }, now), false);
+  assert.equal(FantasyPortfolio.isMetaFresh(undefined, now), false);
+});
+
+test('pruneMeta drops unowned cards (at once for complete lists) and caps only the unowned ones', () => {
+  const now = 10 * FantasyPortfolio.META_TTL_MS;
+  const meta = {
+    1: { heroKey: 'A', seenAt: now },
+    2: { heroKey: 'B', seenAt: now - 1000 }, // unowned, seen recently
+    3: { heroKey: 'C', seenAt: now - FantasyPortfolio.META_TTL_MS - 1 } // unowned, unseen for a TTL
+  };
+  assert.deepEqual(Object.keys(FantasyPortfolio.pruneMeta(meta, ['1'], { now }).meta), ['1', '2']);
+  assert.deepEqual(FantasyPortfolio.pruneMeta(meta, ['1'], { now, complete: true }), { meta: { 1: meta[1] }, removed: 2 });
+  const recent = { ...meta, 3: { heroKey: 'C', seenAt: now - 2000 } };
+  const capped = FantasyPortfolio.pruneMeta(recent, ['1'], { now, maxEntries: 1 });
+  assert.deepEqual(Object.keys(capped.meta), ['1', '2']); // least recently seen unowned card evicted
+  assert.equal(capped.removed, 1);
+  const large = FantasyPortfolio.pruneMeta(meta, ['1', '2', '3'], { now, maxEntries: 1 });
+  assert.deepEqual(Object.keys(large.meta), ['1', '2', '3']); // owned cards are never capped
+  assert.equal(large.removed, 0);
+});
+
+test('metaStats counts stale entries and reports the oldest fetch', () => {
+  const now = 10 * FantasyPortfolio.META_TTL_MS;
+  const fresh = { heroKey: 'A', rarity: 1, attributes: {}, fetchedAt: now - 5000, seenAt: now };
+  const stale = { ...fresh, fetchedAt: 0, seenAt: now - 10 };
+  assert.deepEqual(FantasyPortfolio.metaStats({ 1: fresh, 2: stale }, now), { count: 2, stale: 1, oldestFetch: now - 5000, lastSeen: now });
+  assert.deepEqual(FantasyPortfolio.metaStats({ 2: stale }, now), { count: 1, stale: 1, oldestFetch: null, lastSeen: now - 10 });
+  assert.deepEqual(FantasyPortfolio.metaStats({}, now), { count: 0, stale: 0, oldestFetch: null, lastSeen: null });
+});
+
+test('backoffDelay doubles per retry, caps, and honours a longer Retry-After', () => {
+  assert.deepEqual([0, 1, 2, 3].map(n => FantasyPortfolio.backoffDelay(n, 500)), [500, 1000, 2000, 4000]);
+  assert.equal(FantasyPortfolio.backoffDelay(20, 500), 30000);
+  assert.equal(FantasyPortfolio.backoffDelay(0, 500, '3'), 3000);
+  assert.equal(FantasyPortfolio.backoffDelay(3, 500, '1'), 4000);
+  assert.equal(FantasyPortfolio.backoffDelay(0, 500, 'soon'), 500);
+});
+
+test('fetchWithBackoff retries 429 / 5xx / network errors but not 404', async (t) => {
+  const replies = [() => { throw new TypeError('offline'); }, () => new Response('', { status: 429 }), () => new Response('', { status: 503 }), () => new Response('{}')];
+  t.mock.method(globalThis, 'fetch', async () => replies.shift()());
+  const retries = [];
+  const gate = { until: 0 };
+  const response = await FantasyPortfolio.fetchWithBackoff('https://x', { baseDelayMs: 1, gate, onRetry: (n, reason) => retries.push(reason) });
+  assert.equal(response.status, 200);
+  assert.deepEqual(retries, ['network error: offline', 'HTTP 429', 'HTTP 503']);
+  assert.ok(gate.until > 0); // the 429 paused the shared gate
+
+  globalThis.fetch.mock.mockImplementation(async () => new Response('', { status: 404 }));
+  assert.equal((await FantasyPortfolio.fetchWithBackoff('https://x', { baseDelayMs: 1 })).status, 404);
+  assert.equal(globalThis.fetch.mock.callCount(), 5);
+
+  globalThis.fetch.mock.mockImplementation(async () => new Response('', { status: 500 }));
+  assert.equal((await FantasyPortfolio.fetchWithBackoff('https://x', { retries: 2, baseDelayMs: 1 })).status, 500);
+  assert.equal(globalThis.fetch.mock.callCount(), 8);
+});
+
+test('runQueue keeps order and never exceeds the concurrency', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await FantasyPortfolio.runQueue([30, 10, 20, 5, 15], async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return i;
+  }, { concurrency: 2 });
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+  assert.deepEqual(await FantasyPortfolio.runQueue([], async () => 1), []);
+});
+
+test('summarizeFetchFailures lists only cards left out of the pool', () => {
+  assert.equal(FantasyPortfolio.summarizeFetchFailures(null), '');
+  assert.equal(FantasyPortfolio.summarizeFetchFailures({ failed: [{ cardId: '1', reason: 'HTTP 503', stale: true }] }), '');
+  assert.equal(
+    FantasyPortfolio.summarizeFetchFailures({ failed: [{ cardId: '1', reason: 'HTTP 404', stale: false }, { cardId: '2', reason: 'HTTP 503', stale: true }] }),
+    '1 card left out: card metadata could not be loaded (#1 HTTP 404)'
+  );
+});
@@ -0,0 +1,207 @@
+// Scoring engine (scoring.js): missed weeks, tier normalization, trends, the tier prior, ensembles
+// and the backtest.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FantasyScoring = require('../scoring.js');
+
+test('skip mode averages the weeks played inside the window; zero mode counts misses as 0', () => {
+  const entries = [null, null, { week: 'W2', score: 80 }, { week: 'W1', score: 60 }, { week: 'W0', score: 40 }];
+  const skip = FantasyScoring.weeklyScores(entries, 'skip');
+  const zero = FantasyScoring.weeklyScores(entries, 'zero');
+  assert.deepEqual(skip, [null, null, 80, 60, 40]);
+  assert.deepEqual(zero, [0, 0, 80, 60, 40]);
+
+  // Last 4 weeks covers the two misses, not an older score shifted forward
+  assert.equal(FantasyScoring.calculateScore(skip, 'recent4weeks'), 70);
+  assert.equal(FantasyScoring.calculateScore(zero, 'recent4weeks'), 35);
+  assert.equal(FantasyScoring.calculateScore(skip, 'weighted', { weights: [1, 1, 1, 1] }), 70);
+  assert.equal(FantasyScoring.calculateScore(zero, 'weighted', { weights: [1, 1, 1, 1] }), 35);
+  assert.equal(FantasyScoring.calculateScore(skip, 'consistencyFloor'), 40);
+  assert.equal(FantasyScoring.calculateScore(zero, 'consistencyFloor'), 0);
+});
+
+test('backtest skips heroes without a score in the tested week', () => {
+  const weekly = { A: [null, 50, 50, 50, 50], B: [40, 40, 40, 40, 40] };
+  const { algorithms } = FantasyScoring.backtest(weekly, { weeks: 1, algorithms: ['recent4weeks'] });
+  assert.equal(algorithms.recent4weeks.samples, 1);
+  assert.equal(algorithms.recent4weeks.mae, 0);
+});
+
+test('backtest predicts each tested week only from the weeks before it', () => {
+  // A spike in the newest week: it is the outcome of week 0 and must not feed the prediction for week 1
+  const weekly = { A: [1000, 10, 10, 10, 10, 10] };
+  const { algorithms } = FantasyScoring.backtest(weekly, { weeks: 2, algorithms: ['recent4weeks'] });
+  assert.deepEqual(algorithms.recent4weeks.perWeek.map(w => [w.week, w.mae]), [[0, 990], [1, 0]]);
+});
+
+test('plain score arrays still score as before', () => {
+  assert.deepEqual(FantasyScoring.weeklyScores([3, 2, 1]), [3, 2, 1]);
+  assert.equal(FantasyScoring.calculateScore([40, 60], 'recent4weeks'), 50);
+});
+
+test('tier normalization rescales scores earned at an old tier', () => {
+  // Week 1: 2-star heroes averaged 100; 3-star heroes average 300 overall. Ann moved from 2 to 3 stars.
+  const data = {
+    ANN: [{ week: 'W2', score: 300, stars: 3 }, { week: 'W1', score: 100, stars: 2 }],
+    BOB: [{ week: 'W2', score: 300, stars: 3 }, { week: 'W1', score: 300, stars: 3 }],
+    CAT: [{ week: 'W2', score: 120, stars: 2 }, { week: 'W1', score: 100, stars: 2 }]
+  };
+  const stars = { ANN: 3, BOB: 3, CAT: 2 };
+  assert.deepEqual(FantasyScoring.weeklyData(data, 'skip', { normalize: 'none', stars }).ANN, [300, 100]);
+  const normalized = FantasyScoring.weeklyData(data, 'skip', { normalize: 'tier', stars });
+  assert.deepEqual(normalized.ANN, [300, 300]); // 100 was an average 2-star week
+  assert.deepEqual(normalized.BOB, [300, 300]);
+  // Entries without a recorded tier are left alone
+  assert.deepEqual(FantasyScoring.weeklyData({ X: [{ week: 'W1', score: 50 }] }, 'skip', { normalize: 'tier', stars: { X: 3 } }).X, [50]);
+});
+
+test('trend stats: slope over played weeks, momentum, volatility and history length', () => {
+  const trend = FantasyScoring.trendStats([50, 40, null, 20, 10, 5], 5);
+  assert.deepEqual(trend.sparkline, [10, 20, null, 40, 50]); // oldest first, gap kept
+  assert.equal(trend.slope, 10);
+  assert.equal(trend.weeks, 5);
+  assert.ok(trend.momentum > 0);
+  assert.ok(trend.volatility > 0);
+  assert.equal(FantasyScoring.trendStats([7]).slope, null);
+});
+
+test('prior blends a tier baseline by n/(n+k) and scores heroes with no history', () => {
+  const weekly = {
+    VET: [100, 100, 100, 100, 100, 100],
+    ROOKIE: [400],
+    PEER: [100, 100]
+  };
+  const stars = { VET: 3, ROOKIE: 3, PEER: 3, NEW: 3 };
+  const off = FantasyScoring.calculateAllScores(weekly, 'recent4weeks', {}, { stars });
+  assert.equal(off.ROOKIE.score, 400);
+  assert.equal(off.NEW, undefined);
+  assert.equal(off.ROOKIE.prior, undefined);
+
+  const on = FantasyScoring.calculateAllScores(weekly, 'recent4weeks', { priorWeeks: 3 }, { stars });
+  // Baseline = mean of 3-star heroes' scores = (100 + 400 + 100) / 3 = 200; rookie keeps 1/(1+3)
+  assert.equal(on.ROOKIE.score, 0.25 * 400 + 0.75 * 200);
+  assert.deepEqual(on.ROOKIE.prior, { share: 0.75, baseline: 200, observed: 400, weeks: 1 });
+  assert.equal(on.NEW.score, 200); // no history: all prior
+  assert.ok(on.VET.prior.share < on.ROOKIE.prior.share);
+  assert.ok(FantasyScoring.paramSchema('weighted').priorWeeks);
+});
+
+test('the prior counts only weeks with a real score when misses are zero-filled', () => {
+  const entries = { ROOKIE: [{ week: 'W3', score: 400 }, null, null], VET: [{ week: 'W3', score: 100 }, { week: 'W2', score: 100 }, { week: 'W1', score: 100 }] };
+  const weekly = FantasyScoring.weeklyData(entries, 'zero');
+  const played = FantasyScoring.playedWeeks(entries);
+  assert.deepEqual(weekly.ROOKIE, [400, 0, 0]);
+  assert.equal(FantasyScoring.weeksPlayed(weekly.ROOKIE), 3);
+  assert.equal(FantasyScoring.weeksPlayed(weekly.ROOKIE, played.ROOKIE), 1);
+
+  const stars = { ROOKIE: 3, VET: 3 };
+  const scores = FantasyScoring.calculateAllScores(weekly, 'recent4weeks', { priorWeeks: 3 }, { stars, played });
+  assert.equal(scores.ROOKIE.prior.weeks, 1);
+  assert.equal(scores.ROOKIE.prior.share, 0.75);
+
+  const history = { ROOKIE: [400, ...weekly.ROOKIE], VET: [100, ...weekly.VET] };
+  const playedHistory = { ROOKIE: [true, ...played.ROOKIE], VET: [true, ...played.VET] };
+  const counted = FantasyScoring.backtest(history, { weeks: 1, minHistory: 2, algorithms: ['recent4weeks'], played: playedHistory });
+  assert.equal(counted.algorithms.recent4weeks.samples, 1); // the rookie's one real week is below minHistory
+  assert.equal(FantasyScoring.backtest(history, { weeks: 1, minHistory: 2, algorithms: ['recent4weeks'] }).algorithms.recent4weeks.samples, 2);
+});
+
+test('ensemble components score with the user\'s params for them', () => {
+  const scores = [100, 20, 20, 20, 20, 20, 20, 20];
+  const algorithmParams = { ensemble: { exponentialSmoothing: 1, consistencyMedian: 0, recent4weeks: 0 }, exponentialSmoothing: { alpha: 0.9 } };
+  const params = FantasyScoring.paramsFor('ensemble', algorithmParams);
+  assert.equal(
+    FantasyScoring.calculateScore(scores, 'ensemble', params),
+    FantasyScoring.calculateScore(scores, 'exponentialSmoothing', algorithmParams.exponentialSmoothing)
+  );
+  assert.notEqual(FantasyScoring.calculateScore(scores, 'ensemble', params), FantasyScoring.calculateScore(scores, 'ensemble', algorithmParams.ensemble));
+  assert.equal(FantasyScoring.resolveParams('ensemble', params).components.exponentialSmoothing.alpha, 0.9);
+  assert.equal(FantasyScoring.paramsFor('weighted', algorithmParams), undefined);
+});
+
+test('simulationSummary lists the percentiles, the win probability and a histogram sparkline', () => {
+  const sim = {
+    label: 'Main', trials: 100, mean: 250.4, stdDev: 20.2, min: 200, max: 300, p10: 220, p50: 251, p90: 280,
+    threshold: 260, winProbability: 0.375, histogram: [{ count: 10 }, { count: 80 }, { count: 10 }]
+  };
+  assert.equal(FantasyScoring.simulationSummary(sim), '100 trials, mean 250 (σ 20)\nP10 220 · P50 251 · P90 280\n200 ▁█▁ 300\nP(> 260) = 37.5%');
+  assert.match(FantasyScoring.simulationSummary({ ...sim, winProbability: null }, true), /^Main: 100 trials.*300$/s);
+});
+
+// Deterministic stand-in for Math.random (mulberry32)
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+test('simulateDeck: percentiles of the resampled totals, win probability and a full histogram', () => {
+  // Draws cycle through the four weeks, so each score is exactly a quarter of the trials
+  let draw = 0;
+  const cycle = () => (draw++ % 4) / 4;
+  const sim = FantasyScoring.simulateDeck([{ scores: [10, 20, 30, 40], multiplier: 2 }, { fixedScore: 5 }], { trials: 400, threshold: 50, random: cycle });
+  assert.deepEqual([sim.min, sim.p10, sim.p25, sim.p50, sim.p75, sim.p90, sim.max], [25, 25, 45, 65, 85, 85, 85]);
+  assert.equal(sim.mean, 55);
+  assert.equal(sim.winProbability, 0.5); // 65 and 85 beat 50
+  assert.equal(sim.histogram.reduce((sum, b) => sum + b.count, 0), 400);
+
+  const normal = FantasyScoring.simulateDeck([{ scores: [100, 80, 120, 90] }, { scores: [50, 60] }], { trials: 1000, method: 'normal', threshold: 150, random: seeded(7) });
+  assert.equal(normal.histogram.reduce((sum, b) => sum + b.count, 0), 1000);
+  assert.ok(normal.min <= normal.p5 && normal.p5 <= normal.p50 && normal.p50 <= normal.p95 && normal.p95 <= normal.max);
+  assert.ok(normal.winProbability > 0.4 && normal.winProbability < 0.8); // mean total 152.5
+  assert.deepEqual(FantasyScoring.simulateDeck([{ scores: [100, 80, 120, 90] }, { scores: [50, 60] }], { trials: 1000, method: 'normal', threshold: 150, random: seeded(7) }), normal);
+  assert.equal(FantasyScoring.simulateDeck([{ fixedScore: 5 }], { trials: 10 }).winProbability, null);
+});
+
+test('simulateDeck keeps fixed scores fixed and runs at least one trial', () => {
+  const fixed = FantasyScoring.simulateDeck([{ fixedScore: 120 }, { fixedScore: 30 }], { trials: 50, random: seeded(1) });
+  assert.deepEqual([fixed.min, fixed.p5, fixed.p50, fixed.p95, fixed.max, fixed.mean, fixed.stdDev], [150, 150, 150, 150, 150, 150, 0]);
+
+  const none = FantasyScoring.simulateDeck([{ scores: [40] }], { trials: 0, threshold: 10 });
+  assert.equal(none.trials, 1);
+  assert.deepEqual([none.min, none.p50, none.max, none.winProbability], [40, 40, 40, 1]);
+  assert.equal(none.histogram.reduce((sum, b) => sum + b.count, 0), 1);
+});
+
+test('risk objective: P25 downside / P90 upside gaps, shifted by risk aversion in [-1, 1] and floored at 0', () => {
+  const dist = FantasyScoring.scoreDistribution([100, 60, 80, null, 40, 120]);
+  // Sorted 40, 60, 80, 100, 120: P25 = 60, P90 = 100 + 0.6 × 20 = 112, mean 80
+  assert.equal(dist.mean, 80);
+  assert.equal(dist.downside, 20);
+  assert.ok(Math.abs(dist.upside - 32) < 1e-9);
+  assert.ok(Math.abs(dist.stdDev - Math.sqrt(1000)) < 1e-9);
+  assert.equal(dist.samples, 5);
+  assert.equal(FantasyScoring.scoreDistribution([100, 60, 80], 2).mean, 80); // only the window
+  assert.deepEqual(FantasyScoring.scoreDistribution([null]), { mean: 0, stdDev: 0, downside: 0, upside: 0, samples: 0 });
+
+  const risk = r => FantasyScoring.riskAdjustedScore(80, dist, r);
+  assert.equal(risk(0), 80);
+  assert.equal(risk(1), 60); // aims at P25
+  assert.ok(Math.abs(risk(-1) - 112) < 1e-9); // aims at P90
+  assert.equal(risk(0.5), 70);
+  assert.equal(risk(3), risk(1));
+  assert.equal(risk(-3), risk(-1));
+  assert.equal(risk('abc'), 80);
+  assert.equal(FantasyScoring.riskAdjustedScore(10, dist, 1), 0);
+  assert.equal(FantasyScoring.riskAdjustedScore(80, null, 1), 80);
+});
+
+test('combineDistributions: normal approximation of the deck total, floored at 0', () => {
+  const deck = FantasyScoring.combineDistributions([{ mean: 100, stdDev: 30 }, { mean: 50, stdDev: 40 }, {}]);
+  assert.equal(deck.mean, 150);
+  assert.equal(deck.stdDev, 50);
+  const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+  close(deck.p10, 150 - 1.2816 * 50);
+  close(deck.p25, 150 - 0.6745 * 50);
+  assert.equal(deck.p50, 150);
+  close(deck.p75, 150 + 0.6745 * 50);
+  close(deck.p90, 150 + 1.2816 * 50);
+
+  const wide = FantasyScoring.combineDistributions([{ mean: 10, stdDev: 100 }]);
+  assert.deepEqual([wide.p10, wide.p25], [0, 0]);
+});
@@ -0,0 +1,220 @@
+// Deck solvers of the content script (content.js): the exact single-deck search and the
+// multi-tournament allocation. content.js only runs on the page, so it is loaded into a VM context
+// after the shared modules the manifest lists before it, without its bootstrap.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadContentScripts() {
+  const context = vm.createContext({ console: { log() {}, warn() {}, error() {} }, performance });
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+  for (const file of manifest.content_scripts[0].js) {
+    let code = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    if (file === 'content.js') {
+      code = `${code.slice(0, code.indexOf('\nconst builder = new FantasyDeckBuilder();'))}\nglobalThis.FantasyDeckBuilder = FantasyDeckBuilder;`;
+    }
+    vm.runInContext(code, context, { filename: file });
+  }
+  return context;
+}
+
+const { FantasyDeckBuilder, FantasyTournaments } = loadContentScripts();
+// Arrays and objects made in the VM context have its prototypes, which deepStrictEqual tells apart
+const plain = value => JSON.parse(JSON.stringify(value));
+const total = cards => cards.reduce((sum, c) => sum + c.solverScore, 0);
+
+// Every deck of `count` cards, one per group, within `stars` and the rarity caps / minimums
+function bruteForce(groups, stars, count, limits, required = new Set()) {
+  const decks = [];
+  const walk = (i, picked) => {
+    if (picked.length === count) {
+      const of = r => picked.filter(c => c.rarity === r).length;
+      const fits = picked.reduce((sum, c) => sum + c.stars, 0) <= stars &&
+        [1, 2, 3, 4].every(r => of(r) <= (limits.max?.[r] ?? Infinity) && of(r) >= (limits.min?.[r] ?? 0)) &&
+        [...required].every(g => picked.some(c => groups[g].includes(c)));
+      if (fits) decks.push([...picked]);
+      return;
+    }
+    if (i === groups.length) return;
+    groups[i].forEach(card => walk(i + 1, [...picked, card]));
+    walk(i + 1, picked);
+  };
+  walk(0, []);
+  return decks;
+}
+
+const card = (hero, stars, rarity, solverScore, copy = 0) => ({ cardId: `${hero}${copy}`, heroKey: hero, stars, rarity, solverScore });
+const groups = [
+  [card('A', 6, 1, 120), card('A', 3, 4, 70, 1)],
+  [card('B', 5, 2, 95)],
+  [card('C', 4, 3, 80), card('C', 2, 4, 50, 1)],
+  [card('D', 3, 3, 60)],
+  [card('E', 2, 4, 45)],
+  [card('F', 1, 4, 20)],
+  [card('G', 4, 2, 75)]
+];
+const limits = { max: { 1: 1, 2: 1 }, min: { 3: 1 } };
+
+test('findExactCombination matches brute force, best first, with rarity caps and minimums', () => {
+  const builder = new FantasyDeckBuilder();
+  const result = builder.findExactCombination(groups, 11, 3, limits, { topK: 3 });
+  assert.equal(result.optimal, true);
+
+  // Best total per distinct hero/rarity line-up, as the solver keeps them
+  const best = new Map();
+  bruteForce(groups, 11, 3, limits).forEach(deck => {
+    const signature = deck.map(c => `${c.heroKey}:${c.rarity}`).sort().join('|');
+    best.set(signature, Math.max(best.get(signature) ?? -Infinity, total(deck)));
+  });
+  const expected = [...best.values()].sort((a, b) => b - a).slice(0, 3);
+  assert.deepEqual(plain(result.decks.map(total)), expected);
+  result.decks.forEach(deck => {
+    assert.ok(deck.reduce((sum, c) => sum + c.stars, 0) <= 11);
+    assert.equal(new Set(deck.map(c => c.heroKey)).size, 3);
+    assert.ok(deck.filter(c => c.rarity === 1).length <= 1 && deck.filter(c => c.rarity === 2).length <= 1);
+    assert.ok(deck.some(c => c.rarity === 3));
+  });
+});
+
+test('findExactCombination honours required groups and reports impossible ones', () => {
+  const builder = new FantasyDeckBuilder();
+  const required = new Set([5]); // F, the weakest hero
+  const [deck] = builder.findExactCombination(groups, 11, 3, limits, { requiredGroups: required }).decks;
+  assert.ok(deck.some(c => c.heroKey === 'F'));
+  assert.equal(total(deck), Math.max(...bruteForce(groups, 11, 3, limits, required).map(total)));
+
+  const tooBig = builder.findExactCombination([[card('A', 12, 4, 100)], ...groups.slice(1)], 11, 3, limits, { requiredGroups: new Set([0]) });
+  assert.deepEqual(plain(tooBig.decks), []);
+});
+
+test('findExactCombination stays exact on a 10-card, 200-star deck with several rarity caps', () => {
+  const builder = new FantasyDeckBuilder();
+  // Every cap as a table dimension would overflow the bound table's cell limit, so it gets relaxed
+  const big = Array.from({ length: 40 }, (_, i) => [card(`H${i}`, 10 + (i * 7) % 31, 1 + i % 4, 50 + (i * 37) % 101)]);
+  const bigLimits = { max: { 1: 1, 2: 2, 3: 3 }, min: {} };
+  const result = builder.findExactCombination(big, 200, 10, bigLimits);
+  assert.equal(result.optimal, true);
+  const [deck] = result.decks;
+  assert.equal(deck.length, 10);
+  assert.ok(deck.reduce((sum, c) => sum + c.stars, 0) <= 200);
+  Object.entries(bigLimits.max).forEach(([r, max]) => assert.ok(deck.filter(c => c.rarity === Number(r)).length <= max));
+  const [dp] = builder.findOptimalCombination(big, 200, 10, bigLimits, { topK: 1 });
+  assert.ok(total(deck) >= total(dp));
+});
+
+// Two tournaments where the main deck's best pair (A + D) takes a card the side deck can't do without.
+// Picking decks one at a time fills only the main deck; the joint optimum is B + C and D + E (165 + 90).
+function multiDeckBuilder() {
+  const builder = new FantasyDeckBuilder();
+  const flat = { common: 1, rare: 1, epic: 1, legendary: 1 };
+  builder.tournaments = {
+    main: FantasyTournaments.normalizeTournament('main', { targetStars: 8, cardCount: 2, rarityMultipliers: flat }),
+    side: FantasyTournaments.normalizeTournament('side', {
+      targetStars: 4, cardCount: 2, rarityMultipliers: flat, allowedRarities: ['common', 'rare'], rarityLimits: { rare: { max: 1 } }
+    })
+  };
+  builder.cards = [
+    { cardId: 'a1', heroKey: 'A', name: 'A', stars: 6, rarity: 3 },
+    { cardId: 'b1', heroKey: 'B', name: 'B', stars: 4, rarity: 4 },
+    { cardId: 'c1', heroKey: 'C', name: 'C', stars: 4, rarity: 4 },
+    { cardId: 'd1', heroKey: 'D', name: 'D', stars: 2, rarity: 3 },
+    { cardId: 'e1', heroKey: 'E', name: 'E', stars: 2, rarity: 4 }
+  ];
+  return builder;
+}
+const entries = [{ tournament: 'main', count: 1 }, { tournament: 'side', count: 1 }];
+const scoreOverrides = { A: 100, B: 85, C: 80, D: 70, E: 20 };
+const ids = deck => (deck.cards ? deck.cards.map(c => c.cardId).sort() : null);
+
+test('findMultiDeck allocates jointly: no card twice, every deck within its rules, never below one-at-a-time', () => {
+  const builder = multiDeckBuilder();
+  const result = builder.findMultiDeck(entries, { scoreOverrides });
+  assert.equal(result.method, 'exact');
+  assert.deepEqual(plain(result.notes), []);
+  assert.deepEqual(plain(result.decks.map(ids)), [['b1', 'c1'], ['d1', 'e1']]);
+  assert.equal(result.totalExpected, 255);
+
+  const used = result.decks.flatMap(d => d.cards || []).map(c => c.cardId);
+  assert.equal(new Set(used).size, used.length);
+  result.decks.forEach(deck => {
+    const def = builder.tournaments[deck.tournament];
+    const limitsOf = FantasyTournaments.solverLimits(def);
+    assert.equal(deck.cards.length, def.cardCount);
+    assert.ok(deck.cards.reduce((sum, c) => sum + c.stars, 0) <= def.targetStars);
+    [1, 2, 3, 4].forEach(r => assert.ok(deck.cards.filter(c => c.rarity === r).length <= limitsOf.max[r]));
+  });
+
+  // One tournament at a time: the main deck's solo optimum leaves the side deck unfillable
+  let left = builder.cards.map(c => ({ ...c, solverScore: scoreOverrides[c.heroKey] }));
+  const oneAtATime = entries.map(({ tournament }) => {
+    const def = builder.tournaments[tournament];
+    const pool = left.filter(c => c.stars <= def.targetStars).map(c => [c]);
+    const [deck] = builder.findExactCombination(pool, def.targetStars, def.cardCount, FantasyTournaments.solverLimits(def)).decks;
+    if (deck) left = left.filter(c => !deck.includes(c));
+    return deck ? total(deck) : null;
+  });
+  assert.deepEqual(oneAtATime, [170, null]);
+  assert.ok(result.totalExpected >= oneAtATime.reduce((sum, t) => sum + (t ?? 0), 0));
+});
+
+test('multi-deck prices charge the card two entries want until the bound meets the joint optimum', () => {
+  const builder = new FantasyDeckBuilder();
+  const [A, B, C, D, E] = [['a1', 'A', 6, 3, 100], ['b1', 'B', 4, 4, 85], ['c1', 'C', 4, 4, 80], ['d1', 'D', 2, 3, 70], ['e1', 'E', 2, 4, 20]]
+    .map(([cardId, heroKey, stars, rarity, solverScore]) => ({ cardId, heroKey, stars, rarity, solverScore }));
+  const main = { heroGroups: [[A], [B], [C], [D], [E]], targetStars: 8, targetCount: 2, rarityLimits: { max: {}, min: {} } };
+  const side = { heroGroups: [[B], [C], [D], [E]], targetStars: 4, targetCount: 2, rarityLimits: { max: { 1: 0, 2: 0, 3: 1 }, min: {} } };
+  const noLocks = { cards: new Set(), heroes: new Set() };
+
+  // Unpriced, both entries want D (170 + 90); priced, the bound is the joint optimum B + C, D + E
+  const { prices, dual } = builder._multiDeckPrices([main, side], noLocks, 0);
+  assert.equal(dual, 255);
+  assert.ok(prices.get('d1') > 0);
+  assert.equal(builder._multiDeckPrices([main, side], noLocks, 255).dual, 255);
+
+  // A locked card's price may go negative; other cards stay >= 0 and locked heroes <= 0
+  const locked = builder._multiDeckPrices([main, side], { cards: new Set(['a1']), heroes: new Set(['E']) }, 0).prices;
+  for (const [key, price] of locked) {
+    if (key.startsWith('hero:')) assert.ok(price <= 0, key);
+    else if (key !== 'a1') assert.ok(price >= 0, key);
+  }
+});
+
+test('findMultiDeck places locked cards and heroes, and drops locks that cannot all fit', () => {
+  const builder = multiDeckBuilder();
+  // A only fits the main deck; its 2⭐ partner then leaves the side deck short, so only one deck fills
+  const locked = builder.findMultiDeck(entries, { scoreOverrides, mustInclude: { cards: ['a1'] } });
+  assert.deepEqual(plain(locked.decks.map(ids)), [['a1', 'd1'], null]);
+  assert.equal(locked.method, 'exact');
+
+  const hero = builder.findMultiDeck(entries, { scoreOverrides, mustInclude: { heroes: ['e'] } });
+  assert.deepEqual(plain(hero.decks.map(ids)), [['b1', 'c1'], ['d1', 'e1']]);
+
+  const tooMany = builder.findMultiDeck(entries, { scoreOverrides, mustInclude: { cards: ['a1', 'b1', 'c1'] } });
+  assert.deepEqual(plain(tooMany.decks.map(ids)), [['b1', 'c1'], ['d1', 'e1']]);
+  assert.deepEqual(plain(tooMany.notes), ['The locked cards can\'t all fit in these decks, so the locks were ignored']);
+
+  const unknown = builder.findMultiDeck(entries, { scoreOverrides, mustInclude: { cards: ['zz'] } });
+  assert.match(unknown.notes[0], /Card #zz is locked but no entry can use it/);
+});
+
+test('findMultiDeck treats entries of the same tournament alike and says when the search limit was hit', () => {
+  const builder = multiDeckBuilder();
+  const twice = builder.findMultiDeck([{ tournament: 'main', count: 2 }], { scoreOverrides });
+  assert.deepEqual(plain(twice.decks.map(d => d.label)), ['Main #1', 'Main #2']);
+  // A + D and B + C (170 + 165) beat every other pair of 8⭐ decks that share no card
+  assert.deepEqual(plain(twice.decks.map(ids)).sort(), [['a1', 'd1'], ['b1', 'c1']]);
+
+  const original = FantasyDeckBuilder.MULTI_DECK_NODE_LIMIT;
+  FantasyDeckBuilder.MULTI_DECK_NODE_LIMIT = 0; // stop before the first node
+  try {
+    const limited = builder.findMultiDeck(entries, { scoreOverrides });
+    assert.equal(limited.method, 'exact-limit');
+    assert.ok(limited.notes.includes('Search limit hit: the best allocation found is shown, not proven optimal'));
+    assert.ok(limited.decks.some(d => d.cards)); // the sequential allocation is kept
+  } finally {
+    FantasyDeckBuilder.MULTI_DECK_NODE_LIMIT = original;
+  }
+});
@@ -0,0 +1,81 @@
+// Tournament definitions: validation, solver limits and card multipliers (tournaments.js).
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FantasyTournaments = require('../tournaments.js');
+
+const normalized = id => FantasyTournaments.normalizeTournament(id, FantasyTournaments.DEFAULT_TOURNAMENTS[id]);
+
+test('normalizeTournament fills defaults and rejects bad fields by name', () => {
+  const def = FantasyTournaments.normalizeTournament('weekly', {
+    targetStars: 20,
+    allowedRarities: ['Rare', 'common'],
+    rarityLimits: { RARE: { max: 2 } },
+    bannedHeroes: [' alice ', ''],
+    cardModifiers: [{ trait: ' Edition ', value: 1, multiplier: 1.2 }]
+  });
+  assert.equal(def.name, 'Weekly');
+  assert.equal(def.label, 'Weekly (20⭐)');
+  assert.equal(def.cardCount, 5);
+  assert.deepEqual(def.allowedRarities, ['common', 'rare']);
+  assert.deepEqual(def.rarityLimits, { rare: { min: 0, max: 2 } });
+  assert.deepEqual(def.bannedHeroes, ['ALICE']);
+  assert.deepEqual(def.rarityMultipliers, FantasyTournaments.DEFAULT_RARITY_MULTIPLIERS);
+  assert.deepEqual(def.cardModifiers, [{ trait: 'Edition', value: '1', multiplier: 1.2 }]);
+
+  const bad = (fields, message) => assert.throws(() => FantasyTournaments.normalizeTournament('t', { targetStars: 20, ...fields }), message);
+  bad({ targetStars: 0 }, /t: targetStars must be between 1 and 200/);
+  bad({ allowedRarities: ['mythic'] }, /allowedRarities/);
+  bad({ rarityLimits: { rare: { min: 3, max: 1 } } }, /rarityLimits.rare has min > max/);
+  bad({ allowedRarities: ['common'], rarityLimits: { epic: { min: 1 } } }, /needs epic in allowedRarities/);
+  bad({ cardCount: 2, rarityLimits: { rare: { min: 2 }, common: { min: 1 } } }, /add up to 3/);
+  bad({ rarityMultipliers: { rare: 0 } }, /rarityMultipliers.rare must be a number > 0/);
+  bad({ cardModifiers: [{ multiplier: 2 }] }, /cardModifiers\[0\] needs a trait/);
+  assert.throws(() => FantasyTournaments.normalizeTournament('no spaces', { targetStars: 20 }), /letters, digits/);
+});
+
+test('normalizeTournament rejects definitions whose solver state space is too large', () => {
+  Object.keys(FantasyTournaments.DEFAULT_TOURNAMENTS).forEach(id => assert.doesNotThrow(() => normalized(id)));
+  // 11 card counts x 201 star budgets x (2 x 3 x 4) rarity counts
+  assert.doesNotThrow(() => FantasyTournaments.normalizeTournament('big', {
+    cardCount: 10, targetStars: 200, rarityLimits: { legendary: { max: 1 }, epic: { max: 2 }, rare: { max: 3 } }
+  }));
+  assert.throws(() => FantasyTournaments.normalizeTournament('huge', {
+    cardCount: 10, targetStars: 200, rarityLimits: { legendary: { max: 9 }, epic: { max: 9 }, rare: { max: 9 } }
+  }), /huge: targetStars and rarityLimits give 2211000 solver states per hero \(at most 100000\)/);
+});
+
+test('solverLimits caps disallowed rarities at 0 and keeps min/max per rarity number', () => {
+  const gold = FantasyTournaments.solverLimits(normalized('gold'));
+  assert.deepEqual(gold.max, { 1: 0, 2: 2, 3: Infinity, 4: Infinity, 5: 0 });
+  assert.deepEqual(gold.min, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+  const withMin = FantasyTournaments.solverLimits(FantasyTournaments.normalizeTournament('t', { targetStars: 20, rarityLimits: { rare: { min: 1 } } }));
+  assert.equal(withMin.min[3], 1);
+  assert.equal(withMin.max[3], Infinity);
+});
+
+test('unknown-rarity cards are only left out of tournaments with rarity rules', () => {
+  const unknown = FantasyTournaments.UNKNOWN_RARITY;
+  assert.equal(FantasyTournaments.solverLimits(normalized('diamond')).max[unknown], Infinity);
+  assert.equal(FantasyTournaments.solverLimits(normalized('bronze')).max[unknown], 0); // common-only
+  assert.equal(FantasyTournaments.solverLimits(normalized('platinum')).max[unknown], 0); // every rarity, but capped
+  assert.equal(FantasyTournaments.restrictsRarity(normalized('diamond')), false);
+  // A zero minimum alone is no rule
+  assert.equal(FantasyTournaments.restrictsRarity(FantasyTournaments.normalizeTournament('t', { targetStars: 20, rarityLimits: { rare: { min: 0 } } })), false);
+});
+
+test('cardMultiplier applies the rarity multiplier, then matching card modifiers', () => {
+  const def = FantasyTournaments.normalizeTournament('t', {
+    targetStars: 20,
+    rarityMultipliers: { rare: 1.8 },
+    cardModifiers: [{ trait: 'edition', value: 'First', multiplier: 1.5, label: '1st edition' }, { trait: 'Signed', multiplier: 1.1 }]
+  });
+  assert.deepEqual(FantasyTournaments.cardMultiplier(def, { rarity: 3 }), { multiplier: 1.8, modifiers: [{ label: 'Rare', multiplier: 1.8 }] });
+
+  const special = FantasyTournaments.cardMultiplier(def, { rarity: 1, attributes: { Edition: 'first', Signed: 'yes' } });
+  assert.deepEqual(special.modifiers.map(m => m.label), ['Legendary', '1st edition', 'Signed: yes']);
+  assert.ok(Math.abs(special.multiplier - 2.5 * 1.5 * 1.1) < 1e-9);
+  assert.equal(FantasyTournaments.cardMultiplier(def, { rarity: 2, attributes: { Edition: 'Second' } }).multiplier, 2);
+  assert.equal(FantasyTournaments.cardMultiplier(def, { attributes: {} }).multiplier, 1); // no rarity = common
+});
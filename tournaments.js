@@ -0,0 +1,333 @@
+// Shared tournament rule definitions: loaded by the content script (solver) and the popup (select,
+// multi-deck entries, JSON editor). Defaults ship here; user edits live in chrome.storage.local under
+// tournamentDefinitions and fully replace the defaults until reset.
+(function (root) {
+  const STORAGE_KEY = 'tournamentDefinitions';
+
+  // Rarity names used in definitions -> API rarity numbers (1=Legendary, 2=Epic, 3=Rare, 4=Common)
+  const RARITY_IDS = { legendary: 1, epic: 2, rare: 3, common: 4 };
+  const RARITY_NAMES = ['common', 'rare', 'epic', 'legendary'];
+  // Cards whose metadata names no rarity (see parseRarityFromApi in content.js)
+  const UNKNOWN_RARITY = 5;
+  // Score multiplier per rarity (current season); definitions may override any of them
+  const DEFAULT_RARITY_MULTIPLIERS = { common: 1, rare: 1.5, epic: 2, legendary: 2.5 };
+  // Largest deck-solver state space per hero a definition may ask for (see normalizeTournament)
+  const MAX_SOLVER_STATES = 100000;
+
+  // Definition shape (JSON-friendly; omitted limits mean min 0 / no max):
+  // { name, label, cardCount, targetStars, allowedRarities: [...], rarityLimits: { rare: { min, max } },
+  //   bannedHeroes: [heroKey], pageIds: [id from /play/tournament/:id/deckbuilder],
+  //   rarityMultipliers: { rare: 1.5 }, cardModifiers: [{ trait, value?, multiplier, label? }] }
+  // cardModifiers match card metadata attributes (trait_type/value, case-insensitive; no value = any value)
+  // and multiply on top of the rarity multiplier.
+  const DEFAULT_TOURNAMENTS = {
+    bronze: {
+      name: 'Bronze',
+      label: 'Bronze (19⭐ common-only)',
+      cardCount: 5,
+      targetStars: 19,
+      allowedRarities: ['common'],
+      rarityLimits: {},
+      bannedHeroes: []
+    },
+    silver: {
+      name: 'Silver',
+      label: 'Silver (23⭐ up to 3 rares)',
+      cardCount: 5,
+      targetStars: 23,
+      allowedRarities: ['common', 'rare'],
+      rarityLimits: { rare: { max: 3 } },
+      bannedHeroes: []
+    },
+    gold: {
+      name: 'Gold',
+      label: 'Gold (25⭐ up to 2 epics)',
+      cardCount: 5,
+      targetStars: 25,
+      allowedRarities: ['common', 'rare', 'epic'],
+      rarityLimits: { epic: { max: 2 } },
+      bannedHeroes: []
+    },
+    platinum: {
+      name: 'Platinum',
+      label: 'Platinum (27⭐ up to 3 epics, 1 legendary)',
+      cardCount: 5,
+      targetStars: 27,
+      allowedRarities: ['common', 'rare', 'epic', 'legendary'],
+      rarityLimits: { epic: { max: 3 }, legendary: { max: 1 } },
+      bannedHeroes: []
+    },
+    diamond: {
+      name: 'Diamond',
+      label: 'Diamond (unlimited)',
+      cardCount: 5,
+      targetStars: 50,
+      allowedRarities: ['common', 'rare', 'epic', 'legendary'],
+      rarityLimits: {},
+      bannedHeroes: []
+    }
+  };
+  const DEFAULT_TOURNAMENT = 'bronze';
+
+  function nonNegativeInt(value, field, id) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`${id}: ${field} must be a whole number ≥ 0`);
+    }
+    return n;
+  }
+
+  function positiveNumber(value, field, id) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) {
+      throw new Error(`${id}: ${field} must be a number > 0`);
+    }
+    return n;
+  }
+
+  // Validate one definition and fill defaults. Throws with a message naming the tournament and field.
+  function normalizeTournament(id, def) {
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      throw new Error(`"${id}": tournament ids may only use letters, digits, - and _`);
+    }
+    if (!def || typeof def !== 'object') {
+      throw new Error(`${id}: definition must be an object`);
+    }
+    const cardCount = nonNegativeInt(def.cardCount ?? 5, 'cardCount', id);
+    if (cardCount < 1 || cardCount > 10) {
+      throw new Error(`${id}: cardCount must be between 1 and 10`);
+    }
+    const targetStars = nonNegativeInt(def.targetStars, 'targetStars', id);
+    if (targetStars < 1 || targetStars > 200) {
+      throw new Error(`${id}: targetStars must be between 1 and 200`);
+    }
+
+    const allowed = (def.allowedRarities ?? RARITY_NAMES).map(r => String(r).toLowerCase());
+    const unknown = allowed.filter(r => !RARITY_IDS[r]);
+    if (unknown.length > 0 || allowed.length === 0) {
+      throw new Error(`${id}: allowedRarities must list some of ${RARITY_NAMES.join(', ')}`);
+    }
+
+    const rarityLimits = {};
+    for (const [rarity, limit] of Object.entries(def.rarityLimits || {})) {
+      const name = rarity.toLowerCase();
+      if (!RARITY_IDS[name]) {
+        throw new Error(`${id}: unknown rarity "${rarity}" in rarityLimits`);
+      }
+      const min = nonNegativeInt(limit?.min ?? 0, `rarityLimits.${name}.min`, id);
+      const max = limit?.max == null ? null : nonNegativeInt(limit.max, `rarityLimits.${name}.max`, id);
+      if (max !== null && min > max) {
+        throw new Error(`${id}: rarityLimits.${name} has min > max`);
+      }
+      if (min > 0 && !allowed.includes(name)) {
+        throw new Error(`${id}: rarityLimits.${name}.min needs ${name} in allowedRarities`);
+      }
+      rarityLimits[name] = max === null ? { min } : { min, max };
+    }
+    const minTotal = Object.values(rarityLimits).reduce((sum, l) => sum + l.min, 0);
+    if (minTotal > cardCount) {
+      throw new Error(`${id}: rarity minimums add up to ${minTotal} but the deck has ${cardCount} cards`);
+    }
+    // The deck solvers keep a state per (cards left, stars left, count of each capped or required rarity)
+    const states = Object.entries(rarityLimits).reduce((product, [name, limit]) => {
+      const cap = allowed.includes(name) ? Math.min(limit.max ?? cardCount, cardCount) : 0;
+      return cap < cardCount || limit.min > 0 ? product * (cap + 1) : product;
+    }, (cardCount + 1) * (targetStars + 1));
+    if (states > MAX_SOLVER_STATES) {
+      throw new Error(`${id}: targetStars and rarityLimits give ${states} solver states per hero (at most ${MAX_SOLVER_STATES}); lower targetStars or drop some rarity limits`);
+    }
+
+    const rarityMultipliers = { ...DEFAULT_RARITY_MULTIPLIERS };
+    for (const [rarity, value] of Object.entries(def.rarityMultipliers || {})) {
+      const name = rarity.toLowerCase();
+      if (!RARITY_IDS[name]) {
+        throw new Error(`${id}: unknown rarity "${rarity}" in rarityMultipliers`);
+      }
+      rarityMultipliers[name] = positiveNumber(value, `rarityMultipliers.${name}`, id);
+    }
+
+    if (def.cardModifiers != null && !Array.isArray(def.cardModifiers)) {
+      throw new Error(`${id}: cardModifiers must be a list`);
+    }
+    const cardModifiers = (def.cardModifiers || []).map((mod, i) => {
+      if (!mod || !String(mod.trait || '').trim()) {
+        throw new Error(`${id}: cardModifiers[${i}] needs a trait`);
+      }
+      const modifier = { trait: String(mod.trait).trim(), multiplier: positiveNumber(mod.multiplier, `cardModifiers[${i}].multiplier`, id) };
+      if (mod.value != null && mod.value !== '') modifier.value = String(mod.value);
+      if (mod.label) modifier.label = String(mod.label);
+      return modifier;
+    });
+
+    const name = String(def.name || id.charAt(0).toUpperCase() + id.slice(1));
+    return {
+      name,
+      label: String(def.label || `${name} (${targetStars}⭐)`),
+      cardCount,
+      targetStars,
+      allowedRarities: RARITY_NAMES.filter(r => allowed.includes(r)),
+      rarityLimits,
+      bannedHeroes: (def.bannedHeroes || []).map(h => String(h).trim().toUpperCase()).filter(Boolean),
+      pageIds: (def.pageIds || []).map(p => String(p).trim().toLowerCase()).filter(Boolean),
+      rarityMultipliers,
+      cardModifiers
+    };
+  }
+
+  // Validate a whole { id: definition } map (parsed JSON or object). Returns { tournaments, errors }.
+  function validateTournaments(input) {
+    const errors = [];
+    const tournaments = {};
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { tournaments, errors: ['Expected an object of { "id": { ...definition } }'] };
+    }
+    for (const [id, def] of Object.entries(input)) {
+      try {
+        tournaments[id.toLowerCase()] = normalizeTournament(id.toLowerCase(), def);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    if (errors.length === 0 && Object.keys(tournaments).length === 0) {
+      errors.push('Define at least one tournament');
+    }
+    return { tournaments, errors };
+  }
+
+  // Whether a definition rules on rarity at all (a rarity not allowed, a cap or a minimum)
+  function restrictsRarity(def) {
+    return RARITY_NAMES.some(name => !def.allowedRarities.includes(name)) ||
+      Object.values(def.rarityLimits || {}).some(limit => limit.max != null || limit.min > 0);
+  }
+
+  // Solver view of a definition: per-rarity { max, min } keyed by rarity number, disallowed rarities capped at 0.
+  // Unknown-rarity cards can't be checked against rarity rules, so they are capped at 0 only when there are some.
+  function solverLimits(def) {
+    const max = {};
+    const min = {};
+    for (const [name, rarity] of Object.entries(RARITY_IDS)) {
+      const limit = def.rarityLimits?.[name] || {};
+      max[rarity] = !def.allowedRarities.includes(name) ? 0 : (limit.max ?? Infinity);
+      min[rarity] = limit.min ?? 0;
+    }
+    max[UNKNOWN_RARITY] = restrictsRarity(def) ? 0 : Infinity;
+    min[UNKNOWN_RARITY] = 0;
+    return { max, min };
+  }
+
+  // Score multiplier for one card under a definition. card = { rarity (API number), attributes: { trait: value } }.
+  // Returns { multiplier, modifiers: [{ label, multiplier }] } with the rarity first, then matching card modifiers.
+  function cardMultiplier(def, card) {
+    const rarity = RARITY_NAMES.find(name => RARITY_IDS[name] === (card.rarity ?? 4)) || 'common';
+    const modifiers = [{
+      label: rarity.charAt(0).toUpperCase() + rarity.slice(1),
+      multiplier: def.rarityMultipliers?.[rarity] ?? DEFAULT_RARITY_MULTIPLIERS[rarity]
+    }];
+    const attributes = card.attributes || {};
+    for (const mod of def.cardModifiers || []) {
+      const trait = Object.keys(attributes).find(key => key.toLowerCase() === mod.trait.toLowerCase());
+      if (trait === undefined) continue;
+      const value = String(attributes[trait]);
+      if (mod.value != null && value.toLowerCase() !== mod.value.toLowerCase()) continue;
+      modifiers.push({ label: mod.label || `${trait}: ${value}`, multiplier: mod.multiplier });
+    }
+    return { multiplier: modifiers.reduce((product, m) => product * m.multiplier, 1), modifiers };
+  }
+
+  // Deck builder page -> definition. The URL id wins when a definition lists it in pageIds or the id/slug
+  // names the tier (e.g. "gold-weekly-12"); otherwise the banner text is matched on tier name, star cap and
+  // rarity wording. Returns { id, source: 'url' | 'banner', reason } or null when nothing (or more than one
+  // definition) matches.
+  function detectTournament(tournaments, { pageId, text } = {}) {
+    const entries = Object.entries(tournaments || {});
+    const slug = String(pageId || '').toLowerCase();
+    if (slug) {
+      const listed = entries.find(([, def]) => (def.pageIds || []).includes(slug));
+      if (listed) return { id: listed[0], source: 'url', reason: `tournament ${slug}` };
+      const words = slug.split(/[^a-z0-9]+/);
+      const named = entries.filter(([id, def]) => words.includes(id) || words.includes(def.name.toLowerCase()));
+      if (named.length === 1) return { id: named[0][0], source: 'url', reason: `tournament ${slug}` };
+    }
+
+    const banner = String(text || '').toLowerCase();
+    if (!banner) return null;
+    const starCaps = new Set(Array.from(banner.matchAll(/(\d{1,3})\s*(?:⭐|★|stars?\b)/g), m => Number(m[1])));
+    const plain = ` ${banner.replace(/[^a-z0-9]+/g, ' ')} `;
+    const hasWords = phrase => plain.includes(` ${phrase.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `);
+    const mentioned = RARITY_NAMES.filter(r => hasWords(r) || hasWords(`${r}s`));
+    const onlyMatch = banner.match(/\b(common|rare|epic|legendary)s?[- ]only\b/);
+    const scored = entries.map(([id, def]) => {
+      const reasons = [];
+      let score = 0;
+      if (hasWords(def.name)) {
+        score += 2;
+        reasons.push(def.name);
+      }
+      if (starCaps.has(def.targetStars)) {
+        score += 2;
+        reasons.push(`${def.targetStars}⭐`);
+      }
+      if (onlyMatch) {
+        score += def.allowedRarities.length === 1 && def.allowedRarities[0] === onlyMatch[1] ? 1 : -2;
+      } else if (mentioned.some(r => !def.allowedRarities.includes(r))) {
+        score -= 1;
+      }
+      return { id, score, reasons };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, next] = scored;
+    if (!best || best.score < 2 || (next && next.score === best.score)) return null;
+    return { id: best.id, source: 'banner', reason: best.reasons.join(', ') };
+  }
+
+  function defaultTournaments() {
+    return validateTournaments(JSON.parse(JSON.stringify(DEFAULT_TOURNAMENTS))).tournaments;
+  }
+
+  // Stored definitions (invalid or missing storage falls back to the defaults)
+  async function loadTournaments() {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    if (result[STORAGE_KEY]) {
+      const { tournaments, errors } = validateTournaments(result[STORAGE_KEY]);
+      if (errors.length === 0) return tournaments;
+      console.warn('⚠️ Stored tournament definitions are invalid, using defaults:', errors);
+    }
+    return defaultTournaments();
+  }
+
+  // Validate then store. Returns { tournaments, errors }; nothing is saved when there are errors.
+  async function saveTournaments(input) {
+    const validated = validateTournaments(input);
+    if (validated.errors.length === 0) {
+      await chrome.storage.local.set({ [STORAGE_KEY]: validated.tournaments });
+    }
+    return validated;
+  }
+
+  async function resetTournaments() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+    return defaultTournaments();
+  }
+
+  const FantasyTournaments = {
+    STORAGE_KEY,
+    RARITY_IDS,
+    UNKNOWN_RARITY,
+    DEFAULT_RARITY_MULTIPLIERS,
+    DEFAULT_TOURNAMENTS,
+    DEFAULT_TOURNAMENT,
+    normalizeTournament,
+    validateTournaments,
+    restrictsRarity,
+    solverLimits,
+    cardMultiplier,
+    detectTournament,
+    defaultTournaments,
+    loadTournaments,
+    saveTournaments,
+    resetTournaments
+  };
+
+  root.FantasyTournaments = FantasyTournaments;
+  if (typeof module !== 'undefined' && module.exports) module.exports = FantasyTournaments;
+})(typeof globalThis !== 'undefined' ? globalThis : self);